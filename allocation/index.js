@@ -0,0 +1,410 @@
+/**
+ * Fair allocation of listings between receivers.
+ *
+ * First come, first served lets the organisation with the fastest app
+ * user take everything, so claims go through a policy on top of it:
+ *  - a daily quota: a receiver can make so many claims, or claim so many
+ *    meal equivalents, in any 24 hours;
+ *  - a priority window: for the first minutes after a listing goes up,
+ *    only receivers with an urgent (high or critical) need it meets can
+ *    claim it;
+ *  - a lottery: donors can have food in high demand collect claim
+ *    requests for a while, after which it is shared out in random order,
+ *    receivers with an urgent need first.
+ * Every claim, and every lottery entry, records the decision behind it.
+ */
+const crypto = require('crypto');
+const { Op, Transaction } = require('sequelize');
+const { models, sequelize } = require('../models/index');
+const matching = require('../matching');
+const { ApiError } = require('../utils/errors');
+const { MEALS_PER_UNIT, toMeals, formatQuantity } = require('../utils/quantity');
+
+// Claims, and meal equivalents, a receiver can take in any 24 hours; 0 for no limit
+const DAILY_CLAIM_LIMIT = parseInt(process.env.ALLOCATION_DAILY_CLAIM_LIMIT, 10) || 0;
+const DAILY_MEAL_LIMIT = Number(process.env.ALLOCATION_DAILY_MEAL_LIMIT) || 0;
+
+// Minutes after a listing goes up in which only receivers with an urgent need can claim; 0 for none
+const PRIORITY_WINDOW_MINUTES = Number(process.env.ALLOCATION_PRIORITY_MINUTES) || 0;
+
+// How long a lottery collects claim requests when the donor doesn't say, and at most
+const DEFAULT_LOTTERY_MINUTES = parseInt(process.env.ALLOCATION_LOTTERY_MINUTES, 10) || 15;
+const MAX_LOTTERY_MINUTES = 180;
+
+// Needs this urgent get the priority window and go first in a lottery
+const URGENT_LEVELS = ['high', 'critical'];
+
+// Units that only come whole, so shares of them are whole numbers
+const WHOLE_UNITS = ['items', 'crates', 'meals'];
+
+const QUOTA_PERIOD_MS = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+// The draw takes SQLite's write lock up front, like a claim
+const WRITE_LOCK = { type: Transaction.TYPES.IMMEDIATE };
+
+const round = amount => Math.round(amount * 1000) / 1000;
+
+// Round an amount of `unit` down to what can be handed over
+const roundDown = (amount, unit) => (WHOLE_UNITS.includes(unit)
+  ? Math.floor(amount + 1e-9)
+  : Math.floor(amount * 1000 + 1e-6) / 1000);
+
+const hasQuota = () => DAILY_CLAIM_LIMIT > 0 || DAILY_MEAL_LIMIT > 0;
+
+/**
+ * Validate the allocation fields of a new listing and work out its policy
+ * when published at `publishedAt`. Returns { error } or { attributes } to
+ * create the listing with.
+ */
+const listingPolicy = ({ allocationMode, lotteryMinutes } = {}, publishedAt = new Date()) => {
+  const mode = allocationMode == null || allocationMode === '' ? 'first_come' : allocationMode;
+  if (!models.Listing.ALLOCATION_MODES.includes(mode)) {
+    return { error: `allocationMode must be one of: ${models.Listing.ALLOCATION_MODES.join(', ')}` };
+  }
+
+  const hasMinutes = lotteryMinutes != null && lotteryMinutes !== '';
+  if (mode !== 'lottery') {
+    if (hasMinutes) {
+      return { error: 'lotteryMinutes can only be given with allocationMode lottery' };
+    }
+    return {
+      attributes: {
+        allocationMode: mode,
+        priorityUntil: PRIORITY_WINDOW_MINUTES > 0
+          ? new Date(publishedAt.getTime() + PRIORITY_WINDOW_MINUTES * MS_PER_MINUTE)
+          : null,
+      },
+    };
+  }
+
+  const minutes = hasMinutes ? Number(lotteryMinutes) : DEFAULT_LOTTERY_MINUTES;
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_LOTTERY_MINUTES) {
+    return { error: `lotteryMinutes must be a whole number between 1 and ${MAX_LOTTERY_MINUTES}` };
+  }
+  return {
+    attributes: { allocationMode: mode, lotteryEndsAt: new Date(publishedAt.getTime() + minutes * MS_PER_MINUTE) },
+  };
+};
+
+/**
+ * What receiver `receiverId` claimed in the 24 hours before `now`: the
+ * number of claims still holding food, their meal equivalents, and when
+ * the oldest of them stops counting.
+ */
+const quotaUsage = async (receiverId, { now = new Date(), transaction } = {}) => {
+  const claims = await models.Claim.findAll({
+    where: {
+      receiverId,
+      status: models.Claim.ACTIVE_STATUSES,
+      createdAt: { [Op.gt]: new Date(now.getTime() - QUOTA_PERIOD_MS) }
+    },
+    include: [{ model: models.Listing, as: 'listing', attributes: ['id', 'quantityAmount', 'quantityUnit'] }],
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+
+  const meals = claims.reduce((sum, claim) => sum + toMeals(
+    claim.quantityAmount != null ? claim.quantityAmount : claim.listing.quantityAmount,
+    claim.listing.quantityUnit
+  ), 0);
+  return {
+    claims: claims.length,
+    meals: Math.round(meals * 10) / 10,
+    resetsAt: claims.length ? new Date(new Date(claims[0].createdAt).getTime() + QUOTA_PERIOD_MS) : null,
+  };
+};
+
+// The quota part of a decision; null when no quota is set
+const quotaRecord = usage => (usage ? {
+  claims: usage.claims,
+  claimLimit: DAILY_CLAIM_LIMIT || null,
+  meals: usage.meals,
+  mealLimit: DAILY_MEAL_LIMIT || null,
+} : null);
+
+/**
+ * The most of `listing`, in its unit, a receiver with quota `usage` can
+ * still claim: 0 once their quota is used up, Infinity without a limit.
+ * Food without a meal estimate only counts towards the claim limit.
+ */
+const quotaAllowance = (listing, usage) => {
+  if (!usage) {
+    return Infinity;
+  }
+  if (DAILY_CLAIM_LIMIT > 0 && usage.claims >= DAILY_CLAIM_LIMIT) {
+    return 0;
+  }
+  if (!(DAILY_MEAL_LIMIT > 0)) {
+    return Infinity;
+  }
+  const mealsLeft = DAILY_MEAL_LIMIT - usage.meals;
+  if (mealsLeft <= 0) {
+    return 0;
+  }
+  const mealsPerUnit = MEALS_PER_UNIT[listing.quantityUnit];
+  if (listing.quantityAmount == null || !mealsPerUnit) {
+    return Infinity;
+  }
+  return roundDown(mealsLeft / mealsPerUnit, listing.quantityUnit);
+};
+
+const quotaExceeded = (usage, message) =>
+  new ApiError(429, 'QUOTA_EXCEEDED', message, { ...quotaRecord(usage), resetsAt: usage.resetsAt });
+
+// Why a receiver with quota `usage` can claim nothing more today
+const quotaUsedUp = usage => (DAILY_CLAIM_LIMIT > 0 && usage.claims >= DAILY_CLAIM_LIMIT
+  ? `You have made ${usage.claims} claims in the last 24 hours, the daily limit`
+  : `You have claimed ${usage.meals} meal equivalents in the last 24 hours, the daily limit is ${DAILY_MEAL_LIMIT}`);
+
+/**
+ * The open need of receiver `receiverId` with high or critical urgency
+ * that `listing` meets best, or null when it meets none of them.
+ */
+const urgentNeed = async (listing, receiverId, { now = new Date(), transaction } = {}) => {
+  const needs = await models.Need.findAll({
+    where: {
+      userId: receiverId,
+      status: 'open',
+      urgency: URGENT_LEVELS,
+      [Op.or]: [{ neededBy: null }, { neededBy: { [Op.gt]: now } }]
+    },
+    transaction
+  });
+
+  const [best] = needs
+    .map(need => ({ need, match: matching.scoreMatch(listing, need, now) }))
+    .filter(({ match }) => match && match.score >= matching.MIN_MATCH_SCORE)
+    .sort((a, b) => b.match.score - a.match.score);
+  return best ? best.need : null;
+};
+
+// A decision as recorded on a claim or lottery entry
+const decision = ({ policy, reason, need = null, requestedAmount = null, usage = null, lottery = null, now }) => ({
+  policy,
+  reason,
+  needId: need ? need.id : null,
+  requestedAmount,
+  quota: quotaRecord(usage),
+  lottery,
+  decidedAt: now,
+});
+
+/**
+ * Decide how much of `listing` receiver `user` gets for a claim of
+ * `requestedAmount` (default: everything left, up to their quota) and
+ * take it out of the remaining balance (without saving). Returns
+ * { amount, allocation }: the amount as Listing#reserveQuantity does, and
+ * the decision to record on the claim. Throws when the claim is not
+ * possible or the policy turns it down.
+ */
+const allocateClaim = async (listing, user, requestedAmount, { now = new Date(), transaction } = {}) => {
+  if (listing.allocationMode === 'lottery' && !listing.lotteryDrawnAt) {
+    throw new models.Listing.TransitionError('The lottery for this listing is being drawn; try again shortly', 409);
+  }
+  let amount = listing.claimableAmount(user, requestedAmount);
+
+  let need = null;
+  if (listing.priorityUntil && new Date(listing.priorityUntil) > now) {
+    need = await urgentNeed(listing, user.id, { now, transaction });
+    if (!need) {
+      const priorityUntil = new Date(listing.priorityUntil).toISOString();
+      throw new ApiError(403, 'PRIORITY_WINDOW',
+        `Until ${priorityUntil} this listing can only be claimed by organisations with an urgent need it meets`,
+        { priorityUntil });
+    }
+  }
+
+  let usage = null;
+  let capped = false;
+  if (hasQuota()) {
+    usage = await quotaUsage(user.id, { now, transaction });
+    const allowance = quotaAllowance(listing, usage);
+    if (allowance <= 0) {
+      throw quotaExceeded(usage, quotaUsedUp(usage));
+    }
+    if (amount !== null && amount > allowance) {
+      if (requestedAmount != null) {
+        throw quotaExceeded(usage,
+          `Your daily quota leaves room for ${formatQuantity(allowance, listing.quantityUnit)} of this listing`);
+      }
+      amount = allowance;
+      capped = true;
+    }
+  }
+  listing.reserveQuantity(user, amount);
+
+  let reason = need
+    ? `Claimed in the priority window for the urgent need "${need.title}"`
+    : 'First come, first served';
+  if (capped) {
+    reason += `; limited to ${formatQuantity(amount, listing.quantityUnit)} by the daily quota`;
+  }
+  return {
+    amount,
+    allocation: decision({ policy: need ? 'priority' : 'first_come', reason, need, requestedAmount, usage, now }),
+  };
+};
+
+/**
+ * Enter receiver `user` into the lottery of `listing`, which must be
+ * collecting requests, for `requestedAmount` (default: as much as the
+ * draw gives them). Returns the new ClaimRequest.
+ */
+const enterLottery = async (listing, user, requestedAmount, { transaction } = {}) => {
+  listing.claimableAmount(user, requestedAmount);
+
+  const entered = await models.ClaimRequest.findOne({
+    where: { listingId: listing.id, receiverId: user.id, status: 'pending' },
+    transaction
+  });
+  if (entered) {
+    throw new ApiError(409, 'CONFLICT', 'You have already entered the lottery for this listing',
+      { claimRequestId: entered.id });
+  }
+
+  return models.ClaimRequest.create({
+    listingId: listing.id,
+    receiverId: user.id,
+    quantityAmount: requestedAmount
+  }, { transaction });
+};
+
+// Fisher-Yates shuffle with a cryptographic random source, so nobody can predict the draw
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Share what is left of `listing` out between the `ranked` entries, each
+ * up to its `cap`: first an equal share each (at least one whole unit of
+ * food that only comes whole), then whatever is still left in rank
+ * order. A legacy listing goes whole to the first entry. Sets `amount`
+ * on every entry (null for the whole legacy listing) and returns what is
+ * left.
+ */
+const shareOut = (listing, ranked) => {
+  const eligible = ranked.filter(entry => entry.cap > 0);
+  if (listing.quantityAmount == null) {
+    if (eligible.length) {
+      eligible[0].amount = null;
+      return 0;
+    }
+    return listing.remainingAmount;
+  }
+
+  const unit = listing.quantityUnit;
+  let left = listing.remainingAmount;
+  const smallest = WHOLE_UNITS.includes(unit) ? 1 : 0.001;
+  const share = eligible.length ? Math.max(smallest, roundDown(left / eligible.length, unit)) : 0;
+  for (const most of [share, Infinity]) {
+    for (const entry of eligible) {
+      const given = roundDown(Math.min(most, entry.cap - entry.amount, left), unit);
+      entry.amount = round(entry.amount + given);
+      left = round(left - given);
+    }
+  }
+  return left;
+};
+
+/**
+ * Draw the lottery of listing `listingId` once it has stopped collecting
+ * requests: put the pending entries in random order, receivers with an
+ * urgent need the food meets first, share the food out between them
+ * within their requests and quotas, and create a claim for every entry
+ * that got something. Returns { listing, claims, requests } for the
+ * notifications to go out once committed, or null when the listing has
+ * no lottery due.
+ */
+const drawLottery = (listingId, now = new Date()) => sequelize.transaction(WRITE_LOCK, async (transaction) => {
+  const listing = await models.Listing.findByPk(listingId, { transaction });
+  if (!listing || listing.allocationMode !== 'lottery' || listing.lotteryDrawnAt
+    || !(new Date(listing.lotteryEndsAt) <= now)) {
+    return null;
+  }
+  listing.lotteryDrawnAt = now;
+
+  const requests = await models.ClaimRequest.findAll({
+    where: { listingId: listing.id, status: 'pending' },
+    transaction
+  });
+  const open = listing.status === 'available' && !listing.isExpired(now);
+
+  const ranked = [];
+  for (const request of shuffle(requests)) {
+    const usage = hasQuota() ? await quotaUsage(request.receiverId, { now, transaction }) : null;
+    ranked.push({
+      request,
+      usage,
+      need: open ? await urgentNeed(listing, request.receiverId, { now, transaction }) : null,
+      cap: open
+        ? Math.min(request.quantityAmount == null ? Infinity : request.quantityAmount, quotaAllowance(listing, usage))
+        : 0,
+      amount: 0,
+    });
+  }
+  // Stable sort, so the random order holds within each group
+  ranked.sort((a, b) => Boolean(b.need) - Boolean(a.need));
+  if (open) {
+    listing.remainingAmount = shareOut(listing, ranked);
+  }
+
+  const claims = [];
+  for (const [index, entry] of ranked.entries()) {
+    const { request, need, usage } = entry;
+    const lottery = { entries: requests.length, position: index + 1, urgentNeed: Boolean(need), drawnAt: now };
+    const asked = request.quantityAmount == null ? '' : ` of the ${formatQuantity(request.quantityAmount, listing.quantityUnit)} asked for`;
+
+    if (entry.amount !== 0) {
+      const given = entry.amount === null ? listing.quantity : formatQuantity(entry.amount, listing.quantityUnit);
+      const allocation = decision({
+        policy: 'lottery',
+        reason: `Drawn ${index + 1} of ${requests.length}${need ? ', ahead of others for an urgent need' : ''}; given ${given}${asked}`,
+        need,
+        requestedAmount: request.quantityAmount,
+        usage,
+        lottery,
+        now
+      });
+      const claim = await models.Claim.create({
+        listingId: listing.id,
+        receiverId: request.receiverId,
+        quantityAmount: entry.amount,
+        allocation
+      }, { transaction });
+      claims.push(claim);
+
+      request.transition('allocate');
+      request.claimId = claim.id;
+      request.allocation = allocation;
+    } else {
+      let reason = `Drawn ${index + 1} of ${requests.length}; nothing was left by then`;
+      if (!open) {
+        reason = `The listing was ${listing.isExpired(now) ? 'expired' : listing.status} when the lottery was drawn`;
+      } else if (entry.cap <= 0) {
+        reason = `Drawn ${index + 1} of ${requests.length}; the daily quota was used up`;
+      }
+      request.transition('decline');
+      request.allocation = decision({
+        policy: 'lottery', reason, need, requestedAmount: request.quantityAmount, usage, lottery, now
+      });
+    }
+    await request.save({ transaction });
+  }
+
+  listing.syncStatus(await listing.getClaims({ transaction }));
+  await listing.save({ transaction });
+  return { listing, claims, requests: ranked.map(entry => entry.request) };
+});
+
+module.exports = {
+  listingPolicy,
+  allocateClaim,
+  enterLottery,
+  drawLottery,
+};
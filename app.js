@@ -3,10 +3,26 @@ const express = require('express');
 const cors = require('cors');
 const { initializeDatabase } = require('./models/index');
 const setupSwagger = require('./swagger');
+const { startExpirySweeper } = require('./jobs/expirySweeper');
+const { startFeedPruner } = require('./jobs/feedPruner');
+const { startWebhookDispatcher } = require('./jobs/webhookDispatcher');
+const { startRecurringPublisher } = require('./jobs/recurringPublisher');
+const { startLotteryDrawer } = require('./jobs/lotteryDrawer');
 
 // Import routes
 const listingsRouter = require('./routes/listings');
+const streamRouter = require('./routes/stream');
 const authRouter = require('./routes/auth');
+const profileRouter = require('./routes/profile');
+const reportsRouter = require('./routes/reports');
+const adminRouter = require('./routes/admin');
+const filesRouter = require('./routes/files');
+const notificationsRouter = require('./routes/notifications');
+const webhooksRouter = require('./routes/webhooks');
+const deliveryJobsRouter = require('./routes/deliveryJobs');
+const listingTemplatesRouter = require('./routes/listingTemplates');
+const recurringDonationsRouter = require('./routes/recurringDonations');
+const needsRouter = require('./routes/needs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,8 +32,19 @@ app.use(cors()); // Enable Cross-Origin Requests (important for frontend)
 app.use(express.json()); // Parse incoming JSON data
 
 // Use Routes
+app.use('/listings/stream', streamRouter);
 app.use('/listings', listingsRouter);
 app.use('/auth', authRouter);
+app.use('/profile', profileRouter);
+app.use('/reports', reportsRouter);
+app.use('/admin', adminRouter);
+app.use('/files', filesRouter);
+app.use('/notifications', notificationsRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/delivery-jobs', deliveryJobsRouter);
+app.use('/listing-templates', listingTemplatesRouter);
+app.use('/recurring-donations', recurringDonationsRouter);
+app.use('/needs', needsRouter);
 
 // Setup Swagger documentation
 setupSwagger(app);
@@ -32,4 +59,12 @@ initializeDatabase().then(() => {
   app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
   });
+  startExpirySweeper();
+  startFeedPruner();
+  startWebhookDispatcher();
+  startRecurringPublisher();
+  startLotteryDrawer();
+}).catch((error) => {
+  console.error('Unable to start the server:', error.message);
+  process.exit(1);
 });
\ No newline at end of file
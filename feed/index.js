@@ -0,0 +1,116 @@
+/**
+ * Real-time listing feed.
+ *
+ * Routes and jobs publish a ListingEvent once a change to a listing is
+ * committed. Every event is stored, so clients of the listing stream can
+ * resume from the last event id they saw, and handed to the subscribers
+ * in this process. Running several API processes would need a shared
+ * broker (e.g. Redis pub/sub) in place of the in-process emitter.
+ */
+const { EventEmitter } = require('events');
+const { Op } = require('sequelize');
+const { models } = require('../models/index');
+const { haversineKm } = require('../utils/geo');
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+/**
+ * Record that `type` happened to `listing` and push it to subscribers.
+ * The snapshot is read fresh, with photos, unless the listing was deleted;
+ * then it is the listing's own fields as they were.
+ * Never throws: a failed event is logged and does not undo the change.
+ */
+const publish = async (type, listing) => {
+  try {
+    let snapshot = Object.fromEntries(
+      Object.keys(models.Listing.rawAttributes).map(field => [field, listing.get(field)])
+    );
+    if (type !== 'listing.deleted') {
+      const current = await models.Listing.findByPk(listing.id, { include: [models.ListingPhoto.includeOnListing()] });
+      if (!current) {
+        return;
+      }
+      snapshot = current.toJSON();
+    }
+
+    const event = await models.ListingEvent.create({ type, listingId: listing.id, listing: snapshot });
+    emitter.emit('event', event);
+  } catch (error) {
+    console.error(`Could not publish ${type} for listing ${listing.id}:`, error);
+  }
+};
+
+/**
+ * Call `listener` with every event published from now on.
+ * Returns a function that unsubscribes.
+ */
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Stored events after `lastEventId`, oldest first, at most `limit` of them.
+ */
+const eventsSince = (lastEventId, limit) => models.ListingEvent.findAll({
+  where: { id: { [Op.gt]: lastEventId } },
+  order: [['id', 'ASC']],
+  limit
+});
+
+/**
+ * True when events after `lastEventId` have already been pruned, so a
+ * client resuming from it would miss some.
+ */
+const isGapAfter = async (lastEventId) => {
+  const oldest = await models.ListingEvent.min('id');
+  return oldest != null && lastEventId < oldest - 1;
+};
+
+/**
+ * Delete events older than `before`, except the newest one, which keeps
+ * gap detection working after a quiet spell. Returns how many were deleted.
+ */
+const pruneEvents = async (before) => {
+  const newest = await models.ListingEvent.max('id');
+  if (newest == null) {
+    return 0;
+  }
+  return models.ListingEvent.destroy({
+    where: { createdAt: { [Op.lt]: before }, id: { [Op.lt]: newest } }
+  });
+};
+
+/**
+ * Whether `event` passes a stream's filter:
+ * { origin: { lat, lng }, radiusKm } and/or { foodTypes: [lowercase terms] }.
+ */
+const matchesFilter = (event, { origin, radiusKm, foodTypes }) => {
+  const { listing } = event;
+  if (origin) {
+    if (listing.latitude == null || listing.longitude == null) {
+      return false;
+    }
+    if (haversineKm(origin.lat, origin.lng, listing.latitude, listing.longitude) > radiusKm) {
+      return false;
+    }
+  }
+  if (foodTypes && foodTypes.length) {
+    const foodType = String(listing.foodType || '').toLowerCase();
+    if (!foodTypes.some(term => foodType.includes(term))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  eventsSince,
+  isGapAfter,
+  pruneEvents,
+  matchesFilter,
+};
@@ -0,0 +1,90 @@
+const { Op, Transaction } = require('sequelize');
+const { models, sequelize } = require('../models/index');
+const notifications = require('../notifications');
+const feed = require('../feed');
+const { startInterval } = require('./interval');
+
+// How often to look for expired listings (default: every minute)
+const SWEEP_INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// How long before a listing expires its donor and receivers are warned (default: 6 hours)
+const EXPIRY_WARNING_MS = (Number(process.env.EXPIRY_WARNING_HOURS) || 6) * 60 * 60 * 1000;
+
+/**
+ * Move every open listing whose food is past its expiry date to 'expired',
+ * along with any of its claims still waiting for pickup.
+ * Returns the number of listings that were expired.
+ */
+const sweepExpiredListings = async (now = new Date()) => {
+  const due = await models.Listing.findAll({
+    attributes: ['id'],
+    where: {
+      status: models.Listing.TRANSITIONS.expire.from,
+      expiresAt: { [Op.lte]: now }
+    }
+  });
+
+  let expired = 0;
+  for (const { id } of due) {
+    const listing = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+      const current = await models.Listing.findByPk(id, { transaction });
+      // Claimed in full, withdrawn or given a later expiry since the query above
+      if (!current || !models.Listing.TRANSITIONS.expire.from.includes(current.status) || !current.isExpired(now)) {
+        return null;
+      }
+      current.transition('expire');
+      await current.save({ transaction });
+      await current.closeOpenClaims('expire', { transaction });
+      return current;
+    });
+
+    if (listing) {
+      expired += 1;
+      await feed.publish('listing.expired', listing);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Warn the donor and the receivers waiting for pickup of every open listing
+ * that expires within EXPIRY_WARNING_MS, once per listing.
+ * Returns the number of listings they were warned about.
+ */
+const warnExpiringListings = async (now = new Date()) => {
+  const listings = await models.Listing.findAll({
+    where: {
+      status: models.Listing.TRANSITIONS.expire.from,
+      expiresAt: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + EXPIRY_WARNING_MS) },
+      expiryWarnedAt: null
+    }
+  });
+
+  for (const listing of listings) {
+    listing.expiryWarnedAt = now;
+    await listing.save();
+    const claims = await listing.getClaims({
+      where: { status: models.Claim.TRANSITIONS.expire.from }
+    });
+    await notifications.listingExpiring(listing, claims);
+  }
+
+  return listings.length;
+};
+
+/**
+ * Run the sweeper (expiry, then warnings) in the background on a fixed interval.
+ */
+const startExpirySweeper = (intervalMs = SWEEP_INTERVAL_MS) => startInterval('Expiry sweeper', intervalMs, async () => {
+  const expired = await sweepExpiredListings();
+  if (expired > 0) {
+    console.log(`Expiry sweeper: marked ${expired} listing(s) as expired.`);
+  }
+  const warned = await warnExpiringListings();
+  if (warned > 0) {
+    console.log(`Expiry sweeper: warned about ${warned} listing(s) expiring soon.`);
+  }
+});
+
+module.exports = { sweepExpiredListings, warnExpiringListings, startExpirySweeper };
@@ -0,0 +1,26 @@
+const feed = require('../feed');
+const { startInterval } = require('./interval');
+
+// How long listing stream events are kept for clients to resume from (default: 24 hours)
+const RETENTION_MS = (Number(process.env.FEED_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+// How often to prune (default: every hour)
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Delete listing stream events older than the retention period.
+ * Returns the number of events deleted.
+ */
+const pruneListingEvents = (now = new Date()) => feed.pruneEvents(new Date(now.getTime() - RETENTION_MS));
+
+/**
+ * Run the pruner in the background on a fixed interval.
+ */
+const startFeedPruner = (intervalMs = PRUNE_INTERVAL_MS) => startInterval('Feed pruner', intervalMs, async () => {
+  const pruned = await pruneListingEvents();
+  if (pruned > 0) {
+    console.log(`Feed pruner: deleted ${pruned} old listing event(s).`);
+  }
+});
+
+module.exports = { pruneListingEvents, startFeedPruner };
@@ -0,0 +1,22 @@
+/**
+ * Run `task` now and then every `intervalMs` in the background. Errors are
+ * logged under `name` rather than thrown, so one failed run does not stop
+ * the next. The timer is unref'd so it never keeps the process alive on
+ * its own. Returns the timer.
+ */
+const startInterval = (name, intervalMs, task) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} error:`, error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startInterval };
@@ -0,0 +1,56 @@
+const { Op } = require('sequelize');
+const { models } = require('../models/index');
+const allocation = require('../allocation');
+const notifications = require('../notifications');
+const feed = require('../feed');
+const webhooks = require('../webhooks');
+const { startInterval } = require('./interval');
+
+// How often to look for lotteries that have stopped collecting requests (default: every 15 seconds)
+const DRAW_INTERVAL_MS = parseInt(process.env.ALLOCATION_DRAW_INTERVAL_MS, 10) || 15 * 1000;
+
+/**
+ * Draw every lottery whose collection period is over (see
+ * allocation.drawLottery), then announce the claims it created and tell
+ * the entrants how they did. Returns the number of lotteries drawn.
+ */
+const drawDueLotteries = async (now = new Date()) => {
+  const due = await models.Listing.findAll({
+    attributes: ['id'],
+    where: { allocationMode: 'lottery', lotteryDrawnAt: null, lotteryEndsAt: { [Op.lte]: now } },
+    order: [['lotteryEndsAt', 'ASC']]
+  });
+
+  let drawn = 0;
+  for (const { id } of due) {
+    const result = await allocation.drawLottery(id, now);
+    if (!result) {
+      continue;
+    }
+
+    drawn += 1;
+    const { listing, claims, requests } = result;
+    if (claims.length) {
+      await feed.publish('listing.claimed', listing);
+    }
+    for (const claim of claims) {
+      await notifications.listingClaimed(listing, claim);
+      await webhooks.emit('listing.claimed', { claim, listing }, { audience: [listing.userId, claim.receiverId] });
+    }
+    await notifications.lotteryDrawn(listing, requests, claims);
+  }
+
+  return drawn;
+};
+
+/**
+ * Run the drawer in the background on a fixed interval.
+ */
+const startLotteryDrawer = (intervalMs = DRAW_INTERVAL_MS) => startInterval('Lottery drawer', intervalMs, async () => {
+  const drawn = await drawDueLotteries();
+  if (drawn > 0) {
+    console.log(`Lottery drawer: drew ${drawn} listing lottery(ies).`);
+  }
+});
+
+module.exports = { drawDueLotteries, startLotteryDrawer };
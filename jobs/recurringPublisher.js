@@ -0,0 +1,85 @@
+const { Op, Transaction } = require('sequelize');
+const { models, sequelize } = require('../models/index');
+const notifications = require('../notifications');
+const feed = require('../feed');
+const webhooks = require('../webhooks');
+const matching = require('../matching');
+const allocation = require('../allocation');
+const { startInterval } = require('./interval');
+
+// How often to look for recurring donations that are due (default: every minute)
+const PUBLISH_INTERVAL_MS = parseInt(process.env.RECURRING_PUBLISH_INTERVAL_MS, 10) || 60 * 1000;
+
+// An occurrence missed by more than this, e.g. while the server was down, is
+// passed over rather than listed late (default: 60 minutes)
+const MAX_LATENESS_MS = (Number(process.env.RECURRING_MAX_LATENESS_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Publish a listing for every active recurring donation whose next
+ * occurrence has come, and schedule the one after it. Each occurrence is
+ * published at most once: the schedule moves on in the same transaction
+ * that creates the listing. Occurrences that are too late, or whose donor
+ * is suspended or has no verified email, are passed over.
+ * Returns the number of listings published.
+ */
+const publishDueDonations = async (now = new Date()) => {
+  const due = await models.RecurringDonation.findAll({
+    where: { status: 'active', nextRunAt: { [Op.lte]: now } },
+    order: [['nextRunAt', 'ASC']]
+  });
+
+  let published = 0;
+  for (const { id } of due) {
+    const listing = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+      const donation = await models.RecurringDonation.findByPk(id, {
+        include: [
+          { model: models.ListingTemplate, as: 'template' },
+          { model: models.User, as: 'donor' }
+        ],
+        transaction
+      });
+      // Paused, changed or published by someone else in the meantime
+      if (!donation || donation.status !== 'active' || !(donation.nextRunAt <= now)) {
+        return null;
+      }
+
+      const occurrence = donation.nextRunAt;
+      const { donor, template } = donation;
+      donation.lastRunAt = occurrence;
+      donation.scheduleNext(now);
+      await donation.save({ transaction });
+
+      if (now - occurrence > MAX_LATENESS_MS || !donor.isActive || !donor.isEmailVerified()) {
+        return null;
+      }
+      return models.Listing.create({
+        ...template.toListingAttributes(occurrence),
+        ...allocation.listingPolicy({}, now).attributes,
+        recurringDonationId: donation.id
+      }, { transaction });
+    });
+
+    if (listing) {
+      published += 1;
+      await listing.reload({ include: [models.ListingPhoto.includeOnListing()] });
+      await feed.publish('listing.created', listing);
+      const matched = await matching.notifyMatches(listing);
+      await notifications.listingCreated(listing, { except: matched });
+      await webhooks.emit('listing.created', { listing });
+    }
+  }
+
+  return published;
+};
+
+/**
+ * Run the publisher in the background on a fixed interval.
+ */
+const startRecurringPublisher = (intervalMs = PUBLISH_INTERVAL_MS) => startInterval('Recurring publisher', intervalMs, async () => {
+  const published = await publishDueDonations();
+  if (published > 0) {
+    console.log(`Recurring publisher: published ${published} listing(s).`);
+  }
+});
+
+module.exports = { publishDueDonations, startRecurringPublisher };
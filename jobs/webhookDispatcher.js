@@ -0,0 +1,18 @@
+const webhooks = require('../webhooks');
+const { startInterval } = require('./interval');
+
+// How often to look for webhook deliveries due for a retry (default: every 15 seconds)
+const DISPATCH_INTERVAL_MS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS, 10) || 15 * 1000;
+
+/**
+ * Run the dispatcher in the background on a fixed interval. New events are
+ * sent right away; this picks up retries and anything left pending by a restart.
+ */
+const startWebhookDispatcher = (intervalMs = DISPATCH_INTERVAL_MS) => startInterval('Webhook dispatcher', intervalMs, async () => {
+  const attempted = await webhooks.dispatchDue();
+  if (attempted > 0) {
+    console.log(`Webhook dispatcher: attempted ${attempted} delivery(ies).`);
+  }
+});
+
+module.exports = { startWebhookDispatcher };
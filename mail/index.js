@@ -0,0 +1,54 @@
+/**
+ * Outgoing email.
+ *
+ * Messages ({ to, subject, text }) are handed to a transport: any object
+ * with an async `send(message)` method. The built-in transports are chosen
+ * with MAIL_TRANSPORT:
+ * - console (default): print messages, for local development
+ * - file: write messages to MAIL_OUTBOX_DIR, for development and tests
+ *
+ * A real provider (SMTP, an email API) is plugged in with setTransport at
+ * startup.
+ */
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+// Sender address on every message
+const MAIL_FROM = process.env.MAIL_FROM || 'FoodBridge SA <no-reply@foodbridge.local>';
+
+const createTransport = (name) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+};
+
+let transport = createTransport(process.env.MAIL_TRANSPORT || 'console');
+
+/**
+ * Replace the transport used by sendMail.
+ */
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('A mail transport must have a send(message) method');
+  }
+  transport = newTransport;
+};
+
+/**
+ * Send a message through the current transport.
+ */
+const sendMail = ({ to, subject, text }) => transport.send({ from: MAIL_FROM, to, subject, text });
+
+module.exports = {
+  TRANSPORTS,
+  createTransport,
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,84 @@
+/**
+ * Account emails. Links point at the frontend (APP_URL), which reads the
+ * token from the query string and posts it back to the API.
+ */
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const emailVerification = (user, token, expiresAt) => ({
+  to: user.email,
+  subject: 'Confirm your FoodBridge SA email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm your email address to start sharing and claiming food:',
+    `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    '',
+    `Verification code: ${token}`,
+    `This link expires on ${expiresAt.toUTCString()}.`,
+  ].join('\n'),
+});
+
+const passwordReset = (user, token, expiresAt) => ({
+  to: user.email,
+  subject: 'Reset your FoodBridge SA password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone asked to reset the password of your FoodBridge SA account.',
+    'If that was you, choose a new password here:',
+    `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    '',
+    `Reset code: ${token}`,
+    `This link expires on ${expiresAt.toUTCString()} and can be used once.`,
+    'If you did not ask for this, you can ignore this email.',
+  ].join('\n'),
+});
+
+const organizationApproved = (user, verification) => ({
+  to: user.email,
+  subject: 'Your organization has been verified',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `${verification.organizationName} has been verified on FoodBridge SA.`,
+    'You can now claim food donations:',
+    `${APP_URL}/listings`,
+  ].join('\n'),
+});
+
+const organizationRejected = (user, verification) => ({
+  to: user.email,
+  subject: 'Your organization could not be verified',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `We could not verify ${verification.organizationName} with the details you sent.`,
+    `Reason: ${verification.rejectionReason}`,
+    '',
+    'You can correct your details and submit them again from your profile:',
+    `${APP_URL}/profile/verification`,
+  ].join('\n'),
+});
+
+const listingWithdrawn = (receiver, listing) => ({
+  to: receiver.email,
+  subject: 'A donation you claimed has been withdrawn',
+  text: [
+    `Hi ${receiver.name},`,
+    '',
+    `The donor has withdrawn ${listing.quantity} of ${listing.foodType} from ${listing.location},`,
+    'so your claim on it has been cancelled and there is nothing to collect.',
+    ...(listing.cancellationReason ? [`Reason: ${listing.cancellationReason}`] : []),
+    '',
+    'Other donations near you:',
+    `${APP_URL}/listings`,
+  ].join('\n'),
+});
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+  organizationApproved,
+  organizationRejected,
+  listingWithdrawn,
+};
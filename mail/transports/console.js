@@ -0,0 +1,18 @@
+/**
+ * Development transport: prints every message to the console.
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '--- Outgoing email ---',
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '----------------------',
+    ].join('\n'));
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,23 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Development and test transport: writes every message as a JSON file to
+ * `directory` (MAIL_OUTBOX_DIR, default ./mail-outbox). File names start
+ * with the time sent, so the newest message sorts last.
+ */
+const createFileTransport = ({ directory = process.env.MAIL_OUTBOX_DIR || './mail-outbox' } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const sentAt = new Date();
+    const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt }, null, 2)
+    );
+  },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,223 @@
+/**
+ * Matching of listings against the needs receivers posted.
+ *
+ * A listing scores from 0 to 100 against each open need on how well the
+ * food fits it (categories and keywords), how close it is, how much of
+ * the need it covers and whether it keeps long enough; urgent needs get
+ * a boost. Donors see the best-matching receivers of their listings,
+ * receivers the best listings for a need, and both hear about a match
+ * when a new listing is published.
+ */
+const { Op } = require('sequelize');
+const { models } = require('../models/index');
+const notifications = require('../notifications');
+const { haversineKm, boundingBox } = require('../utils/geo');
+const { toMeals, formatQuantity } = require('../utils/quantity');
+
+// Weight of each part of the score; they add up to 1
+const WEIGHTS = { fit: 0.35, distance: 0.3, quantity: 0.2, expiry: 0.15 };
+
+// Matches scoring below this are neither suggested nor notified
+const MIN_MATCH_SCORE = Number(process.env.NEED_MIN_MATCH_SCORE) || 40;
+
+// How many receivers are told about one new listing at most
+const NOTIFY_LIMIT = parseInt(process.env.NEED_NOTIFY_LIMIT, 10) || 10;
+
+// Food that keeps at least this many hours fully suits a need of each urgency
+const URGENCY_HORIZON_HOURS = { low: 72, normal: 24, high: 12, critical: 4 };
+
+// Urgent needs rank ahead of others the food fits as well
+const URGENCY_BOOST = { low: 0.9, normal: 1, high: 1.1, critical: 1.2 };
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const hasCoordinates = place => place.latitude != null && place.longitude != null;
+
+/**
+ * How well the food fits the need, from 0 to 1: a keyword in the food type
+ * beats one in the description, and a need for specific food beats one for
+ * anything. Null when the food does not fit at all.
+ */
+const fitScore = (listing, need) => {
+  if (need.categories.length && !need.categories.includes(listing.perishability)) {
+    return null;
+  }
+  if (need.keywords.length === 0) {
+    return need.categories.length ? 0.8 : 0.5;
+  }
+
+  const keywords = need.keywords.map(keyword => keyword.toLowerCase());
+  const foodType = listing.foodType.toLowerCase();
+  const description = (listing.description || '').toLowerCase();
+  if (keywords.some(keyword => foodType.includes(keyword))) {
+    return 1;
+  }
+  if (keywords.some(keyword => description.includes(keyword))) {
+    return 0.7;
+  }
+  return null;
+};
+
+/**
+ * Score how well `listing` meets `need`: { score (0-100), distanceKm,
+ * breakdown } with the part scores (0-1) behind it. Returns null when the
+ * listing cannot meet the need: the wrong food, out of the need's range,
+ * already expired, or gone off before a standing need's next day.
+ */
+const scoreMatch = (listing, need, now = new Date()) => {
+  const fit = fitScore(listing, need);
+  if (fit === null) {
+    return null;
+  }
+
+  // A listing or need without coordinates might be anywhere in range
+  let distanceKm = null;
+  let distance = 0.5;
+  if (hasCoordinates(listing) && hasCoordinates(need)) {
+    distanceKm = haversineKm(listing.latitude, listing.longitude, need.latitude, need.longitude);
+    if (distanceKm > need.radiusKm) {
+      return null;
+    }
+    distance = need.radiusKm > 0 ? 1 - distanceKm / need.radiusKm : 1;
+  }
+
+  // Share of the need covered, in meal equivalents when the units differ
+  let quantity = 1;
+  const available = listing.remainingAmount != null ? listing.remainingAmount : listing.quantityAmount;
+  if (need.quantityAmount && available != null) {
+    const sameUnit = listing.quantityUnit === need.quantityUnit;
+    const offered = sameUnit ? available : toMeals(available, listing.quantityUnit);
+    const wanted = sameUnit ? need.quantityAmount : toMeals(need.quantityAmount, need.quantityUnit);
+    quantity = wanted > 0 ? Math.min(1, offered / wanted) : 1;
+  }
+
+  let expiry = 1;
+  if (listing.expiresAt) {
+    const expiresAt = new Date(listing.expiresAt);
+    const neededAt = need.nextNeededAt(now);
+    if (expiresAt <= now || (neededAt && expiresAt < neededAt)) {
+      return null;
+    }
+    if (!neededAt) {
+      expiry = Math.min(1, (expiresAt - now) / MS_PER_HOUR / URGENCY_HORIZON_HOURS[need.urgency]);
+    }
+  }
+
+  const weighted = WEIGHTS.fit * fit + WEIGHTS.distance * distance
+    + WEIGHTS.quantity * quantity + WEIGHTS.expiry * expiry;
+  return {
+    score: Math.round(Math.min(1, weighted * URGENCY_BOOST[need.urgency]) * 100),
+    distanceKm: distanceKm === null ? null : round(distanceKm),
+    breakdown: { fit: round(fit), distance: round(distance), quantity: round(quantity), expiry: round(expiry) }
+  };
+};
+
+// Highest score first, then the closest
+const byScore = (a, b) => b.score - a.score
+  || (a.distanceKm === null ? Infinity : a.distanceKm) - (b.distanceKm === null ? Infinity : b.distanceKm);
+
+const openNeedWhere = now => ({
+  status: 'open',
+  [Op.or]: [{ neededBy: null }, { neededBy: { [Op.gt]: now } }]
+});
+
+/**
+ * Receivers whose open needs `listing` meets best, highest score first,
+ * each with the one need of theirs it meets best. Only active receivers
+ * whose organization an admin verified are suggested, as only they can
+ * claim.
+ */
+const suggestReceivers = async (listing, { limit = 5, now = new Date() } = {}) => {
+  const needs = await models.Need.findAll({
+    where: openNeedWhere(now),
+    include: [{
+      model: models.User,
+      as: 'receiver',
+      attributes: ['id', 'name', 'organization', 'location', 'isActive', 'notificationPreferences'],
+      where: { isActive: true, organizationVerifiedAt: { [Op.ne]: null } }
+    }]
+  });
+
+  const best = new Map();
+  for (const need of needs) {
+    const match = scoreMatch(listing, need, now);
+    if (match && match.score >= MIN_MATCH_SCORE
+      && !(best.has(need.userId) && best.get(need.userId).score >= match.score)) {
+      best.set(need.userId, { ...match, need, receiver: need.receiver });
+    }
+  }
+  return [...best.values()].sort(byScore).slice(0, limit);
+};
+
+/**
+ * Available listings that meet `need` best, highest score first.
+ */
+const matchingListings = async (need, { limit = 10, now = new Date() } = {}) => {
+  const where = {
+    status: 'available',
+    [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }]
+  };
+  // Cheap bounding-box prefilter in SQL; listings without coordinates stay in
+  if (hasCoordinates(need)) {
+    const box = boundingBox(need.latitude, need.longitude, need.radiusKm);
+    where[Op.and] = [{
+      [Op.or]: [
+        { latitude: null },
+        {
+          latitude: { [Op.between]: [box.minLat, box.maxLat] },
+          longitude: box.minLng === null ? { [Op.ne]: null } : { [Op.between]: [box.minLng, box.maxLng] }
+        }
+      ]
+    }];
+  }
+
+  const listings = await models.Listing.findAll({
+    where,
+    include: [{ model: models.User, as: 'donor', attributes: ['id', 'name', 'organization'] }]
+  });
+
+  return listings
+    .map(listing => ({ match: scoreMatch(listing, need, now), listing }))
+    .filter(({ match }) => match && match.score >= MIN_MATCH_SCORE)
+    .map(({ match, listing }) => ({ ...match, listing }))
+    .sort(byScore)
+    .slice(0, limit);
+};
+
+/**
+ * Tell the receivers whose needs a newly published `listing` meets best,
+ * and its donor, about the match. Returns the receivers who were told
+ * (none when matching failed). Never throws.
+ */
+const notifyMatches = async (listing) => {
+  try {
+    const matches = await suggestReceivers(listing, { limit: NOTIFY_LIMIT });
+    return await notifications.needsMatched(listing, matches);
+  } catch (error) {
+    console.error('Could not match listing against needs:', error);
+    return [];
+  }
+};
+
+/**
+ * A need as shown next to a match, with its quantity as a label.
+ */
+const needSummary = need => ({
+  id: need.id,
+  title: need.title,
+  urgency: need.urgency,
+  quantity: need.quantityAmount ? formatQuantity(need.quantityAmount, need.quantityUnit) : null,
+  days: need.days,
+  neededBy: need.neededBy
+});
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  scoreMatch,
+  suggestReceivers,
+  matchingListings,
+  notifyMatches,
+  needSummary,
+};
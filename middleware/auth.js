@@ -1,427 +1,226 @@
-const express = require('express');
 const jwt = require('jsonwebtoken');
-const router = express.Router();
 const { models } = require('../models/index');
-const { JWT_SECRET } = require('../middleware/auth');
+const { sendError } = require('../utils/response');
 
-/**
- * @swagger
- * tags:
- *   name: Authentication
- *   description: User authentication and registration
- */
+// JWT secret key - In production, use environment variable!
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production-for-hackathon-demo';
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
 /**
- * @swagger
- * components:
- *   schemas:
- *     User:
- *       type: object
- *       required:
- *         - name
- *         - email
- *         - password
- *         - userType
- *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated ID of the user
- *         name:
- *           type: string
- *           description: The user's full name
- *         email:
- *           type: string
- *           description: The user's email address
- *         userType:
- *           type: string
- *           enum: [donor, receiver]
- *           description: The type of user
- *         organization:
- *           type: string
- *           description: The name of the farm or NGO
- *         location:
- *           type: string
- *           description: The user's general location
- *         phone:
- *           type: string
- *           description: The user's phone number
- *         createdAt:
- *           type: string
- *           format: date-time
- *           description: Account creation date
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           description: Last update date
- *       example:
- *         id: 1
- *         name: "John Doe"
- *         email: "john@example.com"
- *         userType: "donor"
- *         organization: "Fresh Farms"
- *         location: "Cape Town"
- *         phone: "+27 123 456 789"
- *         createdAt: "2024-01-15T10:30:00.000Z"
- *         updatedAt: "2024-01-15T10:30:00.000Z"
- * 
- *     AuthResponse:
- *       type: object
- *       properties:
- *         token:
- *           type: string
- *           description: JWT token for authenticated requests
- *         user:
- *           $ref: '#/components/schemas/User'
- *       example:
- *         token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- *         user:
- *           id: 1
- *           name: "John Doe"
- *           email: "john@example.com"
- *           userType: "donor"
- *           organization: "Fresh Farms"
- *           location: "Cape Town"
- *           phone: "+27 123 456 789"
- *           createdAt: "2024-01-15T10:30:00.000Z"
- *           updatedAt: "2024-01-15T10:30:00.000Z"
- * 
- *     ErrorResponse:
- *       type: object
- *       properties:
- *         message:
- *           type: string
- *           description: Error message
- *       example:
- *         message: "User already exists with this email"
- * 
- *   securitySchemes:
- *     bearerAuth:
- *       type: http
- *       scheme: bearer
- *       bearerFormat: JWT
+ * Sign an access token for `user` in the given refresh token session.
+ * `tv` is the user's token version and `sid` the session, both checked by auth.
  */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, userType: user.userType, tv: user.tokenVersion, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
 
 /**
- * @swagger
- * /auth/register:
- *   post:
- *     summary: Register a new user
- *     description: Create a new donor or receiver account
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *               - userType
- *             properties:
- *               name:
- *                 type: string
- *                 example: "John Doe"
- *               email:
- *                 type: string
- *                 example: "john@example.com"
- *               password:
- *                 type: string
- *                 format: password
- *                 example: "securePassword123"
- *               userType:
- *                 type: string
- *                 enum: [donor, receiver]
- *                 example: "donor"
- *               organization:
- *                 type: string
- *                 example: "Fresh Farms"
- *               location:
- *                 type: string
- *                 example: "Cape Town"
- *               phone:
- *                 type: string
- *                 example: "+27 123 456 789"
- *     responses:
- *       201:
- *         description: User successfully registered
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
- *       400:
- *         description: Validation error or user already exists
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ * Authentication middleware to verify JWT tokens
+ * This middleware adds the user object to the request if token is valid
  */
-router.post('/register', async (req, res) => {
+const auth = async (req, res, next) => {
   try {
-    const { name, email, password, userType, organization, location, phone } = req.body;
+    // Get token from Authorization header
+    const authHeader = req.header('Authorization');
 
-    // Validate required fields
-    if (!name || !email || !password || !userType) {
-      return res.status(400).json({ message: 'Name, email, password, and userType are required' });
+    if (!authHeader) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Access denied. No authorization token provided.');
     }
 
-    // Validate userType
-    if (!['donor', 'receiver'].includes(userType)) {
-      return res.status(400).json({ message: 'userType must be either "donor" or "receiver"' });
+    // Check if header has Bearer format
+    if (!authHeader.startsWith('Bearer ')) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Invalid token format. Please use Bearer authentication.');
     }
 
-    // Check if user already exists
-    const existingUser = await models.User.findOne({ where: { email } });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists with this email' });
-    }
+    // Extract token from header
+    const token = authHeader.replace('Bearer ', '').trim();
 
-    // Create new user
-    const user = await models.User.create({
-      name,
-      email,
-      password,
-      userType,
-      organization,
-      location,
-      phone
-    });
-
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    if (!token) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Access denied. No token provided.');
+    }
 
-    // Don't send password back
-    const userResponse = { ...user.toJSON() };
-    delete userResponse.password;
+    // Verify token
+    const decoded = jwt.verify(token, JWT_SECRET);
 
-    res.status(201).json({ 
-      token, 
-      user: userResponse,
-      message: 'User registered successfully' 
+    // Find user in database
+    const user = await models.User.findByPk(decoded.id, {
+      attributes: { exclude: ['password'] } // Don't include password
     });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Internal server error during registration' });
-  }
-});
 
-/**
- * @swagger
- * /auth/login:
- *   post:
- *     summary: Login user
- *     description: Authenticate user and return JWT token
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 example: "john@example.com"
- *               password:
- *                 type: string
- *                 format: password
- *                 example: "securePassword123"
- *     responses:
- *       200:
- *         description: Successful login
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
- *       400:
- *         description: Invalid credentials
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+    if (!user) {
+      return sendError(res, 401, 'TOKEN_INVALID', 'Token is invalid. User not found.');
+    }
 
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
+    if (!user.isActive) {
+      return sendError(res, 403, 'ACCOUNT_SUSPENDED', 'Account is suspended. Please contact support.');
     }
 
-    // Find user
-    const user = await models.User.findOne({ where: { email } });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid email or password' });
+    // Reject tokens from before a password change or logout-all, and from logged out sessions
+    if (decoded.tv !== user.tokenVersion || !decoded.sid
+      || !(await models.RefreshToken.isSessionOpen(decoded.sid))) {
+      return sendError(res, 401, 'TOKEN_REVOKED', 'Token has been revoked. Please login again.');
     }
 
-    // Check password
-    const isPasswordValid = await user.checkPassword(password);
-    if (!isPasswordValid) {
-      return res.status(400).json({ message: 'Invalid email or password' });
+    // Add user, session and token expiry to request object
+    req.user = user;
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
+    next(); // Continue to the next middleware/route
+
+  } catch (error) {
+    console.error('Auth middleware error:', error.message);
+
+    // Handle different JWT error types
+    if (error.name === 'TokenExpiredError') {
+      return sendError(res, 401, 'TOKEN_EXPIRED', 'Token has expired. Please login again.');
     }
 
-    // Generate token
-    const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    if (error.name === 'JsonWebTokenError') {
+      return sendError(res, 401, 'TOKEN_INVALID', 'Invalid token. Please provide a valid token.');
+    }
 
-    // Don't send password back
-    const userResponse = { ...user.toJSON() };
-    delete userResponse.password;
+    if (error.name === 'NotBeforeError') {
+      return sendError(res, 401, 'TOKEN_INVALID', 'Token not active yet.');
+    }
 
-    res.json({ 
-      token, 
-      user: userResponse,
-      message: 'Login successful' 
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Internal server error during login' });
+    // Generic server error
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during authentication.');
   }
-});
+};
 
 /**
- * @swagger
- * /auth/verify:
- *   get:
- *     summary: Verify token
- *     description: Verify if the provided JWT token is valid
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Token is valid
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
- *       401:
- *         description: Invalid or expired token
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       500:
- *         description: Internal server error
+ * Optional middleware to require specific user types
+ * Usage: Use after auth middleware to restrict routes to specific user types
  */
-router.get('/verify', async (req, res) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+const requireUserType = (allowedTypes) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await models.User.findByPk(decoded.id);
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
+    if (!allowedTypes.includes(req.user.userType)) {
+      return sendError(res, 403, 'FORBIDDEN', `Access forbidden. Required user types: ${allowedTypes.join(', ')}`);
     }
 
-    const userResponse = { ...user.toJSON() };
-    delete userResponse.password;
+    next();
+  };
+};
 
-    res.json({ 
-      valid: true, 
-      user: userResponse,
-      message: 'Token is valid' 
-    });
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token expired' });
-    }
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-    res.status(500).json({ message: 'Internal server error during token verification' });
+/**
+ * Middleware to require a verified email address
+ * Use after auth middleware on routes that share or claim food
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
   }
-});
+
+  if (!req.user.isEmailVerified()) {
+    return sendError(res, 403, 'EMAIL_NOT_VERIFIED', 'Please verify your email address before continuing.');
+  }
+
+  next();
+};
 
 /**
- * @swagger
- * /auth/me:
- *   get:
- *     summary: Get current user from token
- *     description: Get user information from the provided JWT token
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: User information retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
- *       401:
- *         description: Invalid or expired token
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       500:
- *         description: Internal server error
+ * Optional middleware to check if user owns a resource
+ * This is useful for routes where users can only access their own data
  */
-router.get('/me', async (req, res) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+const requireOwnership = (modelName, paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const resourceId = req.params[paramName];
+      const resource = await models[modelName].findByPk(resourceId);
+
+      if (!resource) {
+        return sendError(res, 404, 'NOT_FOUND', 'Resource not found.');
+      }
+
+      // Check if the current user owns this resource
+      // Adjust the foreign key field name as needed for your models
+      const ownerField = modelName === 'User' ? 'id' : 'userId';
+      if (resource[ownerField] !== req.user.id) {
+        return sendError(res, 403, 'FORBIDDEN', 'Access denied. You do not own this resource.');
+      }
+
+      // Add resource to request for use in the route handler
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Ownership check error:', error);
+      sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during ownership verification.');
     }
+  };
+};
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await models.User.findByPk(decoded.id);
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
+/**
+ * Middleware for role-based access control (see User.ROLES)
+ * Use after auth middleware, e.g. requireRole('admin') on the admin console
+ */
+const requireRole = (requiredRole) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
     }
 
-    const userResponse = { ...user.toJSON() };
-    delete userResponse.password;
-
-    res.json(userResponse);
-  } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token expired' });
-    }
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ message: 'Invalid token' });
+    if (req.user.role !== requiredRole) {
+      return sendError(res, 403, 'FORBIDDEN', `Insufficient permissions. Required role: ${requiredRole}`);
     }
-    res.status(500).json({ message: 'Internal server error' });
+
+    next();
+  };
+};
+
+/**
+ * Middleware to check if user can claim listings
+ * Only receivers whose organization an admin has verified can claim listings
+ */
+const canClaimListings = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
   }
-});
 
-// Auth middleware to verify JWT and attach user to request
-function auth(req, res, next) {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  if (!token) {
-    return res.status(401).json({ message: 'No token provided' });
+  if (req.user.userType !== 'receiver') {
+    return sendError(res, 403, 'FORBIDDEN', 'Only receivers can claim listings.');
   }
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ message: 'Invalid or expired token' });
+
+  if (!req.user.isOrganizationVerified()) {
+    return sendError(res, 403, 'ORGANIZATION_NOT_VERIFIED',
+      'Your organization must be verified before you can claim listings. Submit it through POST /profile/verification.');
+  }
+
+  next();
+};
+
+/**
+ * Optional middleware to check if user can create listings
+ * Only donors should be able to create listings
+ */
+const canCreateListings = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required.');
+  }
+
+  if (req.user.userType !== 'donor') {
+    return sendError(res, 403, 'FORBIDDEN', 'Only donors can create listings.');
   }
-}
 
-module.exports = { router, auth };
\ No newline at end of file
+  next();
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  auth,
+  requireVerifiedEmail,
+  requireUserType,
+  requireOwnership,
+  requireRole,
+  canClaimListings,
+  canCreateListings
+};
@@ -0,0 +1,94 @@
+const multer = require('multer');
+const { sendError, sendFailure } = require('../utils/response');
+const { ApiError } = require('../utils/errors');
+
+// True when `buffer` holds `bytes` at `offset`
+const hasBytes = (buffer, bytes, offset = 0) =>
+  buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+// The extension each accepted file type is stored under, and a check of its
+// first bytes (the client's Content-Type is not trusted)
+const FILE_TYPES = {
+  'application/pdf': { extension: 'pdf', matches: buffer => hasBytes(buffer, '%PDF-') },
+  'image/jpeg': { extension: 'jpg', matches: buffer => hasBytes(buffer, [0xff, 0xd8, 0xff]) },
+  'image/png': { extension: 'png', matches: buffer => hasBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/webp': { extension: 'webp', matches: buffer => hasBytes(buffer, 'RIFF') && hasBytes(buffer, 'WEBP', 8) },
+};
+
+// Supporting documents for an organization verification request
+const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_DOCUMENTS = 5;
+const MAX_DOCUMENT_BYTES = (Number(process.env.MAX_DOCUMENT_SIZE_MB) || 5) * 1024 * 1024;
+
+// Photos of the food on a listing
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_LISTING_PHOTOS = 5;
+const MAX_PHOTO_BYTES = (Number(process.env.MAX_PHOTO_SIZE_MB) || 8) * 1024 * 1024;
+
+/**
+ * Extension to store an uploaded file under (see FILE_TYPES).
+ */
+const extensionOf = (file) => FILE_TYPES[file.mimetype].extension;
+
+/**
+ * Middleware accepting up to `maxFiles` files of the given `types` in the
+ * multipart field `field`, each at most `maxBytes`. Files are kept in
+ * memory as req.files for the route to store; other form fields end up in
+ * req.body as strings. A rejected upload is a 400 VALIDATION_ERROR.
+ */
+const acceptFiles = (field, { types, maxFiles, maxBytes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: maxFiles, fileSize: maxBytes },
+    fileFilter: (req, file, callback) => {
+      if (!types.includes(file.mimetype)) {
+        return callback(new ApiError(400, 'VALIDATION_ERROR',
+          `${file.originalname} is not an accepted file type. Upload one of: ${types.join(', ')}`, { field }));
+      }
+      callback(null, true);
+    }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Each file must be at most ${Math.floor(maxBytes / (1024 * 1024))} MB`
+        : ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)
+          ? `Upload at most ${maxFiles} file(s) in the "${field}" field`
+          : error.message;
+      return sendError(res, 400, 'VALIDATION_ERROR', message, { field });
+    }
+    if (error) {
+      return sendFailure(res, error, 'Error receiving upload');
+    }
+
+    req.files = req.files || [];
+    const mislabelled = req.files.find(file => !FILE_TYPES[file.mimetype].matches(file.buffer));
+    if (mislabelled) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `${mislabelled.originalname} is not a valid ${mislabelled.mimetype} file`, { field });
+    }
+    next();
+  });
+};
+
+const documentUpload = acceptFiles('documents', {
+  types: DOCUMENT_TYPES,
+  maxFiles: MAX_DOCUMENTS,
+  maxBytes: MAX_DOCUMENT_BYTES
+});
+
+const photoUpload = acceptFiles('photos', {
+  types: PHOTO_TYPES,
+  maxFiles: MAX_LISTING_PHOTOS,
+  maxBytes: MAX_PHOTO_BYTES
+});
+
+module.exports = {
+  FILE_TYPES,
+  MAX_DOCUMENTS,
+  MAX_LISTING_PHOTOS,
+  extensionOf,
+  acceptFiles,
+  documentUpload,
+  photoUpload,
+};
@@ -0,0 +1,124 @@
+/**
+ * The schema as it stood when the app still created it with
+ * sequelize.sync({ force: true }).
+ *
+ * Databases created that way already have these tables. They are adopted
+ * as they are: only columns they are missing get added, as nullable
+ * columns since existing rows have no value for them.
+ */
+
+const TIMESTAMPS = (DataTypes) => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false },
+});
+
+const TABLES = (DataTypes) => ({
+  Users: {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    email: { type: DataTypes.STRING, allowNull: false, unique: true },
+    password: { type: DataTypes.STRING, allowNull: false },
+    userType: { type: DataTypes.STRING, allowNull: false },
+    organization: { type: DataTypes.STRING },
+    location: { type: DataTypes.STRING },
+    latitude: { type: DataTypes.FLOAT },
+    longitude: { type: DataTypes.FLOAT },
+    phone: { type: DataTypes.STRING },
+    ...TIMESTAMPS(DataTypes),
+  },
+  Listings: {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    foodType: { type: DataTypes.STRING, allowNull: false },
+    quantity: { type: DataTypes.STRING, allowNull: false },
+    quantityAmount: { type: DataTypes.FLOAT },
+    quantityUnit: { type: DataTypes.TEXT },
+    estimatedMeals: { type: DataTypes.FLOAT, defaultValue: 0 },
+    description: { type: DataTypes.TEXT },
+    location: { type: DataTypes.STRING, allowNull: false },
+    latitude: { type: DataTypes.FLOAT },
+    longitude: { type: DataTypes.FLOAT },
+    status: { type: DataTypes.TEXT, defaultValue: 'available' },
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    remainingAmount: { type: DataTypes.FLOAT },
+    bestBefore: { type: DataTypes.DATE },
+    useBy: { type: DataTypes.DATE },
+    expiresAt: { type: DataTypes.DATE },
+    perishability: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'dry_goods' },
+    storageConditions: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'ambient' },
+    cancelledAt: { type: DataTypes.DATE },
+    cancellationReason: { type: DataTypes.STRING },
+    ...TIMESTAMPS(DataTypes),
+  },
+  Claims: {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    listingId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'Listings', key: 'id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+    },
+    receiverId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' },
+      onDelete: 'NO ACTION',
+      onUpdate: 'CASCADE',
+    },
+    quantityAmount: { type: DataTypes.FLOAT },
+    status: { type: DataTypes.TEXT, defaultValue: 'reserved' },
+    pickupScheduledFor: { type: DataTypes.DATE },
+    pickedUpAt: { type: DataTypes.DATE },
+    completedAt: { type: DataTypes.DATE },
+    closedAt: { type: DataTypes.DATE },
+    ...TIMESTAMPS(DataTypes),
+  },
+  IdempotencyKeys: {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    key: { type: DataTypes.STRING, allowNull: false },
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    requestHash: { type: DataTypes.STRING, allowNull: false },
+    statusCode: { type: DataTypes.INTEGER, allowNull: false },
+    responseBody: { type: DataTypes.TEXT, allowNull: false },
+    ...TIMESTAMPS(DataTypes),
+  },
+});
+
+const INDEXES = [
+  ['Listings', ['latitude', 'longitude'], { name: 'listings_latitude_longitude' }],
+  ['IdempotencyKeys', ['userId', 'key'], { name: 'idempotency_keys_user_id_key', unique: true }],
+];
+
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const tables = TABLES(Sequelize.DataTypes);
+
+    for (const [table, columns] of Object.entries(tables)) {
+      if (!(await queryInterface.tableExists(table, { transaction }))) {
+        await queryInterface.createTable(table, columns, { transaction });
+        continue;
+      }
+
+      const existing = await queryInterface.describeTable(table, { transaction });
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!existing[column]) {
+          const { references, onDelete, onUpdate, allowNull, ...nullable } = definition;
+          await queryInterface.addColumn(table, column, nullable, { transaction });
+        }
+      }
+    }
+
+    for (const [table, fields, options] of INDEXES) {
+      const indexes = await queryInterface.showIndex(table, { transaction });
+      if (!indexes.some(index => index.name === options.name)) {
+        await queryInterface.addIndex(table, fields, { ...options, transaction });
+      }
+    }
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    for (const table of ['IdempotencyKeys', 'Claims', 'Listings', 'Users']) {
+      await queryInterface.dropTable(table, { transaction });
+    }
+  },
+};
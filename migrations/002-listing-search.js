@@ -0,0 +1,10 @@
+/**
+ * Full-text search index over listings (see models/listingSearch.js).
+ */
+const { setupListingSearch, dropListingSearch } = require('../models/listingSearch');
+
+module.exports = {
+  up: ({ sequelize, transaction }) => setupListingSearch(sequelize, { transaction }),
+
+  down: ({ sequelize, transaction }) => dropListingSearch(sequelize, { transaction }),
+};
@@ -0,0 +1,37 @@
+/**
+ * Parse the legacy free-text `quantity` of existing listings ("5 kg",
+ * "10 boxes") into quantityAmount / quantityUnit, compute estimatedMeals and
+ * set the remaining balance: the full amount while the listing is still
+ * available, nothing once it has been claimed. Listings whose quantity
+ * cannot be parsed are left as they are and logged.
+ */
+const { parseQuantity, toMeals } = require('../utils/quantity');
+
+module.exports = {
+  up: async ({ sequelize, transaction }) => {
+    const [rows] = await sequelize.query(
+      'SELECT id, quantity FROM Listings WHERE quantityAmount IS NULL',
+      { transaction }
+    );
+
+    for (const row of rows) {
+      const parsed = parseQuantity(row.quantity);
+      if (!parsed) {
+        console.log(`  Could not parse the quantity of listing ${row.id}: "${row.quantity}"`);
+        continue;
+      }
+      await sequelize.query(
+        `UPDATE Listings SET quantityAmount = ?, quantityUnit = ?, estimatedMeals = ?,
+           remainingAmount = COALESCE(remainingAmount, CASE WHEN status = 'available' THEN ? ELSE 0 END)
+         WHERE id = ?`,
+        {
+          replacements: [parsed.amount, parsed.unit, toMeals(parsed.amount, parsed.unit), parsed.amount, row.id],
+          transaction,
+        }
+      );
+    }
+  },
+
+  // Data only: the parsed values are still valid under the old schema
+  down: async () => {},
+};
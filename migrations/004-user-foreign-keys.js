@@ -0,0 +1,150 @@
+/**
+ * Foreign keys from listings, claims and idempotency keys to their users.
+ *
+ * - Listings.userId: a donor with listings cannot be deleted (RESTRICT)
+ * - Claims.receiverId: a receiver with claims cannot be deleted (RESTRICT)
+ * - Claims.listingId: claims go with their listing (CASCADE, unchanged)
+ * - IdempotencyKeys.userId: stored responses go with their user (CASCADE)
+ *
+ * SQLite cannot add constraints to existing columns, so each table is
+ * rebuilt: created under a new name, filled from the old one, and swapped in.
+ * Rows that would break the new constraints stop the migration instead of
+ * being dropped.
+ */
+const { setupListingSearch, dropListingSearch } = require('../models/listingSearch');
+
+const TIMESTAMPS = (DataTypes) => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false },
+});
+
+const USER_KEY = (onDelete) => ({
+  references: { model: 'Users', key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE',
+});
+
+const LISTINGS = (DataTypes, onDelete) => ({
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  foodType: { type: DataTypes.STRING, allowNull: false },
+  quantity: { type: DataTypes.STRING, allowNull: false },
+  quantityAmount: { type: DataTypes.FLOAT },
+  quantityUnit: { type: DataTypes.TEXT },
+  estimatedMeals: { type: DataTypes.FLOAT, defaultValue: 0 },
+  description: { type: DataTypes.TEXT },
+  location: { type: DataTypes.STRING, allowNull: false },
+  latitude: { type: DataTypes.FLOAT },
+  longitude: { type: DataTypes.FLOAT },
+  status: { type: DataTypes.TEXT, defaultValue: 'available' },
+  userId: { type: DataTypes.INTEGER, allowNull: false, ...(onDelete && USER_KEY(onDelete)) },
+  remainingAmount: { type: DataTypes.FLOAT },
+  bestBefore: { type: DataTypes.DATE },
+  useBy: { type: DataTypes.DATE },
+  expiresAt: { type: DataTypes.DATE },
+  perishability: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'dry_goods' },
+  storageConditions: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'ambient' },
+  cancelledAt: { type: DataTypes.DATE },
+  cancellationReason: { type: DataTypes.STRING },
+  ...TIMESTAMPS(DataTypes),
+});
+
+const CLAIMS = (DataTypes, onDelete) => ({
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  listingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'Listings', key: 'id' },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE',
+  },
+  receiverId: { type: DataTypes.INTEGER, allowNull: false, ...USER_KEY(onDelete) },
+  quantityAmount: { type: DataTypes.FLOAT },
+  status: { type: DataTypes.TEXT, defaultValue: 'reserved' },
+  pickupScheduledFor: { type: DataTypes.DATE },
+  pickedUpAt: { type: DataTypes.DATE },
+  completedAt: { type: DataTypes.DATE },
+  closedAt: { type: DataTypes.DATE },
+  ...TIMESTAMPS(DataTypes),
+});
+
+const IDEMPOTENCY_KEYS = (DataTypes, onDelete) => ({
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  key: { type: DataTypes.STRING, allowNull: false },
+  userId: { type: DataTypes.INTEGER, allowNull: false, ...(onDelete && USER_KEY(onDelete)) },
+  requestHash: { type: DataTypes.STRING, allowNull: false },
+  statusCode: { type: DataTypes.INTEGER, allowNull: false },
+  responseBody: { type: DataTypes.TEXT, allowNull: false },
+  ...TIMESTAMPS(DataTypes),
+});
+
+// Table definitions after (up) and before (down) this migration
+const SCHEMAS = {
+  up: (DataTypes) => ({
+    Listings: LISTINGS(DataTypes, 'RESTRICT'),
+    Claims: CLAIMS(DataTypes, 'RESTRICT'),
+    IdempotencyKeys: IDEMPOTENCY_KEYS(DataTypes, 'CASCADE'),
+  }),
+  down: (DataTypes) => ({
+    Listings: LISTINGS(DataTypes, null),
+    Claims: CLAIMS(DataTypes, 'NO ACTION'),
+    IdempotencyKeys: IDEMPOTENCY_KEYS(DataTypes, null),
+  }),
+};
+
+const INDEXES = [
+  ['Listings', ['latitude', 'longitude'], { name: 'listings_latitude_longitude' }],
+  ['IdempotencyKeys', ['userId', 'key'], { name: 'idempotency_keys_user_id_key', unique: true }],
+];
+
+// Rows the new constraints would reject, as human-readable descriptions
+const ORPHAN_CHECKS = [
+  ['listing(s) without an existing donor',
+    'SELECT id FROM Listings WHERE userId IS NULL OR userId NOT IN (SELECT id FROM Users)'],
+  ['claim(s) without an existing receiver',
+    'SELECT id FROM Claims WHERE receiverId NOT IN (SELECT id FROM Users)'],
+  ['claim(s) without an existing listing',
+    'SELECT id FROM Claims WHERE listingId NOT IN (SELECT id FROM Listings)'],
+];
+
+const rebuildTable = async (queryInterface, table, columns, transaction) => {
+  const newTable = `${table}_new`;
+  const names = Object.keys(columns).map(column => `\`${column}\``).join(', ');
+
+  await queryInterface.createTable(newTable, columns, { transaction });
+  await queryInterface.sequelize.query(
+    `INSERT INTO \`${newTable}\` (${names}) SELECT ${names} FROM \`${table}\``,
+    { transaction }
+  );
+  await queryInterface.dropTable(table, { transaction });
+  await queryInterface.renameTable(newTable, table, { transaction });
+};
+
+const rebuild = (direction) => async ({ queryInterface, sequelize, Sequelize, transaction }) => {
+  if (direction === 'up') {
+    for (const [description, sql] of ORPHAN_CHECKS) {
+      const [rows] = await sequelize.query(sql, { transaction });
+      if (rows.length) {
+        throw new Error(`Found ${rows.length} ${description} (ids: ${rows.map(row => row.id).join(', ')}). `
+          + 'Reassign or delete them before migrating.');
+      }
+    }
+  }
+
+  // The search triggers refer to Listings and would block renaming it
+  await dropListingSearch(sequelize, { transaction });
+
+  for (const [table, columns] of Object.entries(SCHEMAS[direction](Sequelize.DataTypes))) {
+    await rebuildTable(queryInterface, table, columns, transaction);
+  }
+  for (const [table, fields, options] of INDEXES) {
+    await queryInterface.addIndex(table, fields, { ...options, transaction });
+  }
+
+  await setupListingSearch(sequelize, { transaction });
+};
+
+module.exports = {
+  foreignKeys: false,
+  up: rebuild('up'),
+  down: rebuild('down'),
+};
@@ -0,0 +1,42 @@
+/**
+ * Server-side refresh tokens, and a token version on users so every
+ * session can be ended at once (password change, logout everywhere).
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('Users', 'tokenVersion', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    }, { transaction });
+
+    await queryInterface.createTable('RefreshTokens', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      sessionId: { type: DataTypes.UUID, allowNull: false },
+      tokenHash: { type: DataTypes.STRING, allowNull: false, unique: true },
+      tokenVersion: { type: DataTypes.INTEGER, allowNull: false },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      revokedAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('RefreshTokens', ['sessionId'], { name: 'refresh_tokens_session_id', transaction });
+    await queryInterface.addIndex('RefreshTokens', ['userId'], { name: 'refresh_tokens_user_id', transaction });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('RefreshTokens', { transaction });
+    // queryInterface.removeColumn would rebuild Users, dropping its triggers
+    await sequelize.query('ALTER TABLE Users DROP COLUMN tokenVersion', { transaction });
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Email verification and password reset tokens.
+ *
+ * Accounts that already exist are treated as verified from their creation
+ * date, so nobody who was already using the app is locked out of it.
+ */
+module.exports = {
+  up: async ({ queryInterface, sequelize, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', { type: DataTypes.DATE }, { transaction });
+    await sequelize.query('UPDATE Users SET emailVerifiedAt = createdAt', { transaction });
+
+    await queryInterface.createTable('VerificationTokens', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      purpose: { type: DataTypes.TEXT, allowNull: false },
+      tokenHash: { type: DataTypes.STRING, allowNull: false, unique: true },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      usedAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('VerificationTokens', ['userId', 'purpose'], {
+      name: 'verification_tokens_user_id_purpose',
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('VerificationTokens', { transaction });
+    // queryInterface.removeColumn would rebuild Users, dropping its triggers
+    await sequelize.query('ALTER TABLE Users DROP COLUMN emailVerifiedAt', { transaction });
+  },
+};
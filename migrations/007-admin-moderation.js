@@ -0,0 +1,78 @@
+/**
+ * Admin role and account suspension on users, reports filed by users
+ * against listings or other users, and the audit log of admin actions.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('Users', 'role', {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'user',
+    }, { transaction });
+    await queryInterface.addColumn('Users', 'isActive', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    }, { transaction });
+    await queryInterface.addColumn('Users', 'suspendedAt', { type: DataTypes.DATE }, { transaction });
+    await queryInterface.addColumn('Users', 'suspensionReason', { type: DataTypes.TEXT }, { transaction });
+
+    await queryInterface.createTable('Reports', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      reporterId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      targetType: { type: DataTypes.TEXT, allowNull: false },
+      targetId: { type: DataTypes.INTEGER, allowNull: false },
+      reason: { type: DataTypes.TEXT, allowNull: false },
+      details: { type: DataTypes.TEXT },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'open' },
+      reviewedById: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      reviewedAt: { type: DataTypes.DATE },
+      resolution: { type: DataTypes.TEXT },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('Reports', ['status'], { name: 'reports_status', transaction });
+    await queryInterface.addIndex('Reports', ['targetType', 'targetId'], { name: 'reports_target', transaction });
+
+    await queryInterface.createTable('AuditLogs', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      actorId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      action: { type: DataTypes.STRING, allowNull: false },
+      targetType: { type: DataTypes.STRING, allowNull: false },
+      targetId: { type: DataTypes.INTEGER, allowNull: false },
+      details: { type: DataTypes.TEXT },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('AuditLogs', ['targetType', 'targetId'], { name: 'audit_logs_target', transaction });
+    await queryInterface.addIndex('AuditLogs', ['actorId'], { name: 'audit_logs_actor_id', transaction });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('AuditLogs', { transaction });
+    await queryInterface.dropTable('Reports', { transaction });
+    // queryInterface.removeColumn would rebuild Users, dropping its triggers
+    for (const column of ['suspensionReason', 'suspendedAt', 'isActive', 'role']) {
+      await sequelize.query(`ALTER TABLE Users DROP COLUMN ${column}`, { transaction });
+    }
+  },
+};
@@ -0,0 +1,79 @@
+/**
+ * Verification of receiving organizations: the details and documents a
+ * receiver submits, and when an admin approved them.
+ *
+ * Existing receivers are not grandfathered; they have to submit their
+ * organization for review like new ones before they can claim again.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('Users', 'organizationVerifiedAt', { type: DataTypes.DATE }, { transaction });
+
+    await queryInterface.createTable('OrganizationVerifications', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      organizationName: { type: DataTypes.STRING, allowNull: false },
+      registrationNumber: { type: DataTypes.STRING, allowNull: false },
+      address: { type: DataTypes.STRING, allowNull: false },
+      contactPerson: { type: DataTypes.STRING, allowNull: false },
+      contactPhone: { type: DataTypes.STRING },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'pending' },
+      reviewedById: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      reviewedAt: { type: DataTypes.DATE },
+      rejectionReason: { type: DataTypes.TEXT },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('OrganizationVerifications', ['userId'], {
+      name: 'organization_verifications_user_id',
+      transaction,
+    });
+    await queryInterface.addIndex('OrganizationVerifications', ['status'], {
+      name: 'organization_verifications_status',
+      transaction,
+    });
+
+    await queryInterface.createTable('OrganizationDocuments', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      verificationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'OrganizationVerifications', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      storageKey: { type: DataTypes.STRING, allowNull: false, unique: true },
+      fileName: { type: DataTypes.STRING, allowNull: false },
+      contentType: { type: DataTypes.STRING, allowNull: false },
+      size: { type: DataTypes.INTEGER, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('OrganizationDocuments', ['verificationId'], {
+      name: 'organization_documents_verification_id',
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('OrganizationDocuments', { transaction });
+    await queryInterface.dropTable('OrganizationVerifications', { transaction });
+    // queryInterface.removeColumn would rebuild Users, dropping its triggers
+    await sequelize.query('ALTER TABLE Users DROP COLUMN organizationVerifiedAt', { transaction });
+  },
+};
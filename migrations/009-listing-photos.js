@@ -0,0 +1,34 @@
+/**
+ * Photos of the food on a listing. The files themselves are in storage.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('ListingPhotos', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      listingId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Listings', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      storageKey: { type: DataTypes.STRING, allowNull: false, unique: true },
+      thumbnailKey: { type: DataTypes.STRING, allowNull: false, unique: true },
+      contentType: { type: DataTypes.STRING, allowNull: false },
+      width: { type: DataTypes.INTEGER, allowNull: false },
+      height: { type: DataTypes.INTEGER, allowNull: false },
+      size: { type: DataTypes.INTEGER, allowNull: false },
+      position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('ListingPhotos', ['listingId'], { name: 'listing_photos_listing_id', transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('ListingPhotos', { transaction });
+  },
+};
@@ -0,0 +1,52 @@
+/**
+ * In-app notifications, each user's choice of which kinds they get, and
+ * when a listing's donor and receivers were warned that it expires soon.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('Notifications', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      type: { type: DataTypes.TEXT, allowNull: false },
+      title: { type: DataTypes.STRING, allowNull: false },
+      body: { type: DataTypes.TEXT, allowNull: false },
+      listingId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Listings', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      claimId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Claims', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      readAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('Notifications', ['userId', 'readAt'], {
+      name: 'notifications_user_id_read_at',
+      transaction,
+    });
+
+    await queryInterface.addColumn('Users', 'notificationPreferences', { type: DataTypes.TEXT }, { transaction });
+    await queryInterface.addColumn('Listings', 'expiryWarnedAt', { type: DataTypes.DATE }, { transaction });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('Notifications', { transaction });
+    // queryInterface.removeColumn would rebuild the tables, dropping their triggers
+    await sequelize.query('ALTER TABLE Users DROP COLUMN notificationPreferences', { transaction });
+    await sequelize.query('ALTER TABLE Listings DROP COLUMN expiryWarnedAt', { transaction });
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Log of listing changes behind the real-time listing stream, kept so
+ * clients can resume from the last event they saw.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    // No foreign key on listingId: events outlive deleted listings
+    await queryInterface.createTable('ListingEvents', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      type: { type: DataTypes.TEXT, allowNull: false },
+      listingId: { type: DataTypes.INTEGER, allowNull: false },
+      listing: { type: DataTypes.TEXT, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('ListingEvents', ['createdAt'], { name: 'listing_events_created_at', transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('ListingEvents', { transaction });
+  },
+};
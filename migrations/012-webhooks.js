@@ -0,0 +1,70 @@
+/**
+ * Outbound webhooks: the URLs partners registered for listing events, and
+ * the log of every delivery to them.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('WebhookSubscriptions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      url: { type: DataTypes.STRING(2048), allowNull: false },
+      events: { type: DataTypes.TEXT, allowNull: false },
+      secret: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.STRING },
+      isActive: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('WebhookSubscriptions', ['userId'], {
+      name: 'webhook_subscriptions_user_id',
+      transaction,
+    });
+
+    await queryInterface.createTable('WebhookDeliveries', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      subscriptionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'WebhookSubscriptions', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      eventId: { type: DataTypes.STRING, allowNull: false },
+      eventType: { type: DataTypes.TEXT, allowNull: false },
+      payload: { type: DataTypes.TEXT, allowNull: false },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'pending' },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      nextAttemptAt: { type: DataTypes.DATE },
+      lastAttemptAt: { type: DataTypes.DATE },
+      responseStatus: { type: DataTypes.INTEGER },
+      responseBody: { type: DataTypes.TEXT },
+      error: { type: DataTypes.TEXT },
+      deliveredAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('WebhookDeliveries', ['subscriptionId'], {
+      name: 'webhook_deliveries_subscription_id',
+      transaction,
+    });
+    await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt'], {
+      name: 'webhook_deliveries_status_next_attempt_at',
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('WebhookDeliveries', { transaction });
+    await queryInterface.dropTable('WebhookSubscriptions', { transaction });
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * Donor pickup windows on listings, and delivery jobs for volunteers who
+ * carry claimed food from the donor to the receiver. Volunteers are a
+ * new userType, which needs no schema change.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('Listings', 'pickupWindows', { type: DataTypes.TEXT }, { transaction });
+
+    await queryInterface.createTable('DeliveryJobs', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      claimId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Claims', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      listingId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Listings', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      volunteerId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE',
+      },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'open' },
+      dropoffLocation: { type: DataTypes.STRING, allowNull: false },
+      dropoffLatitude: { type: DataTypes.FLOAT },
+      dropoffLongitude: { type: DataTypes.FLOAT },
+      notes: { type: DataTypes.TEXT },
+      assignedAt: { type: DataTypes.DATE },
+      enRouteAt: { type: DataTypes.DATE },
+      deliveredAt: { type: DataTypes.DATE },
+      cancelledAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('DeliveryJobs', ['claimId'], {
+      name: 'delivery_jobs_claim_id',
+      transaction,
+    });
+    await queryInterface.addIndex('DeliveryJobs', ['status'], {
+      name: 'delivery_jobs_status',
+      transaction,
+    });
+    await queryInterface.addIndex('DeliveryJobs', ['volunteerId'], {
+      name: 'delivery_jobs_volunteer_id',
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('DeliveryJobs', { transaction });
+    // queryInterface.removeColumn would rebuild the table, dropping its triggers
+    await sequelize.query('ALTER TABLE Listings DROP COLUMN pickupWindows', { transaction });
+  },
+};
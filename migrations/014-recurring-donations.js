@@ -0,0 +1,96 @@
+/**
+ * Listing templates that donors save once, and recurring donations that
+ * publish a listing from a template on a schedule. Listings remember the
+ * recurring donation that published them.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('ListingTemplates', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      name: { type: DataTypes.STRING, allowNull: false },
+      foodType: { type: DataTypes.STRING, allowNull: false },
+      quantityAmount: { type: DataTypes.FLOAT, allowNull: false },
+      quantityUnit: { type: DataTypes.TEXT, allowNull: false },
+      description: { type: DataTypes.TEXT },
+      location: { type: DataTypes.STRING, allowNull: false },
+      latitude: { type: DataTypes.FLOAT },
+      longitude: { type: DataTypes.FLOAT },
+      perishability: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'dry_goods' },
+      storageConditions: { type: DataTypes.TEXT },
+      bestBeforeHours: { type: DataTypes.FLOAT },
+      useByHours: { type: DataTypes.FLOAT },
+      pickupHours: { type: DataTypes.FLOAT },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('ListingTemplates', ['userId'], {
+      name: 'listing_templates_user_id',
+      transaction,
+    });
+
+    await queryInterface.createTable('RecurringDonations', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      templateId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'ListingTemplates', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      rrule: { type: DataTypes.STRING, allowNull: false },
+      time: { type: DataTypes.STRING(5), allowNull: false },
+      timezone: { type: DataTypes.STRING, allowNull: false },
+      startsOn: { type: DataTypes.DATEONLY, allowNull: false },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'active' },
+      skippedOccurrences: { type: DataTypes.TEXT },
+      nextRunAt: { type: DataTypes.DATE },
+      lastRunAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('RecurringDonations', ['userId'], {
+      name: 'recurring_donations_user_id',
+      transaction,
+    });
+    await queryInterface.addIndex('RecurringDonations', ['templateId'], {
+      name: 'recurring_donations_template_id',
+      transaction,
+    });
+    await queryInterface.addIndex('RecurringDonations', ['status', 'nextRunAt'], {
+      name: 'recurring_donations_status_next_run_at',
+      transaction,
+    });
+
+    await queryInterface.addColumn('Listings', 'recurringDonationId', {
+      type: DataTypes.INTEGER,
+      references: { model: 'RecurringDonations', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE',
+    }, { transaction });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    // queryInterface.removeColumn would rebuild the table, dropping its triggers
+    await sequelize.query('ALTER TABLE Listings DROP COLUMN recurringDonationId', { transaction });
+    await queryInterface.dropTable('RecurringDonations', { transaction });
+    await queryInterface.dropTable('ListingTemplates', { transaction });
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * Needs: standing or one-off requests for food that receivers post, which
+ * new listings are matched against. The new notification types need no
+ * schema change.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('Needs', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      title: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT },
+      categories: { type: DataTypes.TEXT },
+      keywords: { type: DataTypes.TEXT },
+      quantityAmount: { type: DataTypes.FLOAT },
+      quantityUnit: { type: DataTypes.TEXT },
+      location: { type: DataTypes.STRING, allowNull: false },
+      latitude: { type: DataTypes.FLOAT },
+      longitude: { type: DataTypes.FLOAT },
+      radiusKm: { type: DataTypes.FLOAT, allowNull: false },
+      urgency: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'normal' },
+      days: { type: DataTypes.TEXT },
+      neededBy: { type: DataTypes.DATE },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'open' },
+      closedAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('Needs', ['userId'], {
+      name: 'needs_user_id',
+      transaction,
+    });
+    await queryInterface.addIndex('Needs', ['status'], {
+      name: 'needs_status',
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('Needs', { transaction });
+  },
+};
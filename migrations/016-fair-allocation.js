@@ -0,0 +1,73 @@
+/**
+ * Fair allocation: the allocation policy of each listing, the decision
+ * recorded on each claim, and the claim requests a listing in lottery
+ * mode collects before they are drawn. The new notification type needs
+ * no schema change.
+ */
+module.exports = {
+  up: async ({ queryInterface, Sequelize, transaction }) => {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('Listings', 'allocationMode', {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: 'first_come',
+    }, { transaction });
+    await queryInterface.addColumn('Listings', 'priorityUntil', { type: DataTypes.DATE }, { transaction });
+    await queryInterface.addColumn('Listings', 'lotteryEndsAt', { type: DataTypes.DATE }, { transaction });
+    await queryInterface.addColumn('Listings', 'lotteryDrawnAt', { type: DataTypes.DATE }, { transaction });
+    await queryInterface.addColumn('Claims', 'allocation', { type: DataTypes.TEXT }, { transaction });
+
+    await queryInterface.createTable('ClaimRequests', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      listingId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Listings', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      receiverId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      quantityAmount: { type: DataTypes.FLOAT },
+      status: { type: DataTypes.TEXT, allowNull: false, defaultValue: 'pending' },
+      claimId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Claims', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      allocation: { type: DataTypes.TEXT },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+
+    await queryInterface.addIndex('ClaimRequests', ['listingId', 'status'], {
+      name: 'claim_requests_listing_id_status',
+      transaction,
+    });
+    await queryInterface.addIndex('ClaimRequests', ['receiverId'], {
+      name: 'claim_requests_receiver_id',
+      transaction,
+    });
+    await queryInterface.addIndex('Listings', ['lotteryEndsAt'], {
+      name: 'listings_lottery_ends_at',
+      transaction,
+    });
+  },
+
+  down: async ({ queryInterface, sequelize, transaction }) => {
+    await queryInterface.dropTable('ClaimRequests', { transaction });
+    await queryInterface.removeIndex('Listings', 'listings_lottery_ends_at', { transaction });
+    // queryInterface.removeColumn would rebuild the tables, dropping their triggers
+    for (const column of ['allocationMode', 'priorityUntil', 'lotteryEndsAt', 'lotteryDrawnAt']) {
+      await sequelize.query(`ALTER TABLE Listings DROP COLUMN ${column}`, { transaction });
+    }
+    await sequelize.query('ALTER TABLE Claims DROP COLUMN allocation', { transaction });
+  },
+};
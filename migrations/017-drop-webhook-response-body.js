@@ -0,0 +1,14 @@
+/**
+ * Webhook deliveries no longer keep the partner's response body, only its
+ * status: the body of a response from an arbitrary URL is not ours to
+ * store or show.
+ */
+module.exports = {
+  up: async ({ sequelize, transaction }) => {
+    await sequelize.query('ALTER TABLE WebhookDeliveries DROP COLUMN responseBody', { transaction });
+  },
+
+  down: async ({ queryInterface, Sequelize, transaction }) => {
+    await queryInterface.addColumn('WebhookDeliveries', 'responseBody', { type: Sequelize.DataTypes.TEXT }, { transaction });
+  },
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Append-only record of an admin action: who did what to which record.
+ * `details` holds whatever context the action needs (a reason, the state
+ * of a deleted listing, ...) as JSON.
+ */
+const AuditLog = sequelize.define('AuditLog', {
+  // Null for actions taken from the command line, or once the admin is deleted
+  actorId: DataTypes.INTEGER,
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  targetType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  targetId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  details: {
+    type: DataTypes.TEXT,
+    get() {
+      const value = this.getDataValue('details');
+      return value == null ? null : JSON.parse(value);
+    },
+    set(value) {
+      this.setDataValue('details', value == null ? null : JSON.stringify(value));
+    },
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['actorId'] },
+  ],
+});
+
+/**
+ * Record that `actor` (a user, or null) performed `action` on the record
+ * `targetType` #`targetId`. Pass the transaction of the change itself so the
+ * entry is written if and only if the change is.
+ */
+AuditLog.record = (actor, action, { targetType, targetId }, details = null, options = {}) => AuditLog.create({
+  actorId: actor ? actor.id : null,
+  action,
+  targetType,
+  targetId,
+  details,
+}, options);
+
+module.exports = AuditLog;
@@ -0,0 +1,137 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const TransitionError = require('./transitionError');
+
+// Every status a claim can be in over its lifetime
+const CLAIM_STATUSES = [
+  'reserved',
+  'pickup_scheduled',
+  'picked_up',
+  'completed',
+  'released',
+  'cancelled',
+  'expired',
+];
+
+// Claims in these statuses still hold their share of the listing
+const ACTIVE_CLAIM_STATUSES = ['reserved', 'pickup_scheduled', 'picked_up', 'completed'];
+
+/**
+ * Allowed status moves, keyed by action name.
+ * `actor` says which party may perform the move:
+ *  - 'donor'    -> the user who created the listing
+ *  - 'receiver' -> the NGO that made the claim
+ *  - 'system'   -> internal jobs only, never exposed through the API
+ */
+const CLAIM_TRANSITIONS = {
+  schedulePickup: { from: ['reserved'], to: 'pickup_scheduled', actor: 'receiver' },
+  confirmPickup: { from: ['pickup_scheduled'], to: 'picked_up', actor: 'donor' },
+  complete: { from: ['picked_up'], to: 'completed', actor: 'receiver' },
+  // A volunteer dropped the food off at the receiver (see DeliveryJob)
+  completeDelivery: { from: ['reserved', 'pickup_scheduled', 'picked_up'], to: 'completed', actor: 'system' },
+  release: { from: ['reserved', 'pickup_scheduled'], to: 'released', actor: 'receiver' },
+  cancel: { from: ['reserved', 'pickup_scheduled'], to: 'cancelled', actor: 'system' },
+  expire: { from: ['reserved', 'pickup_scheduled'], to: 'expired', actor: 'system' },
+};
+
+const Claim = sequelize.define('Claim', {
+  listingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  receiverId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Claimed amount in the listing's quantityUnit (null = the whole of a legacy listing)
+  quantityAmount: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  status: {
+    type: DataTypes.ENUM(...CLAIM_STATUSES),
+    defaultValue: 'reserved',
+  },
+  // Lifecycle timestamps, filled in as the claim moves through its states
+  pickupScheduledFor: DataTypes.DATE,
+  pickedUpAt: DataTypes.DATE,
+  completedAt: DataTypes.DATE,
+  closedAt: DataTypes.DATE, // released, cancelled or expired
+  // Why the receiver got this claim under the allocation policy, as JSON
+  // (see allocation/index.js); null for claims made before it existed
+  allocation: {
+    type: DataTypes.TEXT,
+    get() {
+      const stored = this.getDataValue('allocation');
+      return stored == null ? null : JSON.parse(stored);
+    },
+    set(value) {
+      this.setDataValue('allocation', value == null ? null : JSON.stringify(value));
+    },
+  },
+});
+
+/**
+ * True while the claim still holds its share of the listing.
+ */
+Claim.prototype.isActive = function () {
+  return ACTIVE_CLAIM_STATUSES.includes(this.status);
+};
+
+/**
+ * Check that `user` may perform `action` on this claim of `listing` and
+ * apply the resulting status change (without saving). Throws
+ * TransitionError when the move is illegal.
+ */
+Claim.prototype.transition = function (action, user, listing) {
+  const rule = CLAIM_TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown claim action "${action}"`, 400);
+  }
+
+  if (rule.actor === 'donor' && (!user || listing.userId !== user.id)) {
+    throw new TransitionError('Only the donor of this listing can do this', 403);
+  }
+  if (rule.actor === 'receiver' && (!user || this.receiverId !== user.id)) {
+    throw new TransitionError('Only the receiver who made this claim can do this', 403);
+  }
+  if (rule.actor === 'system' && user) {
+    throw new TransitionError(`"${action}" can only be performed by the system`, 403);
+  }
+
+  if (!rule.from.includes(this.status)) {
+    throw new TransitionError(
+      `Cannot ${action} a claim that is ${this.status} (allowed from: ${rule.from.join(', ')})`,
+      409
+    );
+  }
+
+  const now = new Date();
+  switch (action) {
+    case 'confirmPickup':
+      this.pickedUpAt = now;
+      break;
+    case 'complete':
+      this.completedAt = now;
+      break;
+    case 'completeDelivery':
+      this.pickedUpAt = this.pickedUpAt || now;
+      this.completedAt = now;
+      break;
+    case 'release':
+    case 'cancel':
+    case 'expire':
+      this.closedAt = now;
+      break;
+  }
+
+  this.status = rule.to;
+  return this;
+};
+
+Claim.STATUSES = CLAIM_STATUSES;
+Claim.ACTIVE_STATUSES = ACTIVE_CLAIM_STATUSES;
+Claim.TRANSITIONS = CLAIM_TRANSITIONS;
+Claim.TransitionError = TransitionError;
+
+module.exports = Claim;
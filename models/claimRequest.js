@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const TransitionError = require('./transitionError');
+
+// Pending until the lottery is drawn; then the receiver either got a claim or did not
+const REQUEST_STATUSES = ['pending', 'allocated', 'unsuccessful', 'withdrawn'];
+
+/**
+ * Allowed status moves, keyed by action name.
+ * `actor` says which party may perform the move:
+ *  - 'receiver' -> the NGO that entered the lottery
+ *  - 'system'   -> the lottery draw, never exposed through the API
+ */
+const REQUEST_TRANSITIONS = {
+  withdraw: { from: ['pending'], to: 'withdrawn', actor: 'receiver' },
+  allocate: { from: ['pending'], to: 'allocated', actor: 'system' },
+  decline: { from: ['pending'], to: 'unsuccessful', actor: 'system' },
+};
+
+/**
+ * A receiver's entry in the lottery of a listing in lottery mode: what
+ * they asked for, and once drawn the claim they got (see
+ * allocation/index.js).
+ */
+const ClaimRequest = sequelize.define('ClaimRequest', {
+  listingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  receiverId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Amount asked for in the listing's quantityUnit; null for as much as the draw allows
+  quantityAmount: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  status: {
+    type: DataTypes.ENUM(...REQUEST_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  // The claim the draw created for an allocated request
+  claimId: DataTypes.INTEGER,
+  // The draw's decision on this request, as JSON; null while pending
+  allocation: {
+    type: DataTypes.TEXT,
+    get() {
+      const stored = this.getDataValue('allocation');
+      return stored == null ? null : JSON.parse(stored);
+    },
+    set(value) {
+      this.setDataValue('allocation', value == null ? null : JSON.stringify(value));
+    },
+  },
+}, {
+  indexes: [
+    { fields: ['listingId', 'status'] },
+    { fields: ['receiverId'] },
+  ],
+});
+
+/**
+ * Check that `user` may perform `action` on this request and apply the
+ * resulting status change (without saving). Throws TransitionError when
+ * the move is illegal.
+ */
+ClaimRequest.prototype.transition = function (action, user) {
+  const rule = REQUEST_TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown claim request action "${action}"`, 400);
+  }
+
+  if (rule.actor === 'receiver' && (!user || this.receiverId !== user.id)) {
+    throw new TransitionError('Only the receiver who made this request can do this', 403);
+  }
+  if (rule.actor === 'system' && user) {
+    throw new TransitionError(`"${action}" can only be performed by the system`, 403);
+  }
+
+  if (!rule.from.includes(this.status)) {
+    throw new TransitionError(
+      `Cannot ${action} a claim request that is ${this.status} (allowed from: ${rule.from.join(', ')})`,
+      409
+    );
+  }
+
+  this.status = rule.to;
+  return this;
+};
+
+ClaimRequest.STATUSES = REQUEST_STATUSES;
+ClaimRequest.TRANSITIONS = REQUEST_TRANSITIONS;
+
+module.exports = ClaimRequest;
@@ -0,0 +1,146 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const TransitionError = require('./transitionError');
+
+// Every status a delivery job can be in over its lifetime
+const DELIVERY_JOB_STATUSES = ['open', 'assigned', 'en_route', 'delivered', 'cancelled'];
+
+// Jobs in these statuses still need (or have) a volunteer
+const ACTIVE_DELIVERY_JOB_STATUSES = ['open', 'assigned', 'en_route'];
+
+/**
+ * Allowed status moves, keyed by action name.
+ * `actor` says which party may perform the move:
+ *  - 'volunteer' -> any volunteer, taking the job from the board
+ *  - 'assignee'  -> the volunteer the job is assigned to
+ *  - 'receiver'  -> the NGO whose claim is being delivered
+ *  - 'system'    -> internal only, e.g. when the claim itself is closed
+ */
+const DELIVERY_JOB_TRANSITIONS = {
+  accept: { from: ['open'], to: 'assigned', actor: 'volunteer' },
+  unassign: { from: ['assigned'], to: 'open', actor: 'assignee' },
+  startRoute: { from: ['assigned'], to: 'en_route', actor: 'assignee' },
+  deliver: { from: ['en_route'], to: 'delivered', actor: 'assignee' },
+  cancel: { from: ['open', 'assigned'], to: 'cancelled', actor: 'receiver' },
+  close: { from: ACTIVE_DELIVERY_JOB_STATUSES, to: 'cancelled', actor: 'system' },
+};
+
+/**
+ * A request for a volunteer to carry the food of one claim from the
+ * listing's pickup point to the receiver's drop-off point.
+ */
+const DeliveryJob = sequelize.define('DeliveryJob', {
+  claimId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // The claim's listing, kept here to find jobs by pickup point
+  listingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Null while the job is open on the board
+  volunteerId: DataTypes.INTEGER,
+  status: {
+    type: DataTypes.ENUM(...DELIVERY_JOB_STATUSES),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  // Where the food goes, by default the receiver's own address
+  dropoffLocation: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  dropoffLatitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -90, max: 90 },
+  },
+  dropoffLongitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -180, max: 180 },
+  },
+  // Instructions from the receiver, e.g. which entrance to use
+  notes: DataTypes.TEXT,
+  // Lifecycle timestamps, filled in as the job moves through its states
+  assignedAt: DataTypes.DATE,
+  enRouteAt: DataTypes.DATE,
+  deliveredAt: DataTypes.DATE,
+  cancelledAt: DataTypes.DATE,
+}, {
+  indexes: [
+    { fields: ['claimId'] },
+    { fields: ['status'] },
+    { fields: ['volunteerId'] },
+  ],
+});
+
+/**
+ * True while the job still needs (or has) a volunteer.
+ */
+DeliveryJob.prototype.isActive = function () {
+  return ACTIVE_DELIVERY_JOB_STATUSES.includes(this.status);
+};
+
+/**
+ * Check that `user` may perform `action` on this job for `claim` and
+ * apply the resulting status change (without saving). Throws
+ * TransitionError when the move is illegal.
+ */
+DeliveryJob.prototype.transition = function (action, user, claim) {
+  const rule = DELIVERY_JOB_TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown delivery job action "${action}"`, 400);
+  }
+
+  if (rule.actor === 'volunteer' && (!user || user.userType !== 'volunteer')) {
+    throw new TransitionError('Only volunteers can take delivery jobs', 403);
+  }
+  if (rule.actor === 'assignee' && (!user || this.volunteerId !== user.id)) {
+    throw new TransitionError('Only the volunteer assigned to this job can do this', 403);
+  }
+  if (rule.actor === 'receiver' && (!user || claim.receiverId !== user.id)) {
+    throw new TransitionError('Only the receiver who asked for this delivery can do this', 403);
+  }
+  if (rule.actor === 'system' && user) {
+    throw new TransitionError(`"${action}" can only be performed by the system`, 403);
+  }
+
+  if (!rule.from.includes(this.status)) {
+    throw new TransitionError(
+      `Cannot ${action} a delivery job that is ${this.status} (allowed from: ${rule.from.join(', ')})`,
+      409
+    );
+  }
+
+  const now = new Date();
+  switch (action) {
+    case 'accept':
+      this.volunteerId = user.id;
+      this.assignedAt = now;
+      break;
+    case 'unassign':
+      this.volunteerId = null;
+      this.assignedAt = null;
+      break;
+    case 'startRoute':
+      this.enRouteAt = now;
+      break;
+    case 'deliver':
+      this.deliveredAt = now;
+      break;
+    case 'cancel':
+    case 'close':
+      this.cancelledAt = now;
+      break;
+  }
+
+  this.status = rule.to;
+  return this;
+};
+
+DeliveryJob.STATUSES = DELIVERY_JOB_STATUSES;
+DeliveryJob.ACTIVE_STATUSES = ACTIVE_DELIVERY_JOB_STATUSES;
+DeliveryJob.TRANSITIONS = DELIVERY_JOB_TRANSITIONS;
+DeliveryJob.TransitionError = TransitionError;
+
+module.exports = DeliveryJob;
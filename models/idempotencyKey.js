@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { sendError } = require('../utils/response');
+
+// How long a stored response can be replayed for
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A response recorded against a client-supplied Idempotency-Key, so that a
+ * retried request (e.g. from a mobile app on a flaky network) gets the
+ * original response back instead of being executed twice.
+ */
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Fingerprint of method, path and body; a key may only be reused for the same request
+  requestHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['userId', 'key'] },
+  ],
+});
+
+/**
+ * Fingerprint a request so a reused key can be matched against it.
+ */
+IdempotencyKey.hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+  .digest('hex');
+
+/**
+ * Record the response (`statusCode` and envelope `body`) that `req`, sent
+ * with `key`, got.
+ */
+IdempotencyKey.store = (req, key, statusCode, body, options = {}) => IdempotencyKey.create({
+  key,
+  userId: req.user.id,
+  requestHash: IdempotencyKey.hashRequest(req),
+  statusCode,
+  responseBody: JSON.stringify(body)
+}, options);
+
+/**
+ * Find the stored response for `key`, dropping it if it has expired.
+ */
+IdempotencyKey.findStored = async (userId, key) => {
+  await IdempotencyKey.destroy({
+    where: { userId, key, createdAt: { [Op.lt]: new Date(Date.now() - IDEMPOTENCY_KEY_TTL_MS) } }
+  });
+  return IdempotencyKey.findOne({ where: { userId, key } });
+};
+
+/**
+ * Send a stored response back to the client. A key reused for a different
+ * request is rejected with 422 rather than replayed.
+ */
+IdempotencyKey.prototype.replay = function (req, res) {
+  if (this.requestHash !== IdempotencyKey.hashRequest(req)) {
+    return sendError(res, 422, 'IDEMPOTENCY_KEY_REUSED',
+      'Idempotency-Key has already been used for a different request');
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(this.statusCode).json(JSON.parse(this.responseBody));
+};
+
+IdempotencyKey.TTL_MS = IDEMPOTENCY_KEY_TTL_MS;
+
+module.exports = IdempotencyKey;
@@ -1,24 +1,168 @@
 const sequelize = require('../config/database');
 const Listing = require('./listing');
 const User = require('./user');
+const Claim = require('./claim');
+const IdempotencyKey = require('./idempotencyKey');
+const RefreshToken = require('./refreshToken');
+const VerificationToken = require('./verificationToken');
+const Report = require('./report');
+const AuditLog = require('./auditLog');
+const OrganizationVerification = require('./organizationVerification');
+const OrganizationDocument = require('./organizationDocument');
+const ListingPhoto = require('./listingPhoto');
+const Notification = require('./notification');
+const ListingEvent = require('./listingEvent');
+const WebhookSubscription = require('./webhookSubscription');
+const WebhookDelivery = require('./webhookDelivery');
+const DeliveryJob = require('./deliveryJob');
+const ListingTemplate = require('./listingTemplate');
+const RecurringDonation = require('./recurringDonation');
+const Need = require('./need');
+const ClaimRequest = require('./claimRequest');
+const { pendingMigrations, PendingMigrationsError } = require('./migrator');
 
 // Initialize all models
 const models = {
   Listing,
   User,
+  Claim,
+  IdempotencyKey,
+  RefreshToken,
+  VerificationToken,
+  Report,
+  AuditLog,
+  OrganizationVerification,
+  OrganizationDocument,
+  ListingPhoto,
+  Notification,
+  ListingEvent,
+  WebhookSubscription,
+  WebhookDelivery,
+  DeliveryJob,
+  ListingTemplate,
+  RecurringDonation,
+  Need,
+  ClaimRequest,
 };
 
-// Create all tables in the database
+// Deleting a user never silently takes their listings, claims or deliveries
+// with it: a donor with listings, a receiver with claims or a volunteer
+// with delivery jobs cannot be deleted (RESTRICT), only their stored
+// idempotent responses, sessions, email tokens, the reports they filed,
+// their organization verification requests, their notifications, their
+// webhooks, their listing templates and recurring donations, their
+// needs and their lottery entries go with them.
+// Reports and requests they reviewed and audit entries of their admin
+// actions are kept, without the admin.
+// Keep in line with migrations/004-user-foreign-keys.js.
+const DONOR = { as: 'donor', foreignKey: 'userId', onDelete: 'RESTRICT', onUpdate: 'CASCADE' };
+const RECEIVER = { as: 'receiver', foreignKey: 'receiverId', onDelete: 'RESTRICT', onUpdate: 'CASCADE' };
+
+Listing.belongsTo(User, DONOR);
+User.hasMany(Listing, { ...DONOR, as: 'listings' });
+
+// A listing can be split between several receivers, one claim each
+Listing.hasMany(Claim, { as: 'claims', foreignKey: 'listingId', onDelete: 'CASCADE' });
+Claim.belongsTo(Listing, { as: 'listing', foreignKey: 'listingId', onDelete: 'CASCADE' });
+Listing.hasMany(ListingPhoto, { as: 'photos', foreignKey: 'listingId', onDelete: 'CASCADE' });
+ListingPhoto.belongsTo(Listing, { as: 'listing', foreignKey: 'listingId', onDelete: 'CASCADE' });
+Claim.belongsTo(User, RECEIVER);
+User.hasMany(Claim, { ...RECEIVER, as: 'claims' });
+
+IdempotencyKey.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(IdempotencyKey, { as: 'idempotencyKeys', foreignKey: 'userId', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(RefreshToken, { as: 'refreshTokens', foreignKey: 'userId', onDelete: 'CASCADE' });
+VerificationToken.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(VerificationToken, { as: 'verificationTokens', foreignKey: 'userId', onDelete: 'CASCADE' });
+Report.belongsTo(User, { as: 'reporter', foreignKey: 'reporterId', onDelete: 'CASCADE' });
+User.hasMany(Report, { as: 'reports', foreignKey: 'reporterId', onDelete: 'CASCADE' });
+Report.belongsTo(User, { as: 'reviewedBy', foreignKey: 'reviewedById', onDelete: 'SET NULL' });
+AuditLog.belongsTo(User, { as: 'actor', foreignKey: 'actorId', onDelete: 'SET NULL' });
+OrganizationVerification.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(OrganizationVerification, { as: 'organizationVerifications', foreignKey: 'userId', onDelete: 'CASCADE' });
+OrganizationVerification.belongsTo(User, { as: 'reviewedBy', foreignKey: 'reviewedById', onDelete: 'SET NULL' });
+OrganizationVerification.hasMany(OrganizationDocument, { as: 'documents', foreignKey: 'verificationId', onDelete: 'CASCADE' });
+OrganizationDocument.belongsTo(OrganizationVerification, { as: 'verification', foreignKey: 'verificationId', onDelete: 'CASCADE' });
+Notification.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(Notification, { as: 'notifications', foreignKey: 'userId', onDelete: 'CASCADE' });
+Notification.belongsTo(Listing, { as: 'listing', foreignKey: 'listingId', onDelete: 'SET NULL' });
+Notification.belongsTo(Claim, { as: 'claim', foreignKey: 'claimId', onDelete: 'SET NULL' });
+WebhookSubscription.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(WebhookSubscription, { as: 'webhookSubscriptions', foreignKey: 'userId', onDelete: 'CASCADE' });
+WebhookSubscription.hasMany(WebhookDelivery, { as: 'deliveries', foreignKey: 'subscriptionId', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookSubscription, { as: 'subscription', foreignKey: 'subscriptionId', onDelete: 'CASCADE' });
+
+// A claim can be delivered by a volunteer; a cancelled job can be asked for again
+Claim.hasMany(DeliveryJob, { as: 'deliveryJobs', foreignKey: 'claimId', onDelete: 'CASCADE' });
+DeliveryJob.belongsTo(Claim, { as: 'claim', foreignKey: 'claimId', onDelete: 'CASCADE' });
+DeliveryJob.belongsTo(Listing, { as: 'listing', foreignKey: 'listingId', onDelete: 'CASCADE' });
+DeliveryJob.belongsTo(User, { as: 'volunteer', foreignKey: 'volunteerId', onDelete: 'RESTRICT', onUpdate: 'CASCADE' });
+User.hasMany(DeliveryJob, { as: 'deliveryJobs', foreignKey: 'volunteerId', onDelete: 'RESTRICT', onUpdate: 'CASCADE' });
+
+// Templates and their schedules belong to the donor; listings outlive the schedule that published them
+ListingTemplate.belongsTo(User, { as: 'donor', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(ListingTemplate, { as: 'listingTemplates', foreignKey: 'userId', onDelete: 'CASCADE' });
+RecurringDonation.belongsTo(User, { as: 'donor', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(RecurringDonation, { as: 'recurringDonations', foreignKey: 'userId', onDelete: 'CASCADE' });
+ListingTemplate.hasMany(RecurringDonation, { as: 'recurringDonations', foreignKey: 'templateId', onDelete: 'CASCADE' });
+RecurringDonation.belongsTo(ListingTemplate, { as: 'template', foreignKey: 'templateId', onDelete: 'CASCADE' });
+RecurringDonation.hasMany(Listing, { as: 'listings', foreignKey: 'recurringDonationId', onDelete: 'SET NULL' });
+Listing.belongsTo(RecurringDonation, { as: 'recurringDonation', foreignKey: 'recurringDonationId', onDelete: 'SET NULL' });
+
+Need.belongsTo(User, { as: 'receiver', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasMany(Need, { as: 'needs', foreignKey: 'userId', onDelete: 'CASCADE' });
+
+// Lottery entries; a drawn entry points at the claim it was given
+Listing.hasMany(ClaimRequest, { as: 'claimRequests', foreignKey: 'listingId', onDelete: 'CASCADE' });
+ClaimRequest.belongsTo(Listing, { as: 'listing', foreignKey: 'listingId', onDelete: 'CASCADE' });
+ClaimRequest.belongsTo(User, { as: 'receiver', foreignKey: 'receiverId', onDelete: 'CASCADE' });
+User.hasMany(ClaimRequest, { as: 'claimRequests', foreignKey: 'receiverId', onDelete: 'CASCADE' });
+ClaimRequest.belongsTo(Claim, { as: 'claim', foreignKey: 'claimId', onDelete: 'SET NULL' });
+
+// A claim that was released, cancelled or expired has nothing left to deliver
+Claim.addHook('afterUpdate', async (claim, options) => {
+  if (!claim.changed('status') || claim.isActive()) {
+    return;
+  }
+  const jobs = await DeliveryJob.findAll({
+    where: { claimId: claim.id, status: DeliveryJob.ACTIVE_STATUSES },
+    transaction: options.transaction
+  });
+  for (const job of jobs) {
+    job.transition('close');
+    await job.save({ transaction: options.transaction });
+  }
+});
+
+// Photo rows go with their listing through the foreign key; their files are
+// removed once the deletion is committed (right away outside a transaction).
+// Only instance destroys run this; bulk Listing.destroy({ where }) does not.
+Listing.addHook('beforeDestroy', async (listing, options) => {
+  const photos = await ListingPhoto.findAll({ where: { listingId: listing.id }, transaction: options.transaction });
+  if (options.transaction) {
+    options.transaction.afterCommit(() => ListingPhoto.removeFiles(photos));
+  } else {
+    options.photosToRemove = photos;
+  }
+});
+Listing.addHook('afterDestroy', async (listing, options) => {
+  if (options.photosToRemove) {
+    await ListingPhoto.removeFiles(options.photosToRemove);
+  }
+});
+
+// Connect to the database and make sure its schema is up to date.
+// Tables are created and changed by migrations (npm run migrate), never here.
 const initializeDatabase = async () => {
-  try {
-    await sequelize.authenticate();
-    console.log('Connection to SQLite has been established successfully.');
-    // `force: true` drops the table if it already exists. Great for development!
-    await sequelize.sync({ force: true });
-    console.log('All models were synchronized successfully.');
-  } catch (error) {
-    console.error('Unable to connect to the database:', error);
+  await sequelize.authenticate();
+  console.log('Connection to SQLite has been established successfully.');
+
+  const pending = await pendingMigrations(sequelize);
+  if (pending.length) {
+    throw new PendingMigrationsError(pending);
   }
+  console.log('Database schema is up to date.');
 };
 
-module.exports = { models, initializeDatabase };
\ No newline at end of file
+module.exports = { models, sequelize, initializeDatabase };
\ No newline at end of file
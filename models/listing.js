@@ -1,5 +1,55 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { QUANTITY_UNITS, parseQuantity, toMeals, formatQuantity } = require('../utils/quantity');
+const TransitionError = require('./transitionError');
+
+// Every status a listing can be in over its lifetime
+const LISTING_STATUSES = [
+  'available',
+  'reserved',
+  'pickup_scheduled',
+  'picked_up',
+  'completed',
+  'cancelled',
+  'expired',
+];
+
+// Perishability classes, roughly ordered from most to least urgent
+const PERISHABILITY_CLASSES = ['cooked_meal', 'fresh_produce', 'frozen', 'dry_goods'];
+
+// How the food has to be kept until it is collected
+const STORAGE_CONDITIONS = ['ambient', 'refrigerated', 'frozen'];
+
+// Storage assumed for each perishability class when the donor doesn't say
+const DEFAULT_STORAGE = {
+  cooked_meal: 'refrigerated',
+  fresh_produce: 'refrigerated',
+  frozen: 'frozen',
+  dry_goods: 'ambient',
+};
+
+// How a listing is shared out: claims are taken in the order they come, or
+// collected for a while and drawn by lottery (see allocation/index.js)
+const ALLOCATION_MODES = ['first_come', 'lottery'];
+
+// Progress of the pickup, from least to most advanced. Once a listing is fully
+// claimed its status is the least advanced status among its claims.
+const PICKUP_PROGRESS = ['reserved', 'pickup_scheduled', 'picked_up', 'completed'];
+
+/**
+ * Status moves made directly on a listing, keyed by action name.
+ * Pickups are tracked per claim (see models/claim.js); the listing status
+ * follows its claims through syncStatus().
+ * `actor` says which party may perform the move:
+ *  - 'donor'  -> the user who created the listing
+ *  - 'admin'  -> a user with the admin role, moderating the platform
+ *  - 'system' -> internal jobs only, never exposed through the API
+ */
+const LISTING_TRANSITIONS = {
+  cancel: { from: ['available', 'reserved', 'pickup_scheduled'], to: 'cancelled', actor: 'donor' },
+  forceClose: { from: ['available', 'reserved', 'pickup_scheduled'], to: 'cancelled', actor: 'admin' },
+  expire: { from: ['available', 'reserved', 'pickup_scheduled'], to: 'expired', actor: 'system' },
+};
 
 const Listing = sequelize.define('Listing', {
   // Basic fields for our MVP
@@ -7,19 +57,329 @@ const Listing = sequelize.define('Listing', {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  // Display label, e.g. "5 kg". Derived from quantityAmount/quantityUnit,
+  // or parsed into them when a client only sends the free-text form.
   quantity: {
-    type: DataTypes.STRING, // e.g., "5 kg", "10 boxes" (keep it simple)
+    type: DataTypes.STRING,
     allowNull: false,
   },
+  quantityAmount: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  quantityUnit: DataTypes.ENUM(...QUANTITY_UNITS),
+  // Meal-equivalent estimate used for impact stats
+  estimatedMeals: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0,
+  },
+  // Free-text details shown to receivers and indexed for search
+  description: DataTypes.TEXT,
+  // Pickup address, e.g. "12 Long Street, Cape Town City Centre"
   location: {
-    type: DataTypes.STRING, // e.g., "Cape Town City Centre"
+    type: DataTypes.STRING,
     allowNull: false,
   },
+  // Pickup coordinates, used for radius search
+  latitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -90, max: 90 },
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -180, max: 180 },
+  },
   status: {
-    type: DataTypes.ENUM('available', 'claimed'),
+    type: DataTypes.ENUM(...LISTING_STATUSES),
     defaultValue: 'available',
   },
-  // We can add more fields later, but this is enough for the demo.
+  // The donor who created the listing
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Amount not yet claimed, in quantityUnit. Null for legacy listings
+  // whose quantity could not be parsed; those can only be claimed whole.
+  remainingAmount: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  // Food safety: best-before is a quality date, use-by is a safety date
+  bestBefore: DataTypes.DATE,
+  useBy: DataTypes.DATE,
+  // The earlier of bestBefore/useBy, kept in sync by a hook so we can sort and filter on it
+  expiresAt: DataTypes.DATE,
+  perishability: {
+    type: DataTypes.ENUM(...PERISHABILITY_CLASSES),
+    allowNull: false,
+    defaultValue: 'dry_goods',
+  },
+  storageConditions: {
+    type: DataTypes.ENUM(...STORAGE_CONDITIONS),
+    allowNull: false,
+    defaultValue: 'ambient',
+  },
+  cancelledAt: DataTypes.DATE,
+  cancellationReason: DataTypes.STRING,
+  // When the donor and receivers were told the food expires soon (see jobs/expirySweeper.js)
+  expiryWarnedAt: DataTypes.DATE,
+  // When the food can be collected, as a JSON list of { start, end } date-times
+  // (see utils/pickupWindows.js); an empty list means any time
+  pickupWindows: {
+    type: DataTypes.TEXT,
+    get() {
+      const stored = this.getDataValue('pickupWindows');
+      return stored == null ? [] : JSON.parse(stored);
+    },
+    set(value) {
+      this.setDataValue('pickupWindows', value == null || value.length === 0 ? null : JSON.stringify(value));
+    },
+  },
+  // The recurring donation that published this listing, if any
+  recurringDonationId: DataTypes.INTEGER,
+  allocationMode: {
+    type: DataTypes.ENUM(...ALLOCATION_MODES),
+    allowNull: false,
+    defaultValue: 'first_come',
+  },
+  // Until then only receivers with an urgent need the food meets can claim
+  priorityUntil: DataTypes.DATE,
+  // Lottery mode: claim requests are collected until lotteryEndsAt and then drawn
+  lotteryEndsAt: DataTypes.DATE,
+  lotteryDrawnAt: DataTypes.DATE,
+}, {
+  indexes: [
+    { fields: ['latitude', 'longitude'] },
+    { fields: ['lotteryEndsAt'] },
+  ],
+  hooks: {
+    beforeValidate: (listing) => {
+      const structuredChanged = listing.changed('quantityAmount') || listing.changed('quantityUnit');
+
+      // Legacy clients send only the free-text quantity
+      if (!structuredChanged && listing.quantity && (listing.changed('quantity') || listing.quantityAmount == null)) {
+        const parsed = parseQuantity(listing.quantity);
+        if (parsed) {
+          listing.quantityAmount = parsed.amount;
+          listing.quantityUnit = parsed.unit;
+        }
+      }
+
+      if (listing.quantityAmount != null && listing.quantityUnit && (structuredChanged || !listing.quantity)) {
+        listing.quantity = formatQuantity(listing.quantityAmount, listing.quantityUnit);
+      }
+
+      listing.estimatedMeals = toMeals(listing.quantityAmount, listing.quantityUnit);
+    },
+    beforeCreate: (listing) => {
+      if (listing.remainingAmount == null) {
+        listing.remainingAmount = listing.quantityAmount;
+      }
+    },
+    // Donors can only change the quantity before anything is claimed,
+    // so the whole new amount is up for grabs
+    beforeUpdate: (listing) => {
+      if (listing.changed('quantityAmount')) {
+        listing.remainingAmount = listing.quantityAmount;
+      }
+    },
+    beforeSave: (listing) => {
+      const dates = [listing.bestBefore, listing.useBy].filter(Boolean).map(d => new Date(d));
+      listing.expiresAt = dates.length ? new Date(Math.min(...dates)) : null;
+      // New dates get a new warning
+      if (listing.changed('expiresAt') && !listing.isNewRecord) {
+        listing.expiryWarnedAt = null;
+      }
+    },
+  },
 });
 
-module.exports = Listing;
\ No newline at end of file
+/**
+ * True when the food is past its best-before or use-by date.
+ */
+Listing.prototype.isExpired = function (now = new Date()) {
+  return Boolean(this.expiresAt) && new Date(this.expiresAt) <= now;
+};
+
+/**
+ * True once nothing is left to claim.
+ */
+Listing.prototype.isFullyClaimed = function () {
+  return this.remainingAmount === 0;
+};
+
+/**
+ * Check that `user` may perform `action` on this listing and apply the
+ * resulting status change (without saving). Throws TransitionError
+ * when the move is illegal.
+ */
+Listing.prototype.transition = function (action, user) {
+  const rule = LISTING_TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown listing action "${action}"`, 400);
+  }
+
+  if (rule.actor === 'donor' && (!user || this.userId !== user.id)) {
+    throw new TransitionError('Only the donor of this listing can do this', 403);
+  }
+  if (rule.actor === 'admin' && (!user || !user.isAdmin())) {
+    throw new TransitionError('Only an admin can do this', 403);
+  }
+  if (rule.actor === 'system' && user) {
+    throw new TransitionError(`"${action}" can only be performed by the system`, 403);
+  }
+
+  if (!rule.from.includes(this.status)) {
+    throw new TransitionError(
+      `Cannot ${action} a listing that is ${this.status} (allowed from: ${rule.from.join(', ')})`,
+      409
+    );
+  }
+
+  if (rule.to === 'cancelled') {
+    this.cancelledAt = new Date();
+  }
+
+  this.status = rule.to;
+  return this;
+};
+
+/**
+ * True while a listing in lottery mode collects claim requests instead of
+ * taking claims.
+ */
+Listing.prototype.isCollectingRequests = function (now = new Date()) {
+  return this.allocationMode === 'lottery' && !this.lotteryDrawnAt && new Date(this.lotteryEndsAt) > now;
+};
+
+/**
+ * Check that receiver `user` can claim `requestedAmount` (default:
+ * everything left) of this listing now. Returns that amount, or null for
+ * a legacy listing that can only be claimed whole. Throws TransitionError
+ * when the claim is not possible.
+ */
+Listing.prototype.claimableAmount = function (user, requestedAmount) {
+  if (!user || user.userType !== 'receiver') {
+    throw new TransitionError('Only receivers can claim listings', 403);
+  }
+  if (this.isExpired()) {
+    throw new TransitionError('This listing has expired and can no longer be claimed', 409);
+  }
+  if (this.status !== 'available') {
+    throw new TransitionError(`Cannot claim a listing that is ${this.status}`, 409);
+  }
+
+  // Legacy listing without a measured quantity: all or nothing
+  if (this.quantityAmount == null) {
+    if (requestedAmount != null) {
+      throw new TransitionError('This listing has no measured quantity and can only be claimed whole', 400);
+    }
+    return null;
+  }
+
+  const amount = requestedAmount == null ? this.remainingAmount : requestedAmount;
+  if (!(amount > 0)) {
+    throw new TransitionError('quantityAmount must be a positive number', 400);
+  }
+  if (amount > this.remainingAmount) {
+    throw new TransitionError(
+      `Only ${formatQuantity(this.remainingAmount, this.quantityUnit)} of this listing is still available`,
+      409
+    );
+  }
+  return amount;
+};
+
+/**
+ * Take `requestedAmount` (default: everything left) out of the remaining
+ * balance on behalf of receiver `user`, without saving. Returns the amount
+ * reserved, or null for a legacy listing that can only be claimed whole.
+ * Throws TransitionError when the claim is not possible.
+ */
+Listing.prototype.reserveQuantity = function (user, requestedAmount) {
+  const amount = this.claimableAmount(user, requestedAmount);
+  this.remainingAmount = amount === null ? 0 : Math.round((this.remainingAmount - amount) * 1000) / 1000;
+  return amount;
+};
+
+/**
+ * Persist remainingAmount and status, but only if no other request changed
+ * them since this instance was read. Returns false when it lost that race.
+ */
+Listing.prototype.saveBalanceIfUnchanged = async function (options = {}) {
+  const [updated] = await Listing.update(
+    { remainingAmount: this.remainingAmount, status: this.status },
+    {
+      ...options,
+      where: {
+        id: this.id,
+        status: this.previous('status'),
+        remainingAmount: this.previous('remainingAmount'),
+      },
+    }
+  );
+  return updated === 1;
+};
+
+/**
+ * Put the amount of a released, cancelled or expired claim back into the
+ * remaining balance (without saving).
+ */
+Listing.prototype.returnQuantity = function (amount) {
+  if (this.quantityAmount == null) {
+    this.remainingAmount = null;
+    return;
+  }
+  this.remainingAmount = Math.min(this.quantityAmount, (this.remainingAmount || 0) + amount);
+};
+
+/**
+ * Recompute the listing status from its claims (without saving).
+ * A listing stays available while anything is left to claim; once the
+ * balance hits zero it follows the least advanced of its active claims.
+ * Cancelled and expired listings are final and are left alone.
+ */
+Listing.prototype.syncStatus = function (claims) {
+  if (['cancelled', 'expired'].includes(this.status)) {
+    return this;
+  }
+
+  const active = claims.filter(claim => PICKUP_PROGRESS.includes(claim.status));
+  if (!this.isFullyClaimed() || active.length === 0) {
+    this.status = 'available';
+    return this;
+  }
+
+  const leastAdvanced = Math.min(...active.map(claim => PICKUP_PROGRESS.indexOf(claim.status)));
+  this.status = PICKUP_PROGRESS[leastAdvanced];
+  return this;
+};
+
+/**
+ * Apply a system `action` ('cancel' or 'expire') to every claim on this
+ * listing that is still waiting for pickup. Used when the listing itself
+ * is cancelled or expires. Returns the claims it closed.
+ */
+Listing.prototype.closeOpenClaims = async function (action, options = {}) {
+  const claims = await this.getClaims(options);
+  const closed = [];
+  for (const claim of claims) {
+    if (claim.constructor.TRANSITIONS[action].from.includes(claim.status)) {
+      claim.transition(action);
+      await claim.save(options);
+      closed.push(claim);
+    }
+  }
+  return closed;
+};
+
+Listing.STATUSES = LISTING_STATUSES;
+Listing.TRANSITIONS = LISTING_TRANSITIONS;
+Listing.TransitionError = TransitionError;
+Listing.PERISHABILITY_CLASSES = PERISHABILITY_CLASSES;
+Listing.STORAGE_CONDITIONS = STORAGE_CONDITIONS;
+Listing.DEFAULT_STORAGE = DEFAULT_STORAGE;
+Listing.QUANTITY_UNITS = QUANTITY_UNITS;
+Listing.ALLOCATION_MODES = ALLOCATION_MODES;
+
+module.exports = Listing;
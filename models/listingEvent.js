@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// What happened to the listing
+const LISTING_EVENT_TYPES = [
+  'listing.created',
+  'listing.claimed',
+  'listing.updated', // edited, cancelled, photos or claim progress changed
+  'listing.expired',
+  'listing.deleted',
+];
+
+/**
+ * One change to a listing, as pushed to the real-time listing stream.
+ * The id is the stream's event id: clients resume after the last one they
+ * saw. `listing` is a snapshot of the listing right after the change.
+ */
+const ListingEvent = sequelize.define('ListingEvent', {
+  type: {
+    type: DataTypes.ENUM(...LISTING_EVENT_TYPES),
+    allowNull: false,
+  },
+  // Not a foreign key: the events of a deleted listing are kept
+  listingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  listing: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      return JSON.parse(this.getDataValue('listing'));
+    },
+    set(value) {
+      this.setDataValue('listing', JSON.stringify(value));
+    },
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['createdAt'] },
+  ],
+});
+
+ListingEvent.TYPES = LISTING_EVENT_TYPES;
+
+module.exports = ListingEvent;
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { putFile, removeFile, fileUrl } = require('../storage');
+const { prepareImage } = require('../utils/images');
+
+// Storage folder of photos and their thumbnails (a public folder)
+const PHOTO_FOLDER = 'listing-photos';
+
+/**
+ * A photo of the food on a listing, with a thumbnail for list views. Both
+ * files live in storage; responses carry their URLs.
+ */
+const ListingPhoto = sequelize.define('ListingPhoto', {
+  listingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  thumbnailKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  contentType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Size of the stored (re-encoded) photo in bytes
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Display order on the listing, first photo = 0
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.storageKey ? fileUrl(this.storageKey) : null;
+    },
+  },
+  thumbnailUrl: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.thumbnailKey ? fileUrl(this.thumbnailKey) : null;
+    },
+  },
+}, {
+  indexes: [
+    { fields: ['listingId'] },
+  ],
+});
+
+/**
+ * Include option loading a listing's photos in display order, for
+ * findAll({ include: [...] }) on Listing. Photos are fetched in a separate
+ * query so they don't interfere with paging or counting the listings.
+ */
+ListingPhoto.includeOnListing = () => ({
+  model: ListingPhoto,
+  as: 'photos',
+  separate: true,
+  order: [['position', 'ASC'], ['id', 'ASC']],
+});
+
+/**
+ * Delete the stored files of `photos`. Failures are logged, not thrown:
+ * by the time files are removed their rows are already gone.
+ */
+ListingPhoto.removeFiles = async (photos) => {
+  const keys = photos.flatMap(photo => [photo.storageKey, photo.thumbnailKey]);
+  await Promise.all(keys.map(key => removeFile(key).catch((error) => {
+    console.error(`Could not remove listing photo file ${key}:`, error);
+  })));
+};
+
+/**
+ * Process uploaded photo files (see middleware/upload.js) and store each
+ * with its thumbnail. Returns the attributes of the photos to create, minus
+ * listingId and position. Nothing is left in storage when a file is rejected.
+ */
+ListingPhoto.storeUploads = async (files) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const { image, thumbnail } = await prepareImage(file.buffer, file.originalname);
+      const photo = { contentType: image.contentType, width: image.width, height: image.height, size: image.buffer.length };
+      photo.storageKey = await putFile(PHOTO_FOLDER, image.buffer, image);
+      stored.push(photo);
+      photo.thumbnailKey = await putFile(PHOTO_FOLDER, thumbnail.buffer, thumbnail);
+    }
+    return stored;
+  } catch (error) {
+    await Promise.all(stored.flatMap(photo => [photo.storageKey, photo.thumbnailKey])
+      .filter(Boolean)
+      .map(key => removeFile(key).catch(() => {})));
+    throw error;
+  }
+};
+
+module.exports = ListingPhoto;
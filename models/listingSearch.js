@@ -0,0 +1,99 @@
+/**
+ * Full-text index over listings, backed by an SQLite FTS5 table.
+ *
+ * listings_fts holds one row per listing (rowid = Listings.id) with the
+ * listing's foodType and description and its donor's organization. It is
+ * kept up to date by triggers, so every write path (including bulk updates
+ * and raw queries) is covered without extra application code.
+ */
+
+const FTS_TABLE = 'listings_fts';
+
+// Donor organization for a listing row, used inside the triggers
+const ORGANIZATION_OF = (row) => `(SELECT organization FROM Users WHERE Users.id = ${row}.userId)`;
+
+const SETUP_STATEMENTS = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ${FTS_TABLE} USING fts5(
+    foodType, description, organization, tokenize = 'unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS listings_fts_insert AFTER INSERT ON Listings BEGIN
+    INSERT INTO ${FTS_TABLE} (rowid, foodType, description, organization)
+    VALUES (new.id, new.foodType, new.description, ${ORGANIZATION_OF('new')});
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS listings_fts_update AFTER UPDATE OF foodType, description, userId ON Listings BEGIN
+    DELETE FROM ${FTS_TABLE} WHERE rowid = old.id;
+    INSERT INTO ${FTS_TABLE} (rowid, foodType, description, organization)
+    VALUES (new.id, new.foodType, new.description, ${ORGANIZATION_OF('new')});
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS listings_fts_delete AFTER DELETE ON Listings BEGIN
+    DELETE FROM ${FTS_TABLE} WHERE rowid = old.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS listings_fts_organization AFTER UPDATE OF organization ON Users BEGIN
+    DELETE FROM ${FTS_TABLE} WHERE rowid IN (SELECT id FROM Listings WHERE userId = new.id);
+    INSERT INTO ${FTS_TABLE} (rowid, foodType, description, organization)
+    SELECT id, foodType, description, new.organization FROM Listings WHERE userId = new.id;
+  END`,
+];
+
+const TRIGGERS = [
+  'listings_fts_insert',
+  'listings_fts_update',
+  'listings_fts_delete',
+  'listings_fts_organization',
+];
+
+/**
+ * Create the FTS table and its triggers if needed, then rebuild the index
+ * from the Listings table so it matches whatever data is already there.
+ * Run by the listing search migration.
+ */
+const setupListingSearch = async (sequelize, options = {}) => {
+  for (const statement of SETUP_STATEMENTS) {
+    await sequelize.query(statement, options);
+  }
+  await sequelize.query(`DELETE FROM ${FTS_TABLE}`, options);
+  await sequelize.query(`
+    INSERT INTO ${FTS_TABLE} (rowid, foodType, description, organization)
+    SELECT id, foodType, description, ${ORGANIZATION_OF('Listings')} FROM Listings
+  `, options);
+};
+
+/**
+ * Remove the FTS table and its triggers.
+ */
+const dropListingSearch = async (sequelize, options = {}) => {
+  for (const trigger of TRIGGERS) {
+    await sequelize.query(`DROP TRIGGER IF EXISTS ${trigger}`, options);
+  }
+  await sequelize.query(`DROP TABLE IF EXISTS ${FTS_TABLE}`, options);
+};
+
+/**
+ * Turn free text typed by a user into a safe FTS5 query: every word must
+ * match, and the last word also matches as a prefix ("tom" finds "tomatoes").
+ * Returns null when there is nothing searchable in the text.
+ */
+const toFtsQuery = (text) => {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu);
+  if (!words) {
+    return null;
+  }
+  return words
+    .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+    .join(' AND ');
+};
+
+/**
+ * SQL subquery selecting the ids of listings matching `ftsQuery`, for use
+ * as `{ id: { [Op.in]: sequelize.literal(matchingIdsSql(...)) } }`.
+ */
+const matchingIdsSql = (sequelize, ftsQuery) =>
+  `(SELECT rowid FROM ${FTS_TABLE} WHERE ${FTS_TABLE} MATCH ${sequelize.escape(ftsQuery)})`;
+
+module.exports = {
+  FTS_TABLE,
+  setupListingSearch,
+  dropListingSearch,
+  toFtsQuery,
+  matchingIdsSql,
+};
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Listing = require('./listing');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * A listing a donor gives away regularly, saved once so recurring
+ * donations can publish it without it being re-entered. Dates are kept
+ * relative to the moment it is published.
+ */
+const ListingTemplate = sequelize.define('ListingTemplate', {
+  // The donor who saved the template
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Donor's own label, e.g. "Evening bread"
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  foodType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  quantityAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    validate: { min: 0 },
+  },
+  quantityUnit: {
+    type: DataTypes.ENUM(...Listing.QUANTITY_UNITS),
+    allowNull: false,
+  },
+  description: DataTypes.TEXT,
+  location: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -90, max: 90 },
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -180, max: 180 },
+  },
+  perishability: {
+    type: DataTypes.ENUM(...Listing.PERISHABILITY_CLASSES),
+    allowNull: false,
+    defaultValue: 'dry_goods',
+  },
+  // Null: the default storage for the perishability class
+  storageConditions: DataTypes.ENUM(...Listing.STORAGE_CONDITIONS),
+  // Hours after publishing until the food's best-before and use-by dates
+  bestBeforeHours: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  useByHours: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  // How many hours after publishing the food can be collected; null means any time
+  pickupHours: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+}, {
+  indexes: [
+    { fields: ['userId'] },
+  ],
+});
+
+/**
+ * Attributes for a new listing published from this template at `publishAt`.
+ */
+ListingTemplate.prototype.toListingAttributes = function (publishAt = new Date()) {
+  const after = hours => (hours == null ? null : new Date(publishAt.getTime() + hours * MS_PER_HOUR));
+
+  return {
+    foodType: this.foodType,
+    quantityAmount: this.quantityAmount,
+    quantityUnit: this.quantityUnit,
+    description: this.description,
+    location: this.location,
+    latitude: this.latitude,
+    longitude: this.longitude,
+    bestBefore: after(this.bestBeforeHours),
+    useBy: after(this.useByHours),
+    perishability: this.perishability,
+    storageConditions: this.storageConditions || Listing.DEFAULT_STORAGE[this.perishability],
+    pickupWindows: this.pickupHours == null
+      ? []
+      : [{ start: publishAt.toISOString(), end: after(this.pickupHours).toISOString() }],
+    userId: this.userId,
+  };
+};
+
+module.exports = ListingTemplate;
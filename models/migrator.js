@@ -0,0 +1,155 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Each file in migrations/ exports `up` and `down` functions and is applied
+ * once, in file name order. Applied migrations are recorded in the
+ * SchemaMigrations table. Every migration runs in its own transaction, so a
+ * failing migration leaves the database as it was before it started.
+ *
+ * SQLite cannot change a table's constraints in place; the table has to be
+ * rebuilt, and dropping the old copy would fire ON DELETE actions on the
+ * tables referencing it. A migration that rebuilds tables exports
+ * `foreignKeys: false` to run with foreign key enforcement off; the foreign
+ * keys are then checked in full before it commits.
+ */
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'SchemaMigrations';
+
+// Migration files are named like 001-initial-schema.js
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+/**
+ * Raised at startup when the database is behind the code.
+ */
+class PendingMigrationsError extends Error {
+  constructor(pending) {
+    super(`${pending.length} pending migration(s): ${pending.join(', ')}. Run \`npm run migrate\` first.`);
+    this.name = 'PendingMigrationsError';
+    this.pending = pending;
+  }
+}
+
+const ensureMigrationsTable = (sequelize) => sequelize.query(
+  `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (name VARCHAR(255) PRIMARY KEY, appliedAt DATETIME NOT NULL)`
+);
+
+/**
+ * Names of every migration file, oldest first.
+ */
+const migrationNames = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => MIGRATION_FILE.test(file))
+  .sort();
+
+/**
+ * Applied migrations as { name, appliedAt }, oldest first.
+ */
+const appliedMigrations = async (sequelize) => {
+  await ensureMigrationsTable(sequelize);
+  const [rows] = await sequelize.query(`SELECT name, appliedAt FROM ${MIGRATIONS_TABLE} ORDER BY name`);
+  return rows;
+};
+
+/**
+ * Names of the migrations that have not been applied yet, oldest first.
+ */
+const pendingMigrations = async (sequelize) => {
+  const applied = new Set((await appliedMigrations(sequelize)).map(row => row.name));
+  return migrationNames().filter(name => !applied.has(name));
+};
+
+// Fails the migration if it left rows pointing at rows that do not exist
+const checkForeignKeys = async (sequelize, transaction) => {
+  const [violations] = await sequelize.query('PRAGMA foreign_key_check', { transaction });
+  if (violations.length) {
+    const tables = [...new Set(violations.map(row => `${row.table} -> ${row.parent}`))];
+    throw new Error(`Migration left ${violations.length} broken foreign key(s): ${tables.join(', ')}`);
+  }
+};
+
+// Adds or removes a migration from the applied list
+const record = (sequelize, name, direction, transaction) => (direction === 'up'
+  ? sequelize.query(`INSERT INTO ${MIGRATIONS_TABLE} (name, appliedAt) VALUES (?, ?)`, {
+    replacements: [name, new Date().toISOString()],
+    transaction,
+  })
+  : sequelize.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE name = ?`, {
+    replacements: [name],
+    transaction,
+  }));
+
+// Runs one direction of a migration and records (or forgets) it, atomically
+const runMigration = async (sequelize, name, direction) => {
+  const migration = require(path.join(MIGRATIONS_DIR, name));
+
+  // PRAGMA foreign_keys is per connection, so use one opened with it off
+  const connection = migration.foreignKeys === false
+    ? new Sequelize({ ...sequelize.options, foreignKeys: false })
+    : sequelize;
+
+  try {
+    await connection.transaction(async (transaction) => {
+      await migration[direction]({
+        queryInterface: connection.getQueryInterface(),
+        sequelize: connection,
+        Sequelize,
+        transaction,
+      });
+      if (connection !== sequelize) {
+        await checkForeignKeys(connection, transaction);
+      }
+      await record(connection, name, direction, transaction);
+    });
+  } finally {
+    if (connection !== sequelize) {
+      await connection.close();
+    }
+  }
+};
+
+/**
+ * Apply every pending migration. Returns the names of those applied.
+ */
+const migrate = async (sequelize) => {
+  const pending = await pendingMigrations(sequelize);
+  for (const name of pending) {
+    await runMigration(sequelize, name, 'up');
+  }
+  return pending;
+};
+
+/**
+ * Undo the last `steps` applied migrations, newest first. Returns the names
+ * of those rolled back.
+ */
+const rollback = async (sequelize, steps = 1) => {
+  const applied = await appliedMigrations(sequelize);
+  const names = applied.map(row => row.name).reverse().slice(0, steps);
+  for (const name of names) {
+    if (!migrationNames().includes(name)) {
+      throw new Error(`Cannot roll back ${name}: its migration file no longer exists`);
+    }
+    await runMigration(sequelize, name, 'down');
+  }
+  return names;
+};
+
+/**
+ * Every known migration as { name, appliedAt }, with appliedAt null when pending.
+ */
+const migrationStatus = async (sequelize) => {
+  const applied = new Map((await appliedMigrations(sequelize)).map(row => [row.name, row.appliedAt]));
+  return migrationNames().map(name => ({ name, appliedAt: applied.get(name) || null }));
+};
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  PendingMigrationsError,
+  pendingMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+};
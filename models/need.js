@@ -0,0 +1,156 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Listing = require('./listing');
+const TransitionError = require('./transitionError');
+const { DEFAULT_TIMEZONE, occurrencesAfter, todayIn } = require('../utils/recurrence');
+
+// Open needs are matched against new listings; closed ones are kept for the record
+const NEED_STATUSES = ['open', 'closed'];
+
+// How soon the receiver needs the food, from least to most pressing
+const URGENCY_LEVELS = ['low', 'normal', 'high', 'critical'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Allowed status moves, keyed by action name. Only the receiver who
+ * posted the need can make them.
+ */
+const NEED_TRANSITIONS = {
+  close: { from: ['open'], to: 'closed' },
+  reopen: { from: ['closed'], to: 'open' },
+};
+
+// JSON list column, stored as null when empty
+const jsonList = name => ({
+  type: DataTypes.TEXT,
+  get() {
+    const stored = this.getDataValue(name);
+    return stored == null ? [] : JSON.parse(stored);
+  },
+  set(value) {
+    this.setDataValue(name, value == null || value.length === 0 ? null : JSON.stringify(value));
+  },
+});
+
+/**
+ * A request for food posted by a receiver, e.g. "200 meals every Friday"
+ * or "baby formula". New listings are scored against open needs (see
+ * matching/index.js) to suggest receivers to donors.
+ */
+const Need = sequelize.define('Need', {
+  // The receiver who posted the need
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  description: DataTypes.TEXT,
+  // Perishability classes of food that will do; empty means any
+  categories: jsonList('categories'),
+  // Words to look for in a listing's food type and description, e.g. ["formula"]; empty means any food
+  keywords: jsonList('keywords'),
+  // How much is needed; both null when the receiver takes any amount
+  quantityAmount: {
+    type: DataTypes.FLOAT,
+    validate: { min: 0 },
+  },
+  quantityUnit: DataTypes.ENUM(...Listing.QUANTITY_UNITS),
+  // Where the food has to go, by default the receiver's own address
+  location: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -90, max: 90 },
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -180, max: 180 },
+  },
+  // How far away listings can be to match
+  radiusKm: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    validate: { min: 0 },
+  },
+  urgency: {
+    type: DataTypes.ENUM(...URGENCY_LEVELS),
+    allowNull: false,
+    defaultValue: 'normal',
+  },
+  // Weekdays a standing need recurs on, e.g. ["FR"]; empty for a one-off need
+  days: jsonList('days'),
+  // No longer matched after this date-time
+  neededBy: DataTypes.DATE,
+  status: {
+    type: DataTypes.ENUM(...NEED_STATUSES),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  closedAt: DataTypes.DATE,
+}, {
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['status'] },
+  ],
+});
+
+/**
+ * Start of the next day (in the default recurrence time zone) a standing
+ * need recurs on, today included; null for a one-off need.
+ */
+Need.prototype.nextNeededAt = function (now = new Date()) {
+  if (this.days.length === 0) {
+    return null;
+  }
+  const [next] = occurrencesAfter({
+    rrule: `FREQ=WEEKLY;BYDAY=${this.days.join(',')}`,
+    time: '00:00',
+    timezone: DEFAULT_TIMEZONE,
+    startsOn: todayIn(DEFAULT_TIMEZONE, new Date(now.getTime() - MS_PER_DAY)),
+  }, new Date(now.getTime() - MS_PER_DAY));
+  return next || null;
+};
+
+/**
+ * True while listings are matched against this need.
+ */
+Need.prototype.isOpen = function (now = new Date()) {
+  return this.status === 'open' && (!this.neededBy || new Date(this.neededBy) > now);
+};
+
+/**
+ * Check that `user` may perform `action` on this need and apply the
+ * resulting status change (without saving). Throws TransitionError when
+ * the move is illegal.
+ */
+Need.prototype.transition = function (action, user) {
+  const rule = NEED_TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown need action "${action}"`, 400);
+  }
+  if (!user || this.userId !== user.id) {
+    throw new TransitionError('Only the receiver who posted this need can do this', 403);
+  }
+  if (!rule.from.includes(this.status)) {
+    throw new TransitionError(
+      `Cannot ${action} a need that is ${this.status} (allowed from: ${rule.from.join(', ')})`,
+      409
+    );
+  }
+
+  this.status = rule.to;
+  this.closedAt = rule.to === 'closed' ? new Date() : null;
+  return this;
+};
+
+Need.STATUSES = NEED_STATUSES;
+Need.URGENCY_LEVELS = URGENCY_LEVELS;
+Need.TRANSITIONS = NEED_TRANSITIONS;
+
+module.exports = Need;
@@ -0,0 +1,72 @@
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Kinds of notification, each of which a user can turn off in their profile
+const NOTIFICATION_TYPES = [
+  'listing_nearby', // receivers: new food was listed near them
+  'listing_claimed', // donors: a receiver claimed some of their listing
+  'pickup_scheduled', // donors: a receiver scheduled a pickup
+  'listing_cancelled', // receivers: a listing they claimed was withdrawn; donors: an admin closed theirs
+  'listing_expiring', // donors and receivers waiting for pickup: the food expires soon
+  'need_matched', // receivers: a new listing meets one of their needs
+  'listing_matched', // donors: receivers need the food of their new listing
+  'lottery_drawn', // receivers: the lottery of a listing they entered was drawn
+];
+
+/**
+ * A message in a user's in-app notification centre, about something that
+ * happened to a listing or claim. Unread until `readAt` is set.
+ */
+const Notification = sequelize.define('Notification', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  type: {
+    type: DataTypes.ENUM(...NOTIFICATION_TYPES),
+    allowNull: false,
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  // What the notification is about; null once the listing or claim is deleted
+  listingId: DataTypes.INTEGER,
+  claimId: DataTypes.INTEGER,
+  readAt: DataTypes.DATE,
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'readAt'] },
+  ],
+});
+
+/**
+ * Create a notification of `type` for each of `users` who has not turned
+ * that type off. Returns the notifications created.
+ */
+Notification.deliver = (users, type, { title, body, listingId = null, claimId = null }, options = {}) => {
+  const recipients = users.filter(user => user.isActive && user.wantsNotification(type));
+  return Notification.bulkCreate(
+    recipients.map(user => ({ userId: user.id, type, title, body, listingId, claimId })),
+    options
+  );
+};
+
+/**
+ * Number of unread notifications of `userId`, in total and per type.
+ */
+Notification.unreadCounts = async (userId) => {
+  const rows = await Notification.count({ where: { userId, readAt: { [Op.is]: null } }, group: ['type'] });
+  const byType = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, 0]));
+  rows.forEach(row => { byType[row.type] = row.count; });
+  return { total: rows.reduce((sum, row) => sum + row.count, 0), byType };
+};
+
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * A file uploaded with an organization verification request (registration
+ * certificate, proof of address, ...). The file itself lives in storage
+ * under `storageKey`; only admins can download it.
+ */
+const OrganizationDocument = sequelize.define('OrganizationDocument', {
+  verificationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  // Name of the file as uploaded
+  fileName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  contentType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Size in bytes
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+}, {
+  // Where the file is stored is never sent to clients (also when included
+  // with its request); read it with OrganizationDocument.unscoped()
+  defaultScope: {
+    attributes: { exclude: ['storageKey'] },
+  },
+  indexes: [
+    { fields: ['verificationId'] },
+  ],
+});
+
+module.exports = OrganizationDocument;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A request waits in the pending queue until an admin approves or rejects it
+const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * The organization details a receiver submits to be allowed to claim food,
+ * with supporting documents (see OrganizationDocument). A rejected receiver
+ * can submit a new request; earlier ones are kept as history.
+ */
+const OrganizationVerification = sequelize.define('OrganizationVerification', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  organizationName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // NPO (non-profit organisation) registration number, e.g. "123-456 NPO"
+  registrationNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  contactPerson: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  contactPhone: DataTypes.STRING,
+  status: {
+    type: DataTypes.ENUM(...VERIFICATION_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  // The admin who approved or rejected the request
+  reviewedById: DataTypes.INTEGER,
+  reviewedAt: DataTypes.DATE,
+  rejectionReason: DataTypes.TEXT,
+}, {
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['status'] },
+  ],
+});
+
+OrganizationVerification.STATUSES = VERIFICATION_STATUSES;
+
+module.exports = OrganizationVerification;
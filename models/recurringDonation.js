@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { occurrencesAfter } = require('../utils/recurrence');
+const TransitionError = require('./transitionError');
+
+// Active schedules publish; paused ones wait to be resumed; ended ones ran out of occurrences
+const RECURRING_DONATION_STATUSES = ['active', 'paused', 'ended'];
+
+/**
+ * Allowed status moves, keyed by action name.
+ * `actor` says which party may perform the move:
+ *  - 'donor'  -> the donor the schedule belongs to
+ *  - 'system' -> internal only, once the rule has no occurrences left
+ */
+const RECURRING_DONATION_TRANSITIONS = {
+  pause: { from: ['active'], to: 'paused', actor: 'donor' },
+  resume: { from: ['paused'], to: 'active', actor: 'donor' },
+  end: { from: ['active'], to: 'ended', actor: 'system' },
+};
+
+/**
+ * A schedule that publishes a listing from a donor's template on every
+ * occurrence of a recurrence rule (see utils/recurrence.js), at `time`
+ * in `timezone`. The publisher (jobs/recurringPublisher.js) runs it.
+ */
+const RecurringDonation = sequelize.define('RecurringDonation', {
+  // The donor, always the owner of the template
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  templateId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Canonical RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+  rrule: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Local time of day to publish at, "HH:MM"
+  time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+  },
+  // IANA time zone the schedule's days and time are in, e.g. "Africa/Johannesburg"
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // First day the rule counts from
+  startsOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM(...RECURRING_DONATION_STATUSES),
+    allowNull: false,
+    defaultValue: 'active',
+  },
+  // Occurrences the donor skipped, as a JSON list of date-times
+  skippedOccurrences: {
+    type: DataTypes.TEXT,
+    get() {
+      const stored = this.getDataValue('skippedOccurrences');
+      return stored == null ? [] : JSON.parse(stored);
+    },
+    set(value) {
+      this.setDataValue('skippedOccurrences', value == null || value.length === 0 ? null : JSON.stringify(value));
+    },
+  },
+  // The next occurrence that will be published; null unless active
+  nextRunAt: DataTypes.DATE,
+  // The last occurrence that was published or passed over
+  lastRunAt: DataTypes.DATE,
+}, {
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['templateId'] },
+    { fields: ['status', 'nextRunAt'] },
+  ],
+});
+
+/**
+ * Check that `user` may perform `action` on this schedule and apply it
+ * (without saving). Pausing clears the next run; resuming schedules the
+ * first occurrence after `now`, so occurrences missed while paused are
+ * not published late. Throws TransitionError when the move is illegal.
+ */
+RecurringDonation.prototype.transition = function (action, user, now = new Date()) {
+  const rule = RECURRING_DONATION_TRANSITIONS[action];
+  if (!rule) {
+    throw new TransitionError(`Unknown recurring donation action "${action}"`, 400);
+  }
+
+  if (rule.actor === 'donor' && (!user || this.userId !== user.id)) {
+    throw new TransitionError('Only the donor of this recurring donation can do this', 403);
+  }
+  if (rule.actor === 'system' && user) {
+    throw new TransitionError(`"${action}" can only be performed by the system`, 403);
+  }
+
+  if (!rule.from.includes(this.status)) {
+    throw new TransitionError(
+      `Cannot ${action} a recurring donation that is ${this.status} (allowed from: ${rule.from.join(', ')})`,
+      409
+    );
+  }
+
+  this.status = rule.to;
+  if (rule.to === 'active') {
+    this.scheduleNext(now);
+  } else {
+    this.nextRunAt = null;
+  }
+  return this;
+};
+
+/**
+ * True when the occurrence at `time` (a Date) was skipped.
+ */
+RecurringDonation.prototype.isSkipped = function (time) {
+  return this.skippedOccurrences.includes(time.toISOString());
+};
+
+/**
+ * Up to `limit` occurrences after `after`, skipped ones included.
+ */
+RecurringDonation.prototype.upcoming = function (limit, after = new Date()) {
+  return occurrencesAfter(this, after, limit);
+};
+
+/**
+ * Move nextRunAt to the first occurrence after `after` that was not
+ * skipped, ending the schedule when there is none left (without saving).
+ * Skips that are in the past are dropped.
+ */
+RecurringDonation.prototype.scheduleNext = function (after = new Date()) {
+  this.skippedOccurrences = this.skippedOccurrences.filter(time => new Date(time) > after);
+
+  let from = after;
+  let next;
+  do {
+    [next] = occurrencesAfter(this, from, 1);
+    from = next;
+  } while (next && this.isSkipped(next));
+
+  if (!next) {
+    return this.transition('end');
+  }
+  this.nextRunAt = next;
+  return this;
+};
+
+RecurringDonation.STATUSES = RECURRING_DONATION_STATUSES;
+RecurringDonation.TRANSITIONS = RECURRING_DONATION_TRANSITIONS;
+
+module.exports = RecurringDonation;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+
+// How long a refresh token can be used for
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * A refresh token handed out at login. Only a hash of the token is stored.
+ *
+ * Refresh tokens rotate: every use revokes the token and issues a new one in
+ * the same session (sessionId). A session stays open as long as one of its
+ * tokens is unrevoked and unexpired; access tokens name their session, so
+ * logging out (revoking the session) also stops its access tokens.
+ * Presenting a token that was already rotated means it was copied, so the
+ * whole session is revoked.
+ */
+const RefreshToken = sequelize.define('RefreshToken', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  // User.tokenVersion when issued; a password change or logout-all bumps it
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  indexes: [
+    { fields: ['sessionId'] },
+    { fields: ['userId'] },
+  ],
+});
+
+RefreshToken.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a refresh token for `user`, in a new session unless `sessionId` is
+ * given. Returns { token, record }; the plain token is never stored.
+ */
+RefreshToken.issue = async (user, { sessionId = crypto.randomUUID(), transaction } = {}) => {
+  await RefreshToken.destroy({
+    where: { userId: user.id, expiresAt: { [Op.lt]: new Date() } },
+    transaction,
+  });
+
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    userId: user.id,
+    sessionId,
+    tokenHash: RefreshToken.hashToken(token),
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  }, { transaction });
+  return { token, record };
+};
+
+/**
+ * Revoke every token of a session.
+ */
+RefreshToken.revokeSession = (sessionId, options = {}) => RefreshToken.update(
+  { revokedAt: new Date() },
+  { where: { sessionId, revokedAt: null }, ...options }
+);
+
+/**
+ * True when the session still has a usable refresh token.
+ */
+RefreshToken.isSessionOpen = async (sessionId) => {
+  const open = await RefreshToken.count({
+    where: { sessionId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }
+  });
+  return open > 0;
+};
+
+RefreshToken.prototype.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+RefreshToken.TTL_MS = REFRESH_TOKEN_TTL_MS;
+
+module.exports = RefreshToken;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// What can be reported
+const REPORT_TARGET_TYPES = ['listing', 'user'];
+
+// A report is open until an admin reviews it
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+/**
+ * A complaint filed by a user about a listing or another user, waiting for
+ * an admin to review it.
+ */
+const Report = sequelize.define('Report', {
+  reporterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  targetType: {
+    type: DataTypes.ENUM(...REPORT_TARGET_TYPES),
+    allowNull: false,
+  },
+  targetId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  details: DataTypes.TEXT,
+  status: {
+    type: DataTypes.ENUM(...REPORT_STATUSES),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  // The admin who resolved or dismissed the report, and their notes
+  reviewedById: DataTypes.INTEGER,
+  reviewedAt: DataTypes.DATE,
+  resolution: DataTypes.TEXT,
+}, {
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['targetType', 'targetId'] },
+  ],
+});
+
+Report.TARGET_TYPES = REPORT_TARGET_TYPES;
+Report.STATUSES = REPORT_STATUSES;
+
+module.exports = Report;
@@ -0,0 +1,23 @@
+const { ApiError } = require('../utils/errors');
+
+// Error code used for each status code a rejected move can produce
+const CODES = {
+  400: 'VALIDATION_ERROR',
+  403: 'FORBIDDEN',
+  409: 'INVALID_TRANSITION',
+};
+
+/**
+ * Raised when a status move of a listing, claim, claim request, delivery
+ * job, recurring donation or need is not allowed.
+ * statusCode is 403 when the wrong party tries the move, 409 when the
+ * record is not in a state the move can start from.
+ */
+class TransitionError extends ApiError {
+  constructor(message, statusCode, code = CODES[statusCode]) {
+    super(statusCode, code, message);
+    this.name = 'TransitionError';
+  }
+}
+
+module.exports = TransitionError;
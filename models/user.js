@@ -1,5 +1,20 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { TYPES: NOTIFICATION_TYPES } = require('./notification');
+
+// bcrypt cost factor; hashes made with a lower cost are upgraded on login
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 10;
+
+// Matches a bcrypt hash ($2a$, $2b$ or $2y$ followed by the cost)
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/;
+
+// Platform roles, separate from userType: admins moderate the platform
+const USER_ROLES = ['user', 'admin'];
+
+// Donors list food, receivers (NGOs) claim it, volunteers deliver it
+const USER_TYPES = ['donor', 'receiver', 'volunteer'];
 
 const User = sequelize.define('User', {
   name: {
@@ -17,11 +32,131 @@ const User = sequelize.define('User', {
   },
   userType: {
     type: DataTypes.STRING,
-    allowNull: false
+    allowNull: false,
+    validate: { isIn: [USER_TYPES] }
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'user',
+    validate: { isIn: [USER_ROLES] }
   },
   organization: DataTypes.STRING,
-  location: DataTypes.STRING,
-  phone: DataTypes.STRING
+  location: DataTypes.STRING, // Address of the farm, shop or NGO
+  latitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -90, max: 90 }
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    validate: { min: -180, max: 180 }
+  },
+  phone: DataTypes.STRING,
+  // Set once the user follows the link in the verification email
+  emailVerifiedAt: DataTypes.DATE,
+  // Set when an admin approves the receiver's organization (see OrganizationVerification)
+  organizationVerifiedAt: DataTypes.DATE,
+  // Suspended accounts (isActive false) cannot log in or use their tokens
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  suspendedAt: DataTypes.DATE,
+  suspensionReason: DataTypes.TEXT,
+  // Which notification types the user gets, as { type: true/false }; every type is on by default
+  notificationPreferences: {
+    type: DataTypes.TEXT,
+    get() {
+      const stored = this.getDataValue('notificationPreferences');
+      const defaults = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+      return { ...defaults, ...(stored == null ? {} : JSON.parse(stored)) };
+    },
+    set(value) {
+      this.setDataValue('notificationPreferences', value == null ? null : JSON.stringify(value));
+    }
+  },
+  // Carried by access and refresh tokens; bumping it ends every session
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  hooks: {
+    // Whatever sets the password, only its hash is ever stored. Changing the
+    // password also logs out every session, unless the save passes
+    // `keepSessions: true` (rehashing the same password on login).
+    beforeSave: async (user, options) => {
+      if (!user.changed('password')) {
+        return;
+      }
+      if (!BCRYPT_HASH.test(user.password)) {
+        user.password = await bcrypt.hash(user.password, BCRYPT_ROUNDS);
+      }
+      if (!user.isNewRecord && !options.keepSessions) {
+        user.tokenVersion += 1;
+        if (options.fields && !options.fields.includes('tokenVersion')) {
+          options.fields.push('tokenVersion');
+        }
+      }
+    }
+  }
 });
 
+// Never sent to clients
+const PRIVATE_FIELDS = ['password', 'tokenVersion'];
+
+User.prototype.toJSON = function () {
+  const values = this.get({ plain: true });
+  PRIVATE_FIELDS.forEach(field => delete values[field]);
+  return values;
+};
+
+/**
+ * Check a login attempt against the stored password.
+ * Accounts created before passwords were hashed still hold the plain text;
+ * those are compared in constant time (see needsRehash).
+ */
+User.prototype.checkPassword = async function (password) {
+  if (typeof password !== 'string' || !this.password) {
+    return false;
+  }
+  if (BCRYPT_HASH.test(this.password)) {
+    return bcrypt.compare(password, this.password);
+  }
+  const given = crypto.createHash('sha256').update(password).digest();
+  const stored = crypto.createHash('sha256').update(this.password).digest();
+  return crypto.timingSafeEqual(given, stored);
+};
+
+/**
+ * True when the stored password is plain text or hashed with a lower cost
+ * than BCRYPT_ROUNDS. Call after a successful checkPassword and save the
+ * password again so it gets (re)hashed.
+ */
+User.prototype.needsRehash = function () {
+  return !BCRYPT_HASH.test(this.password) || bcrypt.getRounds(this.password) < BCRYPT_ROUNDS;
+};
+
+User.prototype.isEmailVerified = function () {
+  return Boolean(this.emailVerifiedAt);
+};
+
+User.prototype.isOrganizationVerified = function () {
+  return Boolean(this.organizationVerifiedAt);
+};
+
+User.prototype.isAdmin = function () {
+  return this.role === 'admin';
+};
+
+User.prototype.wantsNotification = function (type) {
+  return this.notificationPreferences[type] !== false;
+};
+
+User.BCRYPT_ROUNDS = BCRYPT_ROUNDS;
+User.ROLES = USER_ROLES;
+User.TYPES = USER_TYPES;
+
 module.exports = User;
\ No newline at end of file
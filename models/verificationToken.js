@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+
+// What a token can be used for, and how long it stays valid
+const TOKEN_PURPOSES = {
+  email_verification: (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  password_reset: (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+};
+
+/**
+ * A single-use, expiring token sent by email to prove the user can read the
+ * mailbox (email verification, password reset). Only a hash is stored.
+ */
+const VerificationToken = sequelize.define('VerificationToken', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  purpose: {
+    type: DataTypes.ENUM(...Object.keys(TOKEN_PURPOSES)),
+    allowNull: false,
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  indexes: [
+    { fields: ['userId', 'purpose'] },
+  ],
+});
+
+VerificationToken.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for `user`. Earlier unused tokens for the same purpose stop
+ * working, so only the latest email is valid. Returns { token, expiresAt }.
+ */
+VerificationToken.issue = async (user, purpose, options = {}) => {
+  await VerificationToken.destroy({
+    where: { userId: user.id, purpose, usedAt: null },
+    ...options,
+  });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_PURPOSES[purpose]);
+  await VerificationToken.create({
+    userId: user.id,
+    purpose,
+    tokenHash: VerificationToken.hashToken(token),
+    expiresAt,
+  }, options);
+  return { token, expiresAt };
+};
+
+/**
+ * Use up a token. Returns the userId it was issued to, or null when the
+ * token is unknown, expired, already used or for another purpose. Marking it
+ * used is a single conditional update, so a token works at most once even
+ * under concurrent requests.
+ */
+VerificationToken.consume = async (token, purpose, options = {}) => {
+  const record = await VerificationToken.findOne({
+    where: { tokenHash: VerificationToken.hashToken(token), purpose },
+    ...options,
+  });
+  if (!record) {
+    return null;
+  }
+
+  const [used] = await VerificationToken.update({ usedAt: new Date() }, {
+    where: { id: record.id, usedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    ...options,
+  });
+  return used ? record.userId : null;
+};
+
+VerificationToken.PURPOSES = Object.keys(TOKEN_PURPOSES);
+
+module.exports = VerificationToken;
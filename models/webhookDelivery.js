@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// pending until the partner answers with a 2xx, failed once out of attempts
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * One event sent (or to be sent) to a webhook subscription, with the
+ * outcome of its latest attempt. Redelivering creates a new delivery of
+ * the same event, so the log keeps both.
+ */
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  subscriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // Same for every delivery of one event, so partners can drop duplicates
+  eventId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // The exact JSON body sent, which is what the signature covers
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM(...DELIVERY_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // When the next attempt is due (null once succeeded or failed)
+  nextAttemptAt: DataTypes.DATE,
+  lastAttemptAt: DataTypes.DATE,
+  // HTTP status of the last response
+  responseStatus: DataTypes.INTEGER,
+  // Why the last attempt failed, when there was no response at all
+  error: DataTypes.TEXT,
+  deliveredAt: DataTypes.DATE,
+}, {
+  indexes: [
+    { fields: ['subscriptionId'] },
+    { fields: ['status', 'nextAttemptAt'] },
+  ],
+});
+
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Events a partner can subscribe to
+const WEBHOOK_EVENTS = ['listing.created', 'listing.claimed'];
+
+/**
+ * A URL a partner registered to receive listing events. Payloads are
+ * signed with `secret`, which the partner gets once, when registering.
+ */
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+  },
+  // Subscribed event types, stored as a JSON array
+  events: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      return JSON.parse(this.getDataValue('events'));
+    },
+    set(value) {
+      this.setDataValue('events', JSON.stringify(value));
+    },
+  },
+  secret: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: () => `whsec_${crypto.randomBytes(24).toString('hex')}`,
+  },
+  description: DataTypes.STRING,
+  // Paused subscriptions get no new deliveries
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+}, {
+  // The secret is only sent back when the subscription is created;
+  // read it with WebhookSubscription.unscoped()
+  defaultScope: {
+    attributes: { exclude: ['secret'] },
+  },
+  indexes: [
+    { fields: ['userId'] },
+  ],
+});
+
+WebhookSubscription.prototype.isSubscribedTo = function (eventType) {
+  return this.isActive && this.events.includes(eventType);
+};
+
+WebhookSubscription.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
@@ -0,0 +1,229 @@
+/**
+ * In-app notifications for listing events.
+ *
+ * Each function works out who should hear about an event and stores a
+ * Notification for everyone who has not turned that type off in their
+ * profile. Call them once the change itself is committed; they never
+ * throw, so a failed notification is logged and does not undo the change.
+ */
+const { Op } = require('sequelize');
+const { models } = require('../models/index');
+const { haversineKm, boundingBox } = require('../utils/geo');
+const { formatQuantity } = require('../utils/quantity');
+
+// Receivers within this distance of a new listing hear about it
+const NEARBY_RADIUS_KM = Number(process.env.NOTIFY_NEARBY_RADIUS_KM) || 10;
+
+// Wraps a notifier so that errors are logged instead of thrown (and it returns undefined)
+const safely = (type, notify) => async (...args) => {
+  try {
+    return await notify(...args);
+  } catch (error) {
+    console.error(`Could not send ${type} notifications:`, error);
+  }
+};
+
+// Amount of a claim as a label, e.g. "2 kg" (the whole listing for legacy listings)
+const claimedAmount = (listing, claim) => (claim.quantityAmount == null
+  ? listing.quantity
+  : formatQuantity(claim.quantityAmount, listing.quantityUnit));
+
+const displayName = (user) => user.organization || user.name;
+
+/**
+ * Tell verified receivers near a new listing that it is available, other
+ * than the `except` ones (already told through a matching need).
+ * Listings without coordinates reach nobody.
+ */
+const listingCreated = safely('listing_nearby', async (listing, { except = [] } = {}) => {
+  if (listing.latitude == null || listing.longitude == null) {
+    return;
+  }
+
+  const box = boundingBox(listing.latitude, listing.longitude, NEARBY_RADIUS_KM);
+  const receivers = await models.User.findAll({
+    where: {
+      userType: 'receiver',
+      organizationVerifiedAt: { [Op.ne]: null },
+      latitude: { [Op.between]: [box.minLat, box.maxLat] },
+      longitude: box.minLng === null ? { [Op.ne]: null } : { [Op.between]: [box.minLng, box.maxLng] }
+    }
+  });
+  const told = new Set(except.map(receiver => receiver.id));
+  const nearby = receivers.filter(receiver => !told.has(receiver.id)
+    && haversineKm(listing.latitude, listing.longitude, receiver.latitude, receiver.longitude) <= NEARBY_RADIUS_KM);
+
+  await models.Notification.deliver(nearby, 'listing_nearby', {
+    title: 'New food near you',
+    body: `${listing.quantity} of ${listing.foodType} is available at ${listing.location}.`,
+    listingId: listing.id
+  });
+});
+
+/**
+ * Tell the donor that `claim` was made on their listing.
+ */
+const listingClaimed = safely('listing_claimed', async (listing, claim) => {
+  const [donor, receiver] = await Promise.all([
+    models.User.findByPk(listing.userId),
+    models.User.findByPk(claim.receiverId)
+  ]);
+
+  await models.Notification.deliver([donor], 'listing_claimed', {
+    title: 'Your listing was claimed',
+    body: `${displayName(receiver)} claimed ${claimedAmount(listing, claim)} of your ${listing.foodType}.`,
+    listingId: listing.id,
+    claimId: claim.id
+  });
+});
+
+/**
+ * Tell the donor when the receiver of `claim` will come for the food.
+ */
+const pickupScheduled = safely('pickup_scheduled', async (listing, claim) => {
+  const [donor, receiver] = await Promise.all([
+    models.User.findByPk(listing.userId),
+    models.User.findByPk(claim.receiverId)
+  ]);
+
+  await models.Notification.deliver([donor], 'pickup_scheduled', {
+    title: 'Pickup scheduled',
+    body: `${displayName(receiver)} will collect ${claimedAmount(listing, claim)} of ${listing.foodType} `
+      + `on ${new Date(claim.pickupScheduledFor).toUTCString()}.`,
+    listingId: listing.id,
+    claimId: claim.id
+  });
+});
+
+/**
+ * Tell the receivers of `claims`, cancelled along with the listing, that
+ * there is nothing to collect. When an admin closed the listing, the donor
+ * is told as well.
+ */
+const listingCancelled = safely('listing_cancelled', async (listing, claims, { byAdmin = false } = {}) => {
+  const reason = listing.cancellationReason ? ` Reason: ${listing.cancellationReason}` : '';
+
+  for (const claim of claims) {
+    const receiver = await models.User.findByPk(claim.receiverId);
+    await models.Notification.deliver([receiver], 'listing_cancelled', {
+      title: 'A donation you claimed was withdrawn',
+      body: `${listing.quantity} of ${listing.foodType} from ${listing.location} is no longer available `
+        + `and your claim has been cancelled.${reason}`,
+      listingId: listing.id,
+      claimId: claim.id
+    });
+  }
+
+  if (byAdmin) {
+    const donor = await models.User.findByPk(listing.userId);
+    await models.Notification.deliver([donor], 'listing_cancelled', {
+      title: 'An admin closed your listing',
+      body: `Your listing of ${listing.quantity} of ${listing.foodType} was closed by an admin.${reason}`,
+      listingId: listing.id
+    });
+  }
+});
+
+/**
+ * Warn the donor and the receivers of `claims` (those still waiting for
+ * pickup) that the listing's food expires soon.
+ */
+const listingExpiring = safely('listing_expiring', async (listing, claims) => {
+  const expires = new Date(listing.expiresAt).toUTCString();
+
+  const donor = await models.User.findByPk(listing.userId);
+  await models.Notification.deliver([donor], 'listing_expiring', {
+    title: 'Your listing expires soon',
+    body: `${listing.quantity} of ${listing.foodType} expires on ${expires}.`,
+    listingId: listing.id
+  });
+
+  for (const claim of claims) {
+    const receiver = await models.User.findByPk(claim.receiverId);
+    await models.Notification.deliver([receiver], 'listing_expiring', {
+      title: 'Food you claimed expires soon',
+      body: `${claimedAmount(listing, claim)} of ${listing.foodType} from ${listing.location} expires on ${expires}. `
+        + 'Collect it before then.',
+      listingId: listing.id,
+      claimId: claim.id
+    });
+  }
+});
+
+// Tells one receiver that a new listing meets their `need`
+const needMatched = safely('need_matched', (listing, receiver, need) =>
+  models.Notification.deliver([receiver], 'need_matched', {
+    title: `New food for your need "${need.title}"`,
+    body: `${listing.quantity} of ${listing.foodType} is available at ${listing.location}.`,
+    listingId: listing.id
+  }));
+
+// Tells the donor which receivers' needs their new listing meets
+const listingMatched = safely('listing_matched', async (listing, matches) => {
+  const names = matches.slice(0, 3).map(({ receiver }) => displayName(receiver));
+  const more = matches.length > names.length ? ` and ${matches.length - names.length} more` : '';
+  const donor = await models.User.findByPk(listing.userId);
+  await models.Notification.deliver([donor], 'listing_matched', {
+    title: 'Receivers need your listing',
+    body: `${names.join(', ')}${more} posted needs that your ${listing.foodType} meets. `
+      + 'See the suggested receivers of the listing.',
+    listingId: listing.id
+  });
+});
+
+/**
+ * Tell each matched receiver that a new listing meets one of their needs,
+ * and the donor which receivers need it. `matches` come from
+ * matching.suggestReceivers, best first. Returns the receivers notified;
+ * a notification that fails is logged and does not affect the others.
+ */
+const needsMatched = async (listing, matches) => {
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const notified = [];
+  for (const { receiver, need } of matches) {
+    const created = await needMatched(listing, receiver, need);
+    if (created && created.length) {
+      notified.push(receiver);
+    }
+  }
+  await listingMatched(listing, matches);
+  return notified;
+};
+
+/**
+ * Tell every receiver who entered the lottery of `listing` what the draw
+ * gave them. `requests` are the drawn ClaimRequests, `claims` the claims
+ * the draw created.
+ */
+const lotteryDrawn = safely('lottery_drawn', async (listing, requests, claims) => {
+  for (const request of requests) {
+    const receiver = await models.User.findByPk(request.receiverId);
+    const claim = claims.find(candidate => candidate.id === request.claimId);
+    const { position, entries } = request.allocation.lottery;
+    await models.Notification.deliver([receiver], 'lottery_drawn', claim ? {
+      title: 'You were allocated food in a lottery',
+      body: `You were drawn ${position} of ${entries} and given ${claimedAmount(listing, claim)} of `
+        + `${listing.foodType} at ${listing.location}. Schedule a pickup with the donor.`,
+      listingId: listing.id,
+      claimId: claim.id
+    } : {
+      title: 'Your lottery entry was unsuccessful',
+      body: `Your entry for ${listing.foodType} at ${listing.location} was unsuccessful: ${request.allocation.reason}.`,
+      listingId: listing.id
+    });
+  }
+});
+
+module.exports = {
+  NEARBY_RADIUS_KM,
+  listingCreated,
+  listingClaimed,
+  pickupScheduled,
+  listingCancelled,
+  listingExpiring,
+  needsMatched,
+  lotteryDrawn,
+};
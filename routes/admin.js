@@ -0,0 +1,1066 @@
+const express = require('express');
+const { Op, Transaction } = require('sequelize');
+const router = express.Router();
+const { auth, requireRole } = require('../middleware/auth');
+const { models, sequelize } = require('../models/index');
+const { totalQuantities } = require('../utils/quantity');
+const { parsePageQuery, pageMeta, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+const { ApiError } = require('../utils/errors');
+const { getFile } = require('../storage');
+const { sendMail } = require('../mail');
+const mailTemplates = require('../mail/templates');
+const notifications = require('../notifications');
+const feed = require('../feed');
+
+// Moderation changes take SQLite's write lock up front, like the listing routes
+const WRITE_LOCK = { type: Transaction.TYPES.IMMEDIATE };
+
+// Error message for an invalid page or limit query parameter
+const PAGE_QUERY_ERROR = `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`;
+
+// Fields admins see for the reporter of a report or the actor of an audit entry
+const USER_SUMMARY = ['id', 'name', 'email', 'organization'];
+
+// Claims whose food has actually changed hands
+const HANDED_OVER_STATUSES = ['picked_up', 'completed'];
+
+/**
+ * Count the rows of `model` per value of `column`, with every value in
+ * `values` present (0 when there are none).
+ */
+const countBy = async (model, column, values, where = {}) => {
+  const rows = await model.count({ where, group: [column] });
+  const counts = Object.fromEntries(values.map(value => [value, 0]));
+  rows.forEach(row => { counts[row[column]] = row.count; });
+  return counts;
+};
+
+// Every route here is for admins only
+router.use(auth, requireRole('admin'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: >
+ *     Moderation console for users with the admin role. Every change made here
+ *     is written to the audit log.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     UserId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: The user id
+ *     ReportId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: The report id
+ *     VerificationId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: The organization verification request id
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actorId:
+ *           type: integer
+ *           nullable: true
+ *           description: The admin who acted; null for command line actions
+ *         actor:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         action:
+ *           type: string
+ *           example: user.suspended
+ *         targetType:
+ *           type: string
+ *           example: user
+ *         targetId:
+ *           type: integer
+ *         details:
+ *           type: object
+ *           nullable: true
+ *           description: Context of the action, e.g. the reason or the state of a deleted listing
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the name, email or organization
+ *       - in: query
+ *         name: userType
+ *         schema:
+ *           type: string
+ *           enum: [donor, receiver, volunteer]
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Matching users, oldest account first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid filter, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const { q, userType, role, status } = req.query;
+    const where = {};
+
+    if (q) {
+      const pattern = `%${q}%`;
+      where[Op.or] = [
+        { name: { [Op.like]: pattern } },
+        { email: { [Op.like]: pattern } },
+        { organization: { [Op.like]: pattern } }
+      ];
+    }
+    if (userType) {
+      if (!models.User.TYPES.includes(userType)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `userType must be one of: ${models.User.TYPES.join(', ')}`);
+      }
+      where.userType = userType;
+    }
+    if (role) {
+      if (!models.User.ROLES.includes(role)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `role must be one of: ${models.User.ROLES.join(', ')}`);
+      }
+      where.role = role;
+    }
+    if (status) {
+      if (!['active', 'suspended'].includes(status)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'status must be either "active" or "suspended"');
+      }
+      where.isActive = status === 'active';
+    }
+
+    const { rows, count } = await models.User.findAndCountAll({
+      where,
+      order: [['id', 'ASC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching users');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/suspend:
+ *   patch:
+ *     summary: Suspend a user account
+ *     description: >
+ *       The user is logged out of every session and can not log in again until
+ *       the account is reactivated. Their listings and claims are left as they are.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserResponse'
+ *       400:
+ *         description: Missing reason, or the caller tried to suspend themselves (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is already suspended (CONFLICT)
+ */
+router.patch('/users/:id/suspend', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'reason is required');
+    }
+
+    const user = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const user = await models.User.findByPk(req.params.id, { transaction });
+      if (!user) {
+        throw new ApiError(404, 'NOT_FOUND', 'User not found');
+      }
+      if (user.id === req.user.id) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'You cannot suspend your own account');
+      }
+      if (!user.isActive) {
+        throw new ApiError(409, 'CONFLICT', 'Account is already suspended');
+      }
+
+      user.isActive = false;
+      user.suspendedAt = new Date();
+      user.suspensionReason = reason.trim();
+      // End every session, as logout-all does
+      user.tokenVersion += 1;
+      await user.save({ transaction });
+      await models.RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: user.id, revokedAt: null }, transaction }
+      );
+
+      await models.AuditLog.record(req.user, 'user.suspended', { targetType: 'user', targetId: user.id },
+        { reason: user.suspensionReason }, { transaction });
+      return user;
+    });
+
+    sendData(res, user);
+  } catch (error) {
+    sendFailure(res, error, 'Error suspending user');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/reactivate:
+ *   patch:
+ *     summary: Reactivate a suspended user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserId'
+ *     responses:
+ *       200:
+ *         description: Account reactivated; the user can log in again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserResponse'
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account is not suspended (CONFLICT)
+ */
+router.patch('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const user = await models.User.findByPk(req.params.id, { transaction });
+      if (!user) {
+        throw new ApiError(404, 'NOT_FOUND', 'User not found');
+      }
+      if (user.isActive) {
+        throw new ApiError(409, 'CONFLICT', 'Account is not suspended');
+      }
+
+      const { suspendedAt, suspensionReason } = user;
+      user.isActive = true;
+      user.suspendedAt = null;
+      user.suspensionReason = null;
+      await user.save({ transaction });
+
+      await models.AuditLog.record(req.user, 'user.reactivated', { targetType: 'user', targetId: user.id },
+        { suspendedAt, suspensionReason }, { transaction });
+      return user;
+    });
+
+    sendData(res, user);
+  } catch (error) {
+    sendFailure(res, error, 'Error reactivating user');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/listings/{id}/close:
+ *   patch:
+ *     summary: Force-close a listing
+ *     description: >
+ *       Cancels a listing that has not been picked up yet, whoever its donor is,
+ *       and cancels the claims still waiting for pickup. The donor and the
+ *       receivers of those claims are notified.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Listing cancelled
+ *       400:
+ *         description: Missing reason (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: Listing has already been picked up, completed or closed (INVALID_TRANSITION)
+ */
+router.patch('/listings/:id/close', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'reason is required');
+    }
+
+    const { listing, claims } = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const listing = await models.Listing.findByPk(req.params.id, { transaction });
+      if (!listing) {
+        throw new ApiError(404, 'NOT_FOUND', 'Listing not found');
+      }
+
+      const previousStatus = listing.status;
+      listing.transition('forceClose', req.user);
+      listing.cancellationReason = reason.trim();
+      await listing.save({ transaction });
+      const claims = await listing.closeOpenClaims('cancel', { transaction });
+
+      await models.AuditLog.record(req.user, 'listing.force_closed', { targetType: 'listing', targetId: listing.id }, {
+        reason: listing.cancellationReason,
+        previousStatus,
+        cancelledClaimIds: claims.map(claim => claim.id)
+      }, { transaction });
+      return { listing, claims };
+    });
+
+    await feed.publish('listing.updated', listing);
+    await notifications.listingCancelled(listing, claims, { byAdmin: true });
+    sendData(res, listing);
+  } catch (error) {
+    sendFailure(res, error, 'Error closing listing');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/listings/{id}:
+ *   delete:
+ *     summary: Delete a listing
+ *     description: >
+ *       Permanently removes a listing and its claims. The audit log keeps a copy
+ *       of what was deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "Listing deleted; data is { deleted: true }"
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: Listing not found
+ */
+router.delete('/listings/:id', async (req, res) => {
+  try {
+    const listing = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const listing = await models.Listing.findByPk(req.params.id, {
+        include: [{ model: models.Claim, as: 'claims' }],
+        transaction
+      });
+      if (!listing) {
+        throw new ApiError(404, 'NOT_FOUND', 'Listing not found');
+      }
+
+      await models.AuditLog.record(req.user, 'listing.deleted', { targetType: 'listing', targetId: listing.id }, {
+        reason: (req.body && req.body.reason) || null,
+        listing: listing.toJSON()
+      }, { transaction });
+      await listing.destroy({ transaction });
+      return listing;
+    });
+
+    await feed.publish('listing.deleted', listing);
+    sendData(res, { deleted: true });
+  } catch (error) {
+    sendFailure(res, error, 'Error deleting listing');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/reports:
+ *   get:
+ *     summary: List reports filed by users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *           default: open
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [listing, user]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Reports, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Report'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid filter, page or limit (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ */
+router.get('/reports', async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const { status = 'open', targetType } = req.query;
+    if (!models.Report.STATUSES.includes(status)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `status must be one of: ${models.Report.STATUSES.join(', ')}`);
+    }
+    const where = { status };
+    if (targetType) {
+      if (!models.Report.TARGET_TYPES.includes(targetType)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `targetType must be one of: ${models.Report.TARGET_TYPES.join(', ')}`);
+      }
+      where.targetType = targetType;
+    }
+
+    const { rows, count } = await models.Report.findAndCountAll({
+      where,
+      include: [{ model: models.User, as: 'reporter', attributes: USER_SUMMARY }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching reports');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/reports/{id}:
+ *   patch:
+ *     summary: Review a report
+ *     description: >
+ *       Marks an open report as resolved (action was taken, e.g. the listing was
+ *       closed) or dismissed (nothing wrong was found).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [resolved, dismissed]
+ *               resolution:
+ *                 type: string
+ *                 description: Notes on what was done
+ *     responses:
+ *       200:
+ *         description: Report reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Invalid status (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report was already reviewed (CONFLICT)
+ */
+router.patch('/reports/:id', async (req, res) => {
+  try {
+    const { status, resolution } = req.body;
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'status must be either "resolved" or "dismissed"');
+    }
+
+    const report = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const report = await models.Report.findByPk(req.params.id, { transaction });
+      if (!report) {
+        throw new ApiError(404, 'NOT_FOUND', 'Report not found');
+      }
+      if (report.status !== 'open') {
+        throw new ApiError(409, 'CONFLICT', `Report was already ${report.status}`);
+      }
+
+      report.status = status;
+      report.resolution = resolution || null;
+      report.reviewedById = req.user.id;
+      report.reviewedAt = new Date();
+      await report.save({ transaction });
+
+      await models.AuditLog.record(req.user, `report.${status}`, { targetType: 'report', targetId: report.id }, {
+        reportedType: report.targetType,
+        reportedId: report.targetId,
+        resolution: report.resolution
+      }, { transaction });
+      return report;
+    });
+
+    sendData(res, report);
+  } catch (error) {
+    sendFailure(res, error, 'Error reviewing report');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/verifications:
+ *   get:
+ *     summary: List organization verification requests
+ *     description: The pending queue by default, oldest request first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Requests with the receiver and the list of documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrganizationVerification'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid status, page or limit (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ */
+router.get('/verifications', async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const { status = 'pending' } = req.query;
+    if (!models.OrganizationVerification.STATUSES.includes(status)) {
+      return sendError(res, 400, 'VALIDATION_ERROR',
+        `status must be one of: ${models.OrganizationVerification.STATUSES.join(', ')}`);
+    }
+
+    const { rows, count } = await models.OrganizationVerification.findAndCountAll({
+      where: { status },
+      include: [
+        { model: models.User, as: 'user', attributes: USER_SUMMARY },
+        { model: models.OrganizationDocument, as: 'documents' }
+      ],
+      distinct: true,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching verification requests');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/verifications/{id}/documents/{documentId}:
+ *   get:
+ *     summary: Download a document of a verification request
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/VerificationId'
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file as uploaded
+ *         content:
+ *           application/pdf: {}
+ *           image/jpeg: {}
+ *           image/png: {}
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: Document not found
+ */
+router.get('/verifications/:id/documents/:documentId', async (req, res) => {
+  try {
+    const document = await models.OrganizationDocument.unscoped().findOne({
+      where: { id: req.params.documentId, verificationId: req.params.id }
+    });
+    const contents = document && await getFile(document.storageKey);
+    if (!contents) {
+      return sendError(res, 404, 'NOT_FOUND', 'Document not found');
+    }
+
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Disposition': `attachment; filename="${document.fileName.replace(/["\\\r\n]/g, '_')}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(contents);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching document');
+  }
+});
+
+/**
+ * Approve or reject the pending verification request `id` on behalf of
+ * `admin`, apply `changes` to it and audit it. Returns the request with
+ * its receiver loaded.
+ */
+const reviewVerification = (id, admin, status, changes = {}) =>
+  sequelize.transaction(WRITE_LOCK, async (transaction) => {
+    const verification = await models.OrganizationVerification.findByPk(id, {
+      include: [{ model: models.User, as: 'user' }],
+      transaction
+    });
+    if (!verification) {
+      throw new ApiError(404, 'NOT_FOUND', 'Verification request not found');
+    }
+    if (verification.status !== 'pending') {
+      throw new ApiError(409, 'CONFLICT', `Verification request was already ${verification.status}`);
+    }
+
+    Object.assign(verification, changes, { status, reviewedById: admin.id, reviewedAt: new Date() });
+    await verification.save({ transaction });
+
+    if (status === 'approved') {
+      verification.user.organizationVerifiedAt = verification.reviewedAt;
+      verification.user.organization = verification.organizationName;
+      await verification.user.save({ transaction });
+    }
+
+    await models.AuditLog.record(admin, `verification.${status}`, { targetType: 'verification', targetId: verification.id }, {
+      userId: verification.userId,
+      organizationName: verification.organizationName,
+      registrationNumber: verification.registrationNumber,
+      rejectionReason: verification.rejectionReason
+    }, { transaction });
+    return verification;
+  });
+
+// Tells the receiver the outcome; a mail failure does not undo the review
+const notifyReviewed = async (verification, template) => {
+  try {
+    await sendMail(template(verification.user, verification));
+  } catch (error) {
+    console.error(`Could not send verification outcome to user ${verification.userId}:`, error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/verifications/{id}/approve:
+ *   patch:
+ *     summary: Approve an organization verification request
+ *     description: >
+ *       The receiver can claim listings from now on, and their profile's
+ *       organization is set to the verified name. They are told by email.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/VerificationId'
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OrganizationVerification'
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: Verification request not found
+ *       409:
+ *         description: Request was already reviewed (CONFLICT)
+ */
+router.patch('/verifications/:id/approve', async (req, res) => {
+  try {
+    const verification = await reviewVerification(req.params.id, req.user, 'approved');
+    await notifyReviewed(verification, mailTemplates.organizationApproved);
+    sendData(res, verification);
+  } catch (error) {
+    sendFailure(res, error, 'Error approving verification request');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/verifications/{id}/reject:
+ *   patch:
+ *     summary: Reject an organization verification request
+ *     description: The receiver is told the reason by email and can submit a corrected request.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/VerificationId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "The registration certificate is not legible"
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OrganizationVerification'
+ *       400:
+ *         description: Missing reason (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ *       404:
+ *         description: Verification request not found
+ *       409:
+ *         description: Request was already reviewed (CONFLICT)
+ */
+router.patch('/verifications/:id/reject', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'reason is required');
+    }
+
+    const verification = await reviewVerification(req.params.id, req.user, 'rejected', { rejectionReason: reason.trim() });
+    await notifyReviewed(verification, mailTemplates.organizationRejected);
+    sendData(res, verification);
+  } catch (error) {
+    sendFailure(res, error, 'Error rejecting verification request');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/stats:
+ *   get:
+ *     summary: Platform-wide statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts of users, listings, claims and open reports, and food handed over
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         byType:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: integer
+ *                         admins:
+ *                           type: integer
+ *                         suspended:
+ *                           type: integer
+ *                         unverified:
+ *                           type: integer
+ *                     listings:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         byStatus:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: integer
+ *                     claims:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         byStatus:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: integer
+ *                     openReports:
+ *                       type: integer
+ *                     pendingVerifications:
+ *                       type: integer
+ *                       description: Organization verification requests waiting for review
+ *                     totalDonated:
+ *                       type: object
+ *                       properties:
+ *                         byUnit:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: number
+ *                         estimatedMeals:
+ *                           type: integer
+ *                     mealsServed:
+ *                       type: integer
+ *                       description: Estimated meals from completed claims
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const [
+      usersByType, admins, suspended, unverified, listingsByStatus, claimsByStatus,
+      openReports, pendingVerifications, handedOver
+    ] = await Promise.all([
+      countBy(models.User, 'userType', models.User.TYPES),
+      models.User.count({ where: { role: 'admin' } }),
+      models.User.count({ where: { isActive: false } }),
+      models.User.count({ where: { emailVerifiedAt: null } }),
+      countBy(models.Listing, 'status', models.Listing.STATUSES),
+      countBy(models.Claim, 'status', models.Claim.STATUSES),
+      models.Report.count({ where: { status: 'open' } }),
+      models.OrganizationVerification.count({ where: { status: 'pending' } }),
+      models.Claim.findAll({
+        where: { status: HANDED_OVER_STATUSES },
+        include: [{ model: models.Listing, as: 'listing', attributes: ['quantityAmount', 'quantityUnit'] }]
+      })
+    ]);
+
+    const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+
+    sendData(res, {
+      users: { total: sum(usersByType), byType: usersByType, admins, suspended, unverified },
+      listings: { total: sum(listingsByStatus), byStatus: listingsByStatus },
+      claims: { total: sum(claimsByStatus), byStatus: claimsByStatus },
+      openReports,
+      pendingVerifications,
+      totalDonated: totalQuantities(handedOver),
+      mealsServed: totalQuantities(handedOver.filter(claim => claim.status === 'completed')).estimatedMeals
+    });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching platform statistics');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/audit-log:
+ *   get:
+ *     summary: Browse the audit log of admin actions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. user.suspended, listing.deleted
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [user, listing, report, verification]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid page or limit (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not an admin (FORBIDDEN)
+ */
+router.get('/audit-log', async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const where = {};
+    for (const field of ['actorId', 'action', 'targetType', 'targetId']) {
+      if (req.query[field]) {
+        where[field] = req.query[field];
+      }
+    }
+
+    const { rows, count } = await models.AuditLog.findAndCountAll({
+      where,
+      include: [{ model: models.User, as: 'actor', attributes: USER_SUMMARY }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching audit log');
+  }
+});
+
+module.exports = router;
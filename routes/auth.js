@@ -1,8 +1,206 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { Transaction } = require('sequelize');
+const router = express.Router();
+const { models, sequelize } = require('../models/index');
+const { auth, signAccessToken } = require('../middleware/auth');
+const { validateCoordinates } = require('../utils/geo');
+const { validatePassword, PASSWORD_POLICY } = require('../utils/password');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+const { ApiError } = require('../utils/errors');
+const { sendMail } = require('../mail');
+const mailTemplates = require('../mail/templates');
+
+// Refresh token rotation takes SQLite's write lock up front, so the same
+// token cannot be exchanged twice by concurrent requests
+const WRITE_LOCK = { type: Transaction.TYPES.IMMEDIATE };
+
+/**
+ * Hand out a new refresh token and a matching access token. Without a
+ * sessionId this starts a new session (login, registration).
+ */
+const issueTokens = async (user, options = {}) => {
+  const { token: refreshToken, record } = await models.RefreshToken.issue(user, options);
+  const accessToken = signAccessToken(user, record.sessionId);
+  return {
+    accessToken,
+    // Kept for clients written before refresh tokens existed
+    token: accessToken,
+    accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    refreshToken,
+    refreshTokenExpiresAt: record.expiresAt
+  };
+};
+
+/**
+ * Email `user` a fresh single-use token. A mail failure is logged rather
+ * than failing the request; the user can ask for another email.
+ */
+const emailToken = async (user, purpose, template) => {
+  const { token, expiresAt } = await models.VerificationToken.issue(user, purpose);
+  try {
+    await sendMail(template(user, token, expiresAt));
+  } catch (error) {
+    console.error(`Could not send ${purpose} email to user ${user.id}:`, error);
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Authentication
+ *   description: User authentication and registration
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       required:
+ *         - name
+ *         - email
+ *         - password
+ *         - userType
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the user
+ *         name:
+ *           type: string
+ *           description: The user's full name
+ *         email:
+ *           type: string
+ *           description: The user's email address
+ *         userType:
+ *           type: string
+ *           enum: [donor, receiver, volunteer]
+ *           description: The type of user
+ *         organization:
+ *           type: string
+ *           description: The name of the farm or NGO
+ *         location:
+ *           type: string
+ *           description: The user's address
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         phone:
+ *           type: string
+ *           description: The user's phone number
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the email address was confirmed; unverified users cannot create or claim listings
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           description: Platform role; admins can use the /admin moderation console
+ *         isActive:
+ *           type: boolean
+ *           description: False while the account is suspended
+ *         suspendedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         suspensionReason:
+ *           type: string
+ *           nullable: true
+ *         notificationPreferences:
+ *           $ref: '#/components/schemas/NotificationPreferences'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Account creation date
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update date
+ *       example:
+ *         id: 1
+ *         name: "John Doe"
+ *         email: "john@example.com"
+ *         userType: "donor"
+ *         organization: "Fresh Farms"
+ *         location: "Cape Town"
+ *         phone: "+27 123 456 789"
+ *         createdAt: "2024-01-15T10:30:00.000Z"
+ *         updatedAt: "2024-01-15T10:30:00.000Z"
+ * 
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: Short-lived JWT for authenticated requests (ACCESS_TOKEN_TTL, default 15 minutes)
+ *         token:
+ *           type: string
+ *           description: Same as accessToken, kept for older clients
+ *           deprecated: true
+ *         accessTokenExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh; every refresh returns a new one
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         data:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Tokens'
+ *             - type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *         meta:
+ *           nullable: true
+ *         error:
+ *           nullable: true
+ *       example:
+ *         data:
+ *           accessToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *           token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *           accessTokenExpiresAt: "2024-01-15T10:45:00.000Z"
+ *           refreshToken: "kq3V0c1m6yJ2..."
+ *           refreshTokenExpiresAt: "2024-02-14T10:30:00.000Z"
+ *           user:
+ *             id: 1
+ *             name: "John Doe"
+ *             email: "john@example.com"
+ *             userType: "donor"
+ *             organization: "Fresh Farms"
+ *             location: "Cape Town"
+ *             phone: "+27 123 456 789"
+ *             createdAt: "2024-01-15T10:30:00.000Z"
+ *             updatedAt: "2024-01-15T10:30:00.000Z"
+ *         meta: null
+ *         error: null
+ *
+ *     UserResponse:
+ *       type: object
+ *       properties:
+ *         data:
+ *           $ref: '#/components/schemas/User'
+ *         meta:
+ *           nullable: true
+ *         error:
+ *           nullable: true
+ */
+
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Create a new donor or receiver account
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -18,34 +216,128 @@
  *             properties:
  *               name:
  *                 type: string
+ *                 example: "John Doe"
  *               email:
  *                 type: string
+ *                 example: "john@example.com"
  *               password:
  *                 type: string
+ *                 format: password
+ *                 description: >
+ *                   Must meet the password policy: at least PASSWORD_MIN_LENGTH characters
+ *                   (default 8) and the PASSWORD_REQUIRED_CLASSES (default a letter and a digit)
+ *                 example: "securePassword123"
  *               userType:
  *                 type: string
- *                 enum: [donor, receiver]
+ *                 enum: [donor, receiver, volunteer]
+ *                 description: Donors list food, receivers claim it and volunteers deliver it
+ *                 example: "donor"
  *               organization:
  *                 type: string
+ *                 example: "Fresh Farms"
  *               location:
  *                 type: string
+ *                 example: "Cape Town"
+ *               latitude:
+ *                 type: number
+ *                 example: -33.9249
+ *               longitude:
+ *                 type: number
+ *                 example: 18.4241
  *               phone:
  *                 type: string
+ *                 example: "+27 123 456 789"
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User successfully registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Missing required fields
+ *         description: Validation error, including a password that does not meet the policy (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
- *         description: User already exists
+ *         description: A user already exists with this email (CONFLICT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password, userType, organization, location, latitude, longitude, phone } = req.body;
+
+    // Validate required fields
+    if (!name || !email || !password || !userType) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'Name, email, password, and userType are required');
+    }
+
+    // Validate userType
+    if (!models.User.TYPES.includes(userType)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `userType must be one of: ${models.User.TYPES.join(', ')}`);
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', passwordError, { policy: PASSWORD_POLICY });
+    }
+
+    const coordinatesError = validateCoordinates(latitude, longitude);
+    if (coordinatesError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', coordinatesError);
+    }
+
+    // Check if user already exists
+    const existingUser = await models.User.findOne({ where: { email } });
+    if (existingUser) {
+      return sendError(res, 409, 'CONFLICT', 'User already exists with this email');
+    }
+
+    // Create new user (the model hashes the password)
+    const user = await models.User.create({
+      name,
+      email,
+      password,
+      userType,
+      organization,
+      location,
+      latitude,
+      longitude,
+      phone
+    });
+
+    await emailToken(user, 'email_verification', mailTemplates.emailVerification);
+
+    // Start a session
+    const tokens = await issueTokens(user);
+
+    // Don't send password back
+    const userResponse = { ...user.toJSON() };
+    delete userResponse.password;
+
+    sendData(res, { ...tokens, user: userResponse }, { status: 201 });
+  } catch (error) {
+    console.error('Registration error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during registration');
+  }
+});
+
 /**
  * @swagger
  * /auth/login:
  *   post:
- *     summary: Login a user
+ *     summary: Login user
+ *     description: Authenticate user and return JWT token
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -59,306 +351,489 @@
  *             properties:
  *               email:
  *                 type: string
+ *                 example: "john@example.com"
  *               password:
  *                 type: string
+ *                 format: password
+ *                 example: "securePassword123"
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: Successful login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Missing email or password
+ *         description: Missing email or password (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials (INVALID_CREDENTIALS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: The account is suspended (ACCOUNT_SUSPENDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-const express = require('express');
-const router = express.Router();
-const { models } = require('../models/index');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-
-// Register endpoint
-router.post('/register', async (req, res) => {
-  try {
-    const { name, email, password, userType, organization, location, phone } = req.body;
-    if (!name || !email || !password || !userType) {
-      return res.status(400).json({ message: 'Missing required fields' });
-    }
-    const existingUser = await models.User.findOne({ where: { email } });
-    if (existingUser) {
-      return res.status(409).json({ message: 'User already exists' });
-    }
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await models.User.create({
-      name,
-      email,
-      password: hashedPassword,
-      userType,
-      organization,
-      location,
-      phone
-    });
-    const token = jwt.sign({ id: user.id, userType: user.userType }, JWT_SECRET, { expiresIn: '1d' });
-    res.status(201).json({ token, user: { ...user.toJSON(), password: undefined } });
-  } catch (error) {
-    console.log('Registration error:', error);
-    res.status(500).json({ message: 'Internal server error during registration' });
-  }
-});
-
-// Login endpoint
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
+
+    // Validate required fields
     if (!email || !password) {
-      return res.status(400).json({ message: 'Missing email or password' });
+      return sendError(res, 400, 'VALIDATION_ERROR', 'Email and password are required');
     }
+
+    // Find user
     const user = await models.User.findOne({ where: { email } });
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
     }
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+
+    // Check password
+    const isPasswordValid = await user.checkPassword(password);
+    if (!isPasswordValid) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
     }
-    const token = jwt.sign({ id: user.id, userType: user.userType }, JWT_SECRET, { expiresIn: '1d' });
-    res.json({ token, user: { ...user.toJSON(), password: undefined } });
-  } catch (error) {
-    res.status(500).json({ message: 'Internal server error during login' });
-  }
-});
 
+    if (!user.isActive) {
+      return sendError(res, 403, 'ACCOUNT_SUSPENDED', 'Account is suspended. Please contact support.');
+    }
 
-module.exports = router;
+    // Upgrade plain-text or weakly hashed passwords now that we know the password
+    if (user.needsRehash()) {
+      user.password = password;
+      user.changed('password', true); // a plain-text password is unchanged in value
+      await user.save({ fields: ['password'], keepSessions: true });
+    }
 
-// JWT secret key - In production, use environment variable!
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production-for-hackathon-demo';
+    // Start a session
+    const tokens = await issueTokens(user);
+
+    // Don't send password back
+    const userResponse = { ...user.toJSON() };
+    delete userResponse.password;
+
+    sendData(res, { ...tokens, user: userResponse });
+  } catch (error) {
+    console.error('Login error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error during login');
+  }
+});
 
 /**
- * Authentication middleware to verify JWT tokens
- * This middleware adds the user object to the request if token is valid
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: >
+ *       Returns a new access token and a new refresh token; the refresh token sent
+ *       can not be used again. Sending a refresh token that was already used ends
+ *       its whole session, since it means the token was copied.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Missing refreshToken (VALIDATION_ERROR)
+ *       401:
+ *         description: >
+ *           Unknown (TOKEN_INVALID), expired (TOKEN_EXPIRED), or already used, logged out
+ *           or issued before a password change (TOKEN_REVOKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-const auth = async (req, res, next) => {
+router.post('/refresh', async (req, res) => {
   try {
-    // Get token from Authorization header
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Access denied. No authorization token provided.' 
-      });
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'refreshToken is required');
     }
 
-    // Check if header has Bearer format
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid token format. Please use Bearer authentication.' 
-      });
-    }
-
-    // Extract token from header
-    const token = authHeader.replace('Bearer ', '').trim();
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Access denied. No token provided.' 
+    // Failures are returned rather than thrown so that revoking a session on
+    // token reuse is committed
+    const outcome = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const stored = await models.RefreshToken.findOne({
+        where: { tokenHash: models.RefreshToken.hashToken(refreshToken) },
+        transaction
       });
-    }
+      if (!stored) {
+        return { error: new ApiError(401, 'TOKEN_INVALID', 'Invalid refresh token') };
+      }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Find user in database
-    const user = await models.User.findByPk(decoded.id, {
-      attributes: { exclude: ['password'] } // Don't include password
-    });
-    
-    if (!user) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Token is invalid. User not found.' 
-      });
-    }
+      if (stored.revokedAt) {
+        await models.RefreshToken.revokeSession(stored.sessionId, { transaction });
+        return { error: new ApiError(401, 'TOKEN_REVOKED', 'Refresh token has been revoked. Please login again.') };
+      }
+      if (!stored.isUsable()) {
+        return { error: new ApiError(401, 'TOKEN_EXPIRED', 'Refresh token has expired. Please login again.') };
+      }
 
-    // Check if user account is active (you can add this field later)
-    // if (!user.isActive) {
-    //   return res.status(401).json({ 
-    //     success: false,
-    //     message: 'Account is deactivated. Please contact support.' 
-    //   });
-    // }
+      const user = await models.User.findByPk(stored.userId, { transaction });
+      if (!user || user.tokenVersion !== stored.tokenVersion) {
+        await models.RefreshToken.revokeSession(stored.sessionId, { transaction });
+        return { error: new ApiError(401, 'TOKEN_REVOKED', 'Session has ended. Please login again.') };
+      }
 
-    // Add user to request object
-    req.user = user;
-    next(); // Continue to the next middleware/route
+      stored.revokedAt = new Date();
+      await stored.save({ transaction });
+      return { tokens: await issueTokens(user, { sessionId: stored.sessionId, transaction }) };
+    });
 
+    if (outcome.error) {
+      return sendFailure(res, outcome.error);
+    }
+    sendData(res, outcome.tokens);
   } catch (error) {
-    console.error('Auth middleware error:', error.message);
+    sendFailure(res, error, 'Internal server error during token refresh');
+  }
+});
 
-    // Handle different JWT error types
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Token has expired. Please login again.' 
-      });
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid token. Please provide a valid token.' 
-      });
-    }
-    
-    if (error.name === 'NotBeforeError') {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Token not active yet.' 
-      });
-    }
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the refresh token session the access token belongs to, and with it the access token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Logged out; data is { loggedOut: true }"
+ *       401:
+ *         description: Missing, invalid, expired or revoked token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await models.RefreshToken.revokeSession(req.sessionId);
+    sendData(res, { loggedOut: true });
+  } catch (error) {
+    sendFailure(res, error, 'Internal server error during logout');
+  }
+});
 
-    // Generic server error
-    res.status(500).json({ 
-      success: false,
-      message: 'Internal server error during authentication.' 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: >
+ *       Ends all of the user's sessions on every device. Access and refresh tokens
+ *       issued before this call stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Logged out everywhere; data is { loggedOut: true }"
+ *       401:
+ *         description: Missing, invalid, expired or revoked token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await req.user.increment('tokenVersion', { transaction });
+      await models.RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: req.user.id, revokedAt: null }, transaction }
+      );
     });
+    sendData(res, { loggedOut: true });
+  } catch (error) {
+    sendFailure(res, error, 'Internal server error during logout');
   }
-};
+});
 
 /**
- * Optional middleware to require specific user types
- * Usage: Use after auth middleware to restrict routes to specific user types
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address
+ *     description: Uses the token from the verification email sent at registration.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserResponse'
+ *       400:
+ *         description: Missing, unknown, expired or already used token (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-const requireUserType = (allowedTypes) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Authentication required.' 
-      });
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'token is required');
     }
 
-    if (!allowedTypes.includes(req.user.userType)) {
-      return res.status(403).json({ 
-        success: false,
-        message: `Access forbidden. Required user types: ${allowedTypes.join(', ')}` 
-      });
+    const userId = await models.VerificationToken.consume(token, 'email_verification');
+    const user = userId && await models.User.findByPk(userId);
+    if (!user) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'This verification link is invalid or has expired');
     }
 
-    next();
-  };
-};
+    if (!user.emailVerifiedAt) {
+      await user.update({ emailVerifiedAt: new Date() });
+    }
+    sendData(res, user);
+  } catch (error) {
+    sendFailure(res, error, 'Internal server error during email verification');
+  }
+});
 
 /**
- * Optional middleware to check if user owns a resource
- * This is useful for routes where users can only access their own data
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send the verification email again
+ *     description: Earlier verification links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Email sent; data is { sent: true }"
+ *       409:
+ *         description: Email address is already verified (CONFLICT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-const requireOwnership = (modelName, paramName = 'id') => {
-  return async (req, res, next) => {
-    try {
-      const resourceId = req.params[paramName];
-      const resource = await models[modelName].findByPk(resourceId);
-
-      if (!resource) {
-        return res.status(404).json({ 
-          success: false,
-          message: 'Resource not found.' 
-        });
-      }
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified()) {
+      return sendError(res, 409, 'CONFLICT', 'Email address is already verified');
+    }
+    await emailToken(req.user, 'email_verification', mailTemplates.emailVerification);
+    sendData(res, { sent: true });
+  } catch (error) {
+    sendFailure(res, error, 'Internal server error while sending verification email');
+  }
+});
 
-      // Check if the current user owns this resource
-      // Adjust the foreign key field name as needed for your models
-      const ownerField = modelName === 'User' ? 'id' : 'userId';
-      if (resource[ownerField] !== req.user.id) {
-        return res.status(403).json({ 
-          success: false,
-          message: 'Access denied. You do not own this resource.' 
-        });
-      }
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >
+ *       Emails a single-use reset link if an account exists for the address. The
+ *       response is the same either way, so it cannot be used to find out who has
+ *       an account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "Request accepted; data is { sent: true }"
+ *       400:
+ *         description: Missing email (VALIDATION_ERROR)
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'email is required');
+    }
 
-      // Add resource to request for use in the route handler
-      req.resource = resource;
-      next();
-    } catch (error) {
-      console.error('Ownership check error:', error);
-      res.status(500).json({ 
-        success: false,
-        message: 'Internal server error during ownership verification.' 
-      });
+    const user = await models.User.findOne({ where: { email } });
+    if (user) {
+      await emailToken(user, 'password_reset', mailTemplates.passwordReset);
     }
-  };
-};
+    sendData(res, { sent: true });
+  } catch (error) {
+    sendFailure(res, error, 'Internal server error while requesting a password reset');
+  }
+});
 
 /**
- * Optional middleware for role-based access control
- * You can extend this for more complex permission systems
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with a reset token
+ *     description: >
+ *       Sets the new password and logs out every existing session. Also confirms
+ *       the email address, since the token was delivered to it.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: "Password changed; data is { passwordReset: true }. Log in with the new password."
+ *       400:
+ *         description: >
+ *           Missing fields, a password that does not meet the policy, or an unknown,
+ *           expired or already used token (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-const requireRole = (requiredRole) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Authentication required.' 
-      });
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'token and password are required');
     }
 
-    // Example role check - you can implement your own logic here
-    if (req.user.role !== requiredRole) {
-      return res.status(403).json({ 
-        success: false,
-        message: `Insufficient permissions. Required role: ${requiredRole}` 
-      });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', passwordError, { policy: PASSWORD_POLICY });
     }
 
-    next();
-  };
-};
+    await sequelize.transaction(async (transaction) => {
+      const userId = await models.VerificationToken.consume(token, 'password_reset', { transaction });
+      const user = userId && await models.User.findByPk(userId, { transaction });
+      if (!user) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'This reset link is invalid or has expired');
+      }
 
-/**
- * Optional middleware to check if user can claim listings
- * Only receivers should be able to claim listings
- */
-const canClaimListings = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ 
-      success: false,
-      message: 'Authentication required.' 
+      // Saving a new password bumps the token version, ending every session
+      user.password = password;
+      user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+      await user.save({ transaction });
     });
-  }
 
-  if (req.user.userType !== 'receiver') {
-    return res.status(403).json({ 
-      success: false,
-      message: 'Only receivers can claim listings.' 
-    });
+    sendData(res, { passwordReset: true });
+  } catch (error) {
+    sendFailure(res, error, 'Internal server error during password reset');
   }
-
-  next();
-};
+});
 
 /**
- * Optional middleware to check if user can create listings
- * Only donors should be able to create listings
+ * @swagger
+ * /auth/verify:
+ *   get:
+ *     summary: Verify token
+ *     description: Verify if the provided JWT token is valid
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token is valid; data is { valid, user }
+ *       401:
+ *         description: Missing, invalid, expired or revoked token (UNAUTHENTICATED, TOKEN_INVALID, TOKEN_EXPIRED, TOKEN_REVOKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
  */
-const canCreateListings = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ 
-      success: false,
-      message: 'Authentication required.' 
-    });
-  }
-
-  if (req.user.userType !== 'donor') {
-    return res.status(403).json({ 
-      success: false,
-      message: 'Only donors can create listings.' 
-    });
-  }
+router.get('/verify', auth, (req, res) => {
+  sendData(res, { valid: true, user: req.user });
+});
 
-  next();
-};
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get current user from token
+ *     description: Get user information from the provided JWT token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserResponse'
+ *       401:
+ *         description: Missing, invalid, expired or revoked token (UNAUTHENTICATED, TOKEN_INVALID, TOKEN_EXPIRED, TOKEN_REVOKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/me', auth, (req, res) => {
+  sendData(res, req.user);
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,745 @@
+const express = require('express');
+const { Op, Transaction } = require('sequelize');
+const router = express.Router();
+const { auth, requireVerifiedEmail, requireUserType } = require('../middleware/auth');
+const { models, sequelize } = require('../models/index');
+const { haversineKm, boundingBox, validateCoordinates } = require('../utils/geo');
+const { formatQuantity } = require('../utils/quantity');
+const { parsePageQuery, pageMeta, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+const { ApiError } = require('../utils/errors');
+const feed = require('../feed');
+
+// Radius used by the job board when none is given, and the largest allowed
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 200;
+
+// Serializes the read-check-write of a status move, like the claim endpoints
+const WRITE_LOCK = { type: Transaction.TYPES.IMMEDIATE };
+
+// Error message for an invalid page or limit query parameter
+const PAGE_QUERY_ERROR = `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`;
+
+// Claims that can still be delivered: the food has not been collected yet
+const DELIVERABLE_CLAIM_STATUSES = ['reserved', 'pickup_scheduled'];
+
+const CONTACT_ATTRIBUTES = ['id', 'name', 'organization', 'phone'];
+
+// Everything a job view needs: the food and pickup point, the receiver and the volunteer
+const jobIncludes = () => [{
+  model: models.Listing,
+  as: 'listing',
+  attributes: [
+    'id', 'foodType', 'quantity', 'quantityAmount', 'quantityUnit', 'location', 'latitude', 'longitude',
+    'pickupWindows', 'perishability', 'storageConditions', 'expiresAt', 'userId'
+  ],
+  include: [{ model: models.User, as: 'donor', attributes: CONTACT_ATTRIBUTES }]
+}, {
+  model: models.Claim,
+  as: 'claim',
+  include: [{ model: models.User, as: 'receiver', attributes: CONTACT_ATTRIBUTES }]
+}, {
+  model: models.User,
+  as: 'volunteer',
+  attributes: CONTACT_ATTRIBUTES
+}];
+
+/**
+ * True when `user` is the volunteer, receiver or donor of `job`.
+ */
+const isParty = (job, user) =>
+  job.volunteerId === user.id || job.claim.receiverId === user.id || job.listing.userId === user.id;
+
+// Phone numbers are only shared with the people working on the job
+const contact = (user, showPhone) => {
+  if (!user) {
+    return null;
+  }
+  const { phone, ...rest } = user.toJSON();
+  return showPhone ? { ...rest, phone } : rest;
+};
+
+/**
+ * Shape a job (loaded with jobIncludes) for `viewer`, with its pickup and
+ * drop-off points side by side and the straight-line trip between them.
+ */
+const toJobView = (job, viewer) => {
+  const { listing, claim } = job;
+  const showPhone = isParty(job, viewer);
+  const amount = claim.quantityAmount != null ? claim.quantityAmount : listing.quantityAmount;
+  const hasTrip = [listing.latitude, listing.longitude, job.dropoffLatitude, job.dropoffLongitude]
+    .every(value => value != null);
+
+  return {
+    id: job.id,
+    status: job.status,
+    claimId: job.claimId,
+    listingId: job.listingId,
+    volunteerId: job.volunteerId,
+    volunteer: contact(job.volunteer, showPhone),
+    food: {
+      foodType: listing.foodType,
+      quantity: amount != null && listing.quantityUnit ? formatQuantity(amount, listing.quantityUnit) : listing.quantity,
+      perishability: listing.perishability,
+      storageConditions: listing.storageConditions,
+      expiresAt: listing.expiresAt
+    },
+    pickup: {
+      location: listing.location,
+      latitude: listing.latitude,
+      longitude: listing.longitude,
+      windows: listing.pickupWindows,
+      scheduledFor: claim.pickupScheduledFor,
+      donor: contact(listing.donor, showPhone)
+    },
+    dropoff: {
+      location: job.dropoffLocation,
+      latitude: job.dropoffLatitude,
+      longitude: job.dropoffLongitude,
+      receiver: contact(claim.receiver, showPhone)
+    },
+    tripKm: hasTrip
+      ? Math.round(haversineKm(listing.latitude, listing.longitude, job.dropoffLatitude, job.dropoffLongitude) * 100) / 100
+      : null,
+    notes: job.notes,
+    assignedAt: job.assignedAt,
+    enRouteAt: job.enRouteAt,
+    deliveredAt: job.deliveredAt,
+    cancelledAt: job.cancelledAt,
+    createdAt: job.createdAt
+  };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Delivery Jobs
+ *   description: Volunteers carrying claimed food from donors to receivers
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [open, assigned, en_route, delivered, cancelled]
+ *           description: >
+ *             * `open` - on the job board, waiting for a volunteer
+ *             * `assigned` - a volunteer accepted the job
+ *             * `en_route` - the volunteer is on the way with the food
+ *             * `delivered` - the food reached the drop-off point
+ *             * `cancelled` - the receiver cancelled the request, or the claim was released, cancelled or expired
+ *         claimId:
+ *           type: integer
+ *         listingId:
+ *           type: integer
+ *         volunteerId:
+ *           type: integer
+ *           nullable: true
+ *         volunteer:
+ *           $ref: '#/components/schemas/JobContact'
+ *         food:
+ *           type: object
+ *           properties:
+ *             foodType:
+ *               type: string
+ *             quantity:
+ *               type: string
+ *               description: The claimed amount, e.g. "2 kg"
+ *             perishability:
+ *               type: string
+ *             storageConditions:
+ *               type: string
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *         pickup:
+ *           type: object
+ *           properties:
+ *             location:
+ *               type: string
+ *             latitude:
+ *               type: number
+ *               nullable: true
+ *             longitude:
+ *               type: number
+ *               nullable: true
+ *             windows:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PickupWindow'
+ *             scheduledFor:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: The pickup time the receiver scheduled, if any
+ *             donor:
+ *               $ref: '#/components/schemas/JobContact'
+ *         dropoff:
+ *           type: object
+ *           properties:
+ *             location:
+ *               type: string
+ *             latitude:
+ *               type: number
+ *               nullable: true
+ *             longitude:
+ *               type: number
+ *               nullable: true
+ *             receiver:
+ *               $ref: '#/components/schemas/JobContact'
+ *         tripKm:
+ *           type: number
+ *           nullable: true
+ *           description: Straight-line distance from pickup to drop-off, when both have coordinates
+ *         distanceKm:
+ *           type: number
+ *           description: Distance from the search point to the pickup (only on the board with lat/lng)
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         assignedAt:
+ *           type: string
+ *           format: date-time
+ *         enRouteAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     JobContact:
+ *       type: object
+ *       nullable: true
+ *       description: The phone number is only shown to the donor, receiver and assigned volunteer
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         organization:
+ *           type: string
+ *         phone:
+ *           type: string
+ *
+ *     DeliveryJobResponse:
+ *       type: object
+ *       properties:
+ *         data:
+ *           $ref: '#/components/schemas/DeliveryJob'
+ *
+ *   parameters:
+ *     DeliveryJobId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ */
+
+/**
+ * @swagger
+ * /delivery-jobs:
+ *   post:
+ *     summary: Ask for a volunteer to deliver a claim (receiver only)
+ *     description: >
+ *       Puts a job on the board to carry the claimed food from the listing's pickup
+ *       point to the receiver. The claim must not have been picked up yet, and can
+ *       only have one job at a time.
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - claimId
+ *             properties:
+ *               claimId:
+ *                 type: integer
+ *               dropoffLocation:
+ *                 type: string
+ *                 description: Defaults to the receiver's profile location
+ *               dropoffLatitude:
+ *                 type: number
+ *                 description: Defaults to the receiver's profile coordinates
+ *               dropoffLongitude:
+ *                 type: number
+ *                 description: Defaults to the receiver's profile coordinates
+ *               notes:
+ *                 type: string
+ *                 example: "Use the side entrance on Bree St"
+ *     responses:
+ *       201:
+ *         description: Job posted on the board
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliveryJobResponse'
+ *       400:
+ *         description: Missing claimId or drop-off location, or invalid coordinates (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller did not make this claim (FORBIDDEN)
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: >
+ *           The claim already has a job (CONFLICT), or was already picked up or closed
+ *           (INVALID_TRANSITION)
+ */
+router.post('/', auth, requireUserType(['receiver']), async (req, res) => {
+  try {
+    const { claimId, dropoffLatitude, dropoffLongitude, notes } = req.body;
+
+    if (!Number.isInteger(claimId)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'claimId must be a whole number');
+    }
+    const coordinatesError = validateCoordinates(dropoffLatitude, dropoffLongitude);
+    if (coordinatesError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Invalid drop-off coordinates: ${coordinatesError}`);
+    }
+    const dropoffLocation = (req.body.dropoffLocation || req.user.location || '').trim();
+    if (!dropoffLocation) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'dropoffLocation is required when your profile has no location');
+    }
+    const ownCoordinates = dropoffLatitude == null && !req.body.dropoffLocation;
+
+    const jobId = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const claim = await models.Claim.findByPk(claimId, { transaction });
+      if (!claim) {
+        throw new ApiError(404, 'NOT_FOUND', 'Claim not found');
+      }
+      if (claim.receiverId !== req.user.id) {
+        throw new ApiError(403, 'FORBIDDEN', 'Only the receiver who made this claim can ask for its delivery');
+      }
+      if (!DELIVERABLE_CLAIM_STATUSES.includes(claim.status)) {
+        throw new ApiError(409, 'INVALID_TRANSITION', `Cannot deliver a claim that is ${claim.status}`);
+      }
+
+      const existing = await models.DeliveryJob.findOne({
+        where: { claimId: claim.id, status: models.DeliveryJob.ACTIVE_STATUSES },
+        transaction
+      });
+      if (existing) {
+        throw new ApiError(409, 'CONFLICT', 'This claim already has a delivery job', { deliveryJobId: existing.id });
+      }
+
+      const job = await models.DeliveryJob.create({
+        claimId: claim.id,
+        listingId: claim.listingId,
+        dropoffLocation,
+        // A different address than the profile's comes with its own coordinates, or none
+        dropoffLatitude: ownCoordinates ? req.user.latitude : (dropoffLatitude != null ? Number(dropoffLatitude) : null),
+        dropoffLongitude: ownCoordinates ? req.user.longitude : (dropoffLongitude != null ? Number(dropoffLongitude) : null),
+        notes: notes || null
+      }, { transaction });
+      return job.id;
+    });
+
+    const job = await models.DeliveryJob.findByPk(jobId, { include: jobIncludes() });
+    sendData(res, toJobView(job, req.user), { status: 201 });
+  } catch (error) {
+    sendFailure(res, error, 'Error requesting delivery');
+  }
+});
+
+/**
+ * @swagger
+ * /delivery-jobs:
+ *   get:
+ *     summary: The job board of open delivery jobs (volunteers only)
+ *     description: >
+ *       Oldest first, or nearest pickup first when lat and lng are given, in which
+ *       case only jobs whose pickup point is within radiusKm are listed.
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *           maximum: 200
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Open jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliveryJob'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid coordinates, radiusKm, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a volunteer (FORBIDDEN)
+ */
+router.get('/', auth, requireUserType(['volunteer']), async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const { lat, lng } = req.query;
+    const coordinatesError = validateCoordinates(lat, lng);
+    if (coordinatesError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', coordinatesError);
+    }
+
+    if (lat === undefined) {
+      const { rows, count } = await models.DeliveryJob.findAndCountAll({
+        where: { status: 'open' },
+        include: jobIncludes(),
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        limit: page.limit,
+        offset: page.offset
+      });
+      return sendData(res, rows.map(job => toJobView(job, req.user)), { meta: pageMeta(page, count) });
+    }
+
+    const radiusKm = req.query.radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(req.query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+    }
+    const origin = { lat: Number(lat), lng: Number(lng) };
+
+    // Cheap bounding-box prefilter on the pickup point in SQL, exact haversine distance in JS
+    const box = boundingBox(origin.lat, origin.lng, radiusKm);
+    const near = {
+      '$listing.latitude$': { [Op.between]: [box.minLat, box.maxLat] },
+      '$listing.longitude$': box.minLng !== null
+        ? { [Op.between]: [box.minLng, box.maxLng] }
+        : { [Op.ne]: null }
+    };
+    const candidates = await models.DeliveryJob.findAll({
+      where: { status: 'open', ...near },
+      include: jobIncludes()
+    });
+
+    const jobs = candidates
+      .map(job => ({
+        ...toJobView(job, req.user),
+        distanceKm: Math.round(haversineKm(origin.lat, origin.lng, job.listing.latitude, job.listing.longitude) * 100) / 100
+      }))
+      .filter(job => job.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    // Distances are only known after the haversine pass, so page in memory
+    sendData(res, jobs.slice(page.offset, page.offset + page.limit), {
+      meta: pageMeta(page, jobs.length)
+    });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching delivery jobs');
+  }
+});
+
+/**
+ * @swagger
+ * /delivery-jobs/mine:
+ *   get:
+ *     summary: The caller's delivery jobs
+ *     description: >
+ *       Volunteers get the jobs assigned to them, receivers the jobs they asked for
+ *       and donors the jobs collecting from their listings. Newest first.
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, assigned, en_route, delivered, cancelled]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: The caller's jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliveryJob'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid status, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const ownJobs = {
+      volunteer: { volunteerId: req.user.id },
+      receiver: { '$claim.receiverId$': req.user.id },
+      donor: { '$listing.userId$': req.user.id }
+    };
+    const where = { ...ownJobs[req.user.userType] };
+    if (req.query.status) {
+      if (!models.DeliveryJob.STATUSES.includes(req.query.status)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `status must be one of: ${models.DeliveryJob.STATUSES.join(', ')}`);
+      }
+      where.status = req.query.status;
+    }
+
+    const { rows, count } = await models.DeliveryJob.findAndCountAll({
+      where,
+      include: jobIncludes(),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: page.limit,
+      offset: page.offset,
+      distinct: true,
+      // The where refers to the joined claim and listing, so no limited subquery
+      subQuery: false
+    });
+
+    sendData(res, rows.map(job => toJobView(job, req.user)), { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching delivery jobs');
+  }
+});
+
+/**
+ * @swagger
+ * /delivery-jobs/{id}:
+ *   get:
+ *     summary: Get a delivery job
+ *     description: Open jobs are visible to every volunteer; others only to their volunteer, receiver and donor.
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeliveryJobId'
+ *     responses:
+ *       200:
+ *         description: The job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliveryJobResponse'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller may not see this job (FORBIDDEN)
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const job = await models.DeliveryJob.findByPk(req.params.id, { include: jobIncludes() });
+    if (!job) {
+      return sendError(res, 404, 'NOT_FOUND', 'Delivery job not found');
+    }
+    const onBoard = job.status === 'open' && req.user.userType === 'volunteer';
+    if (!onBoard && !isParty(job, req.user)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Access denied. This is not one of your delivery jobs.');
+    }
+
+    sendData(res, toJobView(job, req.user));
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching delivery job');
+  }
+});
+
+/**
+ * Shared handler for the job lifecycle endpoints: loads the job and its
+ * claim and applies the status move defined on the DeliveryJob model.
+ * Delivering the food also completes the claim and brings the listing
+ * status in line with its claims.
+ */
+const transitionJob = (action) => async (req, res) => {
+  try {
+    const listing = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const job = await models.DeliveryJob.findByPk(req.params.id, { transaction });
+      if (!job) {
+        throw new ApiError(404, 'NOT_FOUND', 'Delivery job not found');
+      }
+      const claim = await job.getClaim({ transaction });
+
+      job.transition(action, req.user, claim);
+      await job.save({ transaction });
+
+      if (action !== 'deliver') {
+        return null;
+      }
+      claim.transition('completeDelivery');
+      await claim.save({ transaction });
+      const listing = await claim.getListing({ transaction });
+      listing.syncStatus(await listing.getClaims({ transaction }));
+      await listing.save({ transaction });
+      return listing;
+    });
+
+    if (listing) {
+      await feed.publish('listing.updated', listing);
+    }
+    const job = await models.DeliveryJob.findByPk(req.params.id, { include: jobIncludes() });
+    sendData(res, toJobView(job, req.user));
+  } catch (error) {
+    sendFailure(res, error, 'Error updating delivery job');
+  }
+};
+
+/**
+ * @swagger
+ * /delivery-jobs/{id}/accept:
+ *   patch:
+ *     summary: Take an open job from the board (volunteers only)
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeliveryJobId'
+ *     responses:
+ *       200:
+ *         description: Job assigned to the caller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliveryJobResponse'
+ *       403:
+ *         description: Caller is not a volunteer (FORBIDDEN) or has not verified their email (EMAIL_NOT_VERIFIED)
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is no longer open, e.g. another volunteer took it (INVALID_TRANSITION)
+ */
+router.patch('/:id/accept', auth, requireVerifiedEmail, transitionJob('accept'));
+
+/**
+ * @swagger
+ * /delivery-jobs/{id}/unassign:
+ *   patch:
+ *     summary: Hand an assigned job back to the board (assigned volunteer only)
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeliveryJobId'
+ *     responses:
+ *       200:
+ *         description: Job open again
+ *       403:
+ *         description: Caller is not the assigned volunteer
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not assigned (INVALID_TRANSITION)
+ */
+router.patch('/:id/unassign', auth, transitionJob('unassign'));
+
+/**
+ * @swagger
+ * /delivery-jobs/{id}/start:
+ *   patch:
+ *     summary: Set off with the food (assigned volunteer only)
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeliveryJobId'
+ *     responses:
+ *       200:
+ *         description: Job en route
+ *       403:
+ *         description: Caller is not the assigned volunteer
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not assigned (INVALID_TRANSITION)
+ */
+router.patch('/:id/start', auth, transitionJob('startRoute'));
+
+/**
+ * @swagger
+ * /delivery-jobs/{id}/deliver:
+ *   patch:
+ *     summary: Mark the food as dropped off (assigned volunteer only)
+ *     description: Completes the claim being delivered.
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeliveryJobId'
+ *     responses:
+ *       200:
+ *         description: Job delivered
+ *       403:
+ *         description: Caller is not the assigned volunteer
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not en route, or its claim can no longer be completed (INVALID_TRANSITION)
+ */
+router.patch('/:id/deliver', auth, transitionJob('deliver'));
+
+/**
+ * @swagger
+ * /delivery-jobs/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a delivery request (receiver only)
+ *     description: Only before the volunteer has set off. The claim itself stays as it is.
+ *     tags: [Delivery Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeliveryJobId'
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       403:
+ *         description: Caller did not ask for this delivery
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is en route, delivered or already cancelled (INVALID_TRANSITION)
+ */
+router.patch('/:id/cancel', auth, transitionJob('cancel'));
+
+module.exports = router;
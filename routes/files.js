@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { FILE_TYPES } = require('../middleware/upload');
+const { getFile, isPublicKey } = require('../storage');
+const { sendError, sendFailure } = require('../utils/response');
+
+// Content type of a stored file, from its extension
+const CONTENT_TYPES = Object.fromEntries(
+  Object.entries(FILE_TYPES).map(([contentType, { extension }]) => [extension, contentType])
+);
+
+/**
+ * @swagger
+ * /files/{folder}/{name}:
+ *   get:
+ *     summary: Download a public file
+ *     description: >
+ *       Serves listing photos and thumbnails for storage drivers without URLs of
+ *       their own. Use the url and thumbnailUrl of a listing photo rather than
+ *       building these paths. File names never change, so responses can be cached for good.
+ *     tags: [Listings]
+ *     parameters:
+ *       - in: path
+ *         name: folder
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [listing-photos]
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           image/jpeg: {}
+ *           image/png: {}
+ *           image/webp: {}
+ *       404:
+ *         description: No such public file
+ */
+router.get('/:folder/:name', async (req, res) => {
+  try {
+    const key = `${req.params.folder}/${req.params.name}`;
+    const contents = isPublicKey(key) ? await getFile(key) : null;
+    if (!contents) {
+      return sendError(res, 404, 'NOT_FOUND', 'File not found');
+    }
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[key.split('.').pop()] || 'application/octet-stream',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(contents);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching file');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,415 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requireUserType, requireOwnership } = require('../middleware/auth');
+const { models } = require('../models/index');
+const { validateCoordinates } = require('../utils/geo');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+
+// Furthest ahead (in hours after publishing) a template's dates can be
+const MAX_TEMPLATE_HOURS = 24 * 365;
+
+// Fields a donor can set on a template
+const TEMPLATE_FIELDS = [
+  'name', 'foodType', 'quantityAmount', 'quantityUnit', 'description', 'location', 'latitude',
+  'longitude', 'perishability', 'storageConditions', 'bestBeforeHours', 'useByHours', 'pickupHours'
+];
+
+/**
+ * Validate the template fields present in a request body.
+ * Returns an error message, or null when they are usable.
+ */
+const validateTemplate = (body) => {
+  for (const field of ['name', 'foodType', 'location']) {
+    if (body[field] !== undefined && (typeof body[field] !== 'string' || !body[field].trim())) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  if (body.quantityAmount !== undefined && !(typeof body.quantityAmount === 'number' && body.quantityAmount > 0)) {
+    return 'quantityAmount must be a positive number';
+  }
+  if (body.quantityUnit !== undefined && !models.Listing.QUANTITY_UNITS.includes(body.quantityUnit)) {
+    return `quantityUnit must be one of: ${models.Listing.QUANTITY_UNITS.join(', ')}`;
+  }
+  if (body.perishability !== undefined && !models.Listing.PERISHABILITY_CLASSES.includes(body.perishability)) {
+    return `perishability must be one of: ${models.Listing.PERISHABILITY_CLASSES.join(', ')}`;
+  }
+  if (body.storageConditions != null && !models.Listing.STORAGE_CONDITIONS.includes(body.storageConditions)) {
+    return `storageConditions must be one of: ${models.Listing.STORAGE_CONDITIONS.join(', ')}`;
+  }
+  for (const field of ['bestBeforeHours', 'useByHours', 'pickupHours']) {
+    const hours = body[field];
+    if (hours != null && !(typeof hours === 'number' && hours > 0 && hours <= MAX_TEMPLATE_HOURS)) {
+      return `${field} must be a number of hours between 0 and ${MAX_TEMPLATE_HOURS}, or null`;
+    }
+  }
+  return validateCoordinates(body.latitude, body.longitude);
+};
+
+const pickFields = body => Object.fromEntries(
+  TEMPLATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Listing Templates
+ *   description: Listings a donor gives away regularly, saved to be published by recurring donations
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ListingTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Evening bread"
+ *         foodType:
+ *           type: string
+ *           example: "Bread rolls"
+ *         quantityAmount:
+ *           type: number
+ *           example: 40
+ *         quantityUnit:
+ *           type: string
+ *           enum: [kg, g, L, items, crates, meals]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         location:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *         longitude:
+ *           type: number
+ *           nullable: true
+ *         perishability:
+ *           type: string
+ *           enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *         storageConditions:
+ *           type: string
+ *           enum: [ambient, refrigerated, frozen]
+ *           nullable: true
+ *           description: Null uses the usual storage for the perishability class
+ *         bestBeforeHours:
+ *           type: number
+ *           nullable: true
+ *           description: Hours after publishing until the best-before date
+ *         useByHours:
+ *           type: number
+ *           nullable: true
+ *           description: Hours after publishing until the use-by date
+ *         pickupHours:
+ *           type: number
+ *           nullable: true
+ *           description: >
+ *             Published listings get one pickup window, from publishing until this many hours
+ *             later; null means any time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ListingTemplateFields:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         foodType:
+ *           type: string
+ *         quantityAmount:
+ *           type: number
+ *         quantityUnit:
+ *           type: string
+ *           enum: [kg, g, L, items, crates, meals]
+ *         description:
+ *           type: string
+ *         location:
+ *           type: string
+ *           description: Defaults to the donor's profile location
+ *         latitude:
+ *           type: number
+ *           description: Defaults to the donor's profile coordinates
+ *         longitude:
+ *           type: number
+ *           description: Defaults to the donor's profile coordinates
+ *         perishability:
+ *           type: string
+ *           enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *         storageConditions:
+ *           type: string
+ *           enum: [ambient, refrigerated, frozen]
+ *         bestBeforeHours:
+ *           type: number
+ *         useByHours:
+ *           type: number
+ *         pickupHours:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /listing-templates:
+ *   post:
+ *     summary: Save a listing template (donor only)
+ *     tags: [Listing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ListingTemplateFields'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - foodType
+ *                   - quantityAmount
+ *                   - quantityUnit
+ *     responses:
+ *       201:
+ *         description: Template saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ListingTemplate'
+ *       400:
+ *         description: Missing or invalid fields (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a donor
+ */
+router.post('/', auth, requireUserType(['donor']), async (req, res) => {
+  try {
+    const fields = {
+      location: req.user.location || undefined,
+      ...pickFields(req.body)
+    };
+
+    const missing = ['name', 'foodType', 'quantityAmount', 'quantityUnit', 'location'].filter(field => fields[field] == null);
+    if (missing.length) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Missing required fields: ${missing.join(', ')}`);
+    }
+    const validationError = validateTemplate(fields);
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
+
+    const template = await models.ListingTemplate.create({
+      // Food is usually collected from the donor's own premises
+      latitude: req.user.latitude,
+      longitude: req.user.longitude,
+      ...fields,
+      userId: req.user.id
+    });
+
+    sendData(res, template, { status: 201 });
+  } catch (error) {
+    sendFailure(res, error, 'Error saving listing template');
+  }
+});
+
+/**
+ * @swagger
+ * /listing-templates:
+ *   get:
+ *     summary: List the caller's listing templates (donor only)
+ *     tags: [Listing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ListingTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a donor
+ */
+router.get('/', auth, requireUserType(['donor']), async (req, res) => {
+  try {
+    const templates = await models.ListingTemplate.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    sendData(res, templates);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching listing templates');
+  }
+});
+
+/**
+ * @swagger
+ * /listing-templates/{id}:
+ *   get:
+ *     summary: Get one of the caller's listing templates, with its recurring donations
+ *     tags: [Listing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ListingTemplate'
+ *                     - type: object
+ *                       properties:
+ *                         recurringDonations:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/RecurringDonation'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's template
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', auth, requireOwnership('ListingTemplate'), async (req, res) => {
+  try {
+    const template = await models.ListingTemplate.findByPk(req.resource.id, {
+      include: [{ model: models.RecurringDonation, as: 'recurringDonations' }],
+      order: [[{ model: models.RecurringDonation, as: 'recurringDonations' }, 'id', 'ASC']]
+    });
+
+    sendData(res, template);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching listing template');
+  }
+});
+
+/**
+ * @swagger
+ * /listing-templates/{id}:
+ *   patch:
+ *     summary: Change a listing template
+ *     description: Listings already published from it are not changed; the next ones are.
+ *     tags: [Listing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ListingTemplateFields'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ListingTemplate'
+ *       400:
+ *         description: No fields given, or an invalid one (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's template
+ *       404:
+ *         description: Template not found
+ */
+router.patch('/:id', auth, requireOwnership('ListingTemplate'), async (req, res) => {
+  try {
+    const changes = pickFields(req.body);
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Give at least one of: ${TEMPLATE_FIELDS.join(', ')}`);
+    }
+    for (const field of ['name', 'foodType', 'quantityAmount', 'quantityUnit', 'location', 'perishability']) {
+      if (changes[field] === null) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `${field} cannot be removed`);
+      }
+    }
+    const validationError = validateTemplate(changes);
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
+
+    const template = await req.resource.update(changes);
+
+    sendData(res, template);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating listing template');
+  }
+});
+
+/**
+ * @swagger
+ * /listing-templates/{id}:
+ *   delete:
+ *     summary: Delete a listing template and its recurring donations
+ *     description: Listings already published from it stay up.
+ *     tags: [Listing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template deleted; data is { id }
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's template
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/:id', auth, requireOwnership('ListingTemplate'), async (req, res) => {
+  try {
+    await req.resource.destroy();
+
+    sendData(res, { id: req.resource.id });
+  } catch (error) {
+    sendFailure(res, error, 'Error deleting listing template');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,96 @@
 const express = require('express');
+const { Op, Transaction, UniqueConstraintError } = require('sequelize');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
-const { models } = require('../models/index');
+const { auth, requireVerifiedEmail, requireOwnership, canClaimListings } = require('../middleware/auth');
+const { photoUpload, MAX_LISTING_PHOTOS } = require('../middleware/upload');
+const { models, sequelize } = require('../models/index');
+const { QUANTITY_UNITS, parseQuantity } = require('../utils/quantity');
+const { haversineKm, boundingBox, validateCoordinates } = require('../utils/geo');
+const { parsePickupWindows, isWithinPickupWindows } = require('../utils/pickupWindows');
+const {
+  encodeCursor, decodeCursor, parseLimit, parsePageQuery, pageMeta, MAX_PAGE_SIZE
+} = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+const { ApiError } = require('../utils/errors');
+const { sendMail } = require('../mail');
+const mailTemplates = require('../mail/templates');
+const notifications = require('../notifications');
+const feed = require('../feed');
+const webhooks = require('../webhooks');
+const matching = require('../matching');
+const allocation = require('../allocation');
+const { toFtsQuery, matchingIdsSql } = require('../models/listingSearch');
+
+// Radius used by /listings/nearby when none is given, and the largest allowed
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 200;
+
+// Most receivers /listings/:id/suggested-receivers returns at once
+const MAX_SUGGESTED_RECEIVERS = 20;
+
+// Only open listings whose food has not gone off yet are shown to receivers
+const visibleListingsWhere = () => ({
+  status: 'available',
+  [Op.or]: [
+    { expiresAt: null },
+    { expiresAt: { [Op.gt]: new Date() } }
+  ]
+});
+
+// Claims and status moves take SQLite's write lock up front, so two requests
+// touching the same listing are applied one after the other
+const WRITE_LOCK = { type: Transaction.TYPES.IMMEDIATE };
+
+// Soonest-expiring food first; listings without a date go last
+const SOONEST_EXPIRY_FIRST = [['expiresAt', 'ASC NULLS LAST'], ['createdAt', 'ASC']];
+
+// Error message for an invalid page or limit query parameter
+const PAGE_QUERY_ERROR = `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`;
+
+/**
+ * Validate the food safety fields of a listing request body.
+ * Returns an error message, or null when the fields are fine.
+ */
+const validateFoodSafety = ({ bestBefore, useBy, perishability, storageConditions }) => {
+  for (const [name, value] of Object.entries({ bestBefore, useBy })) {
+    if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+      return `${name} must be a valid date`;
+    }
+  }
+  if (perishability && !models.Listing.PERISHABILITY_CLASSES.includes(perishability)) {
+    return `perishability must be one of: ${models.Listing.PERISHABILITY_CLASSES.join(', ')}`;
+  }
+  if (storageConditions && !models.Listing.STORAGE_CONDITIONS.includes(storageConditions)) {
+    return `storageConditions must be one of: ${models.Listing.STORAGE_CONDITIONS.join(', ')}`;
+  }
+  const expiry = [bestBefore, useBy].filter(Boolean).map(d => new Date(d));
+  if (expiry.some(d => d <= new Date())) {
+    return 'Cannot list food that is already past its best-before or use-by date';
+  }
+  return null;
+};
+
+/**
+ * Validate the quantity of a listing request body. Clients either send
+ * quantityAmount + quantityUnit, or a free-text quantity such as "5 kg".
+ * Returns an error message, or null when the quantity is usable.
+ */
+const validateQuantity = ({ quantity, quantityAmount, quantityUnit }) => {
+  if (quantityAmount !== undefined || quantityUnit !== undefined) {
+    const amount = Number(quantityAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return 'quantityAmount must be a positive number';
+    }
+    if (!QUANTITY_UNITS.includes(quantityUnit)) {
+      return `quantityUnit must be one of: ${QUANTITY_UNITS.join(', ')}`;
+    }
+    return null;
+  }
+  if (!parseQuantity(quantity)) {
+    return 'Provide quantityAmount and quantityUnit, or a quantity such as "5 kg"';
+  }
+  return null;
+};
 
 /**
  * @swagger
@@ -27,17 +116,269 @@ const { models } = require('../models/index');
  *           type: string
  *         quantity:
  *           type: string
+ *           description: Display label derived from quantityAmount and quantityUnit
+ *         quantityAmount:
+ *           type: number
+ *         quantityUnit:
+ *           type: string
+ *           enum: [kg, g, L, items, crates, meals]
+ *         estimatedMeals:
+ *           type: number
+ *           description: Estimated number of meals this donation provides
  *         description:
  *           type: string
  *         location:
  *           type: string
+ *           description: Pickup address
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         distanceKm:
+ *           type: number
+ *           description: Distance from the search point (only on /listings/nearby)
+ *         bestBefore:
+ *           type: string
+ *           format: date-time
+ *         useBy:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The earlier of bestBefore and useBy
+ *         perishability:
+ *           type: string
+ *           enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *         storageConditions:
+ *           type: string
+ *           enum: [ambient, refrigerated, frozen]
  *         status:
  *           type: string
- *           enum: [available, claimed, completed]
+ *           enum: [available, reserved, pickup_scheduled, picked_up, completed, cancelled, expired]
  *         userId:
  *           type: integer
- *         claimedBy:
+ *           description: Id of the donor
+ *         donor:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         remainingAmount:
+ *           type: number
+ *           description: Amount still available to claim, in quantityUnit
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
+ *         pickupWindows:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PickupWindow'
+ *           description: When the food can be collected; empty means any time
+ *         recurringDonationId:
+ *           type: integer
+ *           nullable: true
+ *           description: The recurring donation that published this listing, if any
+ *         allocationMode:
+ *           type: string
+ *           enum: [first_come, lottery]
+ *           description: >
+ *             How the food is shared out: claims in the order they come, or claim requests
+ *             collected until lotteryEndsAt and then drawn
+ *         priorityUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Until then only receivers with an urgent need the food meets can claim it
+ *         lotteryEndsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Lottery mode only; when claim requests stop being collected
+ *         lotteryDrawnAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         claims:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Claim'
+ *         photos:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ListingPhoto'
+ *
+ *     PickupWindow:
+ *       type: object
+ *       description: A time span in which the donor lets people collect the food
+ *       properties:
+ *         start:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-10-19T08:00:00.000Z"
+ *         end:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-10-19T12:00:00.000Z"
+ *
+ *     ListingPhoto:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           description: The photo, at most 1600 pixels on its longest side
+ *           example: /files/listing-photos/0f8e2d4c6b1a39578e6d2c4b0a1f3e5d.jpg
+ *         thumbnailUrl:
+ *           type: string
+ *           description: JPEG thumbnail, at most 320 pixels on its longest side
+ *         contentType:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/webp]
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
+ *         position:
+ *           type: integer
+ *           description: Display order, first photo = 0
+ *
+ *     Claim:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         listingId:
+ *           type: integer
+ *         receiverId:
+ *           type: integer
+ *         receiver:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         quantityAmount:
+ *           type: number
+ *           description: Claimed amount in the listing's quantityUnit
+ *         status:
+ *           type: string
+ *           enum: [reserved, pickup_scheduled, picked_up, completed, released, cancelled, expired]
+ *         pickupScheduledFor:
+ *           type: string
+ *           format: date-time
+ *         pickedUpAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         allocation:
+ *           $ref: '#/components/schemas/AllocationDecision'
+ *
+ *     AllocationDecision:
+ *       type: object
+ *       nullable: true
+ *       description: Why the allocation policy gave the receiver this claim, or turned a lottery entry down
+ *       properties:
+ *         policy:
+ *           type: string
+ *           enum: [first_come, priority, lottery]
+ *           description: >
+ *             first_come for an ordinary claim, priority for one made in the priority window,
+ *             lottery for one given by a draw
+ *         reason:
+ *           type: string
+ *           example: "Drawn 2 of 5; given 4 kg of the 6 kg asked for"
+ *         needId:
+ *           type: integer
+ *           nullable: true
+ *           description: The urgent need that gave the receiver priority
+ *         requestedAmount:
+ *           type: number
+ *           nullable: true
+ *           description: The amount asked for; null for everything left
+ *         quota:
+ *           type: object
+ *           nullable: true
+ *           description: The receiver's claims in the 24 hours before; null when no daily quota is set
+ *           properties:
+ *             claims:
+ *               type: integer
+ *             claimLimit:
+ *               type: integer
+ *               nullable: true
+ *             meals:
+ *               type: number
+ *               description: Meal equivalents
+ *             mealLimit:
+ *               type: number
+ *               nullable: true
+ *         lottery:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             entries:
+ *               type: integer
+ *             position:
+ *               type: integer
+ *               description: Place in the draw, receivers with an urgent need first
+ *             urgentNeed:
+ *               type: boolean
+ *             drawnAt:
+ *               type: string
+ *               format: date-time
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ClaimRequest:
+ *       type: object
+ *       description: A receiver's entry in the lottery of a listing
+ *       properties:
+ *         id:
+ *           type: integer
+ *         listingId:
+ *           type: integer
+ *         receiverId:
+ *           type: integer
+ *         receiver:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         quantityAmount:
+ *           type: number
+ *           nullable: true
+ *           description: Amount asked for; null for as much as the draw gives
+ *         status:
+ *           type: string
+ *           enum: [pending, allocated, unsuccessful, withdrawn]
+ *         claimId:
+ *           type: integer
+ *           nullable: true
+ *           description: The claim the draw created
+ *         allocation:
+ *           $ref: '#/components/schemas/AllocationDecision'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     UserSummary:
+ *       type: object
+ *       description: The donor or receiver, included by list endpoints
+ *       properties:
+ *         id:
  *           type: integer
+ *         name:
+ *           type: string
+ *         organization:
+ *           type: string
+ *         location:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
  */
 
 /**
@@ -45,192 +386,1664 @@ const { models } = require('../models/index');
  * /listings:
  *   get:
  *     summary: Retrieve all available food donations
+ *     description: Expired food is hidden and results are sorted by soonest expiry.
  *     tags: [Listings]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
  *     responses:
  *       200:
  *         description: List of available food donations
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Listing'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid page or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/', async (req, res) => {
   try {
-    const listings = await models.Listing.findAll({
-      where: { status: 'available' },
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const { rows, count } = await models.Listing.findAndCountAll({
+      where: visibleListingsWhere(),
       include: [{
         model: models.User,
         as: 'donor',
         attributes: ['id', 'name', 'organization', 'location']
-      }]
-    });
-    
-    res.json({
-      success: true,
-      data: listings
+      }, models.ListingPhoto.includeOnListing()],
+      order: SOONEST_EXPIRY_FIRST,
+      limit: page.limit,
+      offset: page.offset
     });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching listings'
+    sendFailure(res, error, 'Error fetching listings');
+  }
+});
+
+/**
+ * @swagger
+ * /listings/nearby:
+ *   get:
+ *     summary: Find available food donations near a point
+ *     description: >
+ *       Returns available, unexpired listings within radiusKm of the given
+ *       coordinates, nearest first, each with its distanceKm.
+ *     tags: [Listings]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *           maximum: 200
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Nearby listings sorted by distance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Missing or invalid coordinates, radius, page or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+    const coordinatesError = (lat === undefined || lng === undefined)
+      ? 'lat and lng query parameters are required'
+      : validateCoordinates(lat, lng);
+    if (coordinatesError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', coordinatesError);
+    }
+
+    const radiusKm = req.query.radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(req.query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+    }
+
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const origin = { lat: Number(lat), lng: Number(lng) };
+
+    // Cheap bounding-box prefilter in SQL, exact haversine distance in JS
+    const box = boundingBox(origin.lat, origin.lng, radiusKm);
+    const where = {
+      ...visibleListingsWhere(),
+      latitude: { [Op.between]: [box.minLat, box.maxLat] }
+    };
+    if (box.minLng !== null) {
+      where.longitude = { [Op.between]: [box.minLng, box.maxLng] };
+    } else {
+      where.longitude = { [Op.ne]: null };
+    }
+
+    const candidates = await models.Listing.findAll({
+      where,
+      include: [{
+        model: models.User,
+        as: 'donor',
+        attributes: ['id', 'name', 'organization', 'location']
+      }, models.ListingPhoto.includeOnListing()]
+    });
+
+    const listings = candidates
+      .map(listing => ({
+        ...listing.toJSON(),
+        distanceKm: Math.round(haversineKm(origin.lat, origin.lng, listing.latitude, listing.longitude) * 100) / 100
+      }))
+      .filter(listing => listing.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    // Distances are only known after the haversine pass, so page in memory
+    sendData(res, listings.slice(page.offset, page.offset + page.limit), {
+      meta: pageMeta(page, listings.length)
     });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching nearby listings');
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NewListing:
+ *       type: object
+ *       properties:
+ *         foodType:
+ *           type: string
+ *         quantityAmount:
+ *           type: number
+ *           example: 5
+ *         quantityUnit:
+ *           type: string
+ *           enum: [kg, g, L, items, crates, meals]
+ *           example: kg
+ *         quantity:
+ *           type: string
+ *           description: Free-text alternative to quantityAmount/quantityUnit, e.g. "5 kg"
+ *         description:
+ *           type: string
+ *         location:
+ *           type: string
+ *           description: Pickup address
+ *         latitude:
+ *           type: number
+ *           description: Defaults to the donor's profile coordinates
+ *         longitude:
+ *           type: number
+ *           description: Defaults to the donor's profile coordinates
+ *         bestBefore:
+ *           type: string
+ *           format: date-time
+ *         useBy:
+ *           type: string
+ *           format: date-time
+ *         perishability:
+ *           type: string
+ *           enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *         storageConditions:
+ *           type: string
+ *           enum: [ambient, refrigerated, frozen]
+ *           description: Defaults to the usual storage for the perishability class
+ *         pickupWindows:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PickupWindow'
+ *           description: >
+ *             When the food can be collected (at most 14 windows, not overlapping); leave out for
+ *             any time. In multipart/form-data, send the list as JSON text.
+ *         allocationMode:
+ *           type: string
+ *           enum: [first_come, lottery]
+ *           default: first_come
+ *           description: Use lottery for food in high demand
+ *         lotteryMinutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 180
+ *           default: 15
+ *           description: Lottery mode only; how long claim requests are collected before the draw
+ */
+
 /**
  * @swagger
  * /listings:
  *   post:
  *     summary: Create a new food donation listing
+ *     description: >
+ *       Send JSON, or multipart/form-data with the same fields plus up to 5 photos
+ *       (JPEG, PNG or WebP) in the `photos` field.
  *     tags: [Listings]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/NewListing'
+ *               - type: object
+ *                 properties:
+ *                   photos:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: binary
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               foodType:
- *                 type: string
- *               quantity:
- *                 type: string
- *               description:
- *                 type: string
- *               location:
- *                 type: string
+ *             $ref: '#/components/schemas/NewListing'
  *     responses:
  *       201:
  *         description: Listing created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Listing'
+ *       400:
+ *         description: Invalid quantity or food safety fields, or a photo that is too large or not an image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Caller is not a donor (FORBIDDEN) or has not verified their email (EMAIL_NOT_VERIFIED)
  */
 // FIXED: Added proper middleware reference
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, requireVerifiedEmail, photoUpload, async (req, res) => {
   try {
     if (req.user.userType !== 'donor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only donors can create listings'
-      });
+      return sendError(res, 403, 'FORBIDDEN', 'Only donors can create listings');
     }
 
-    const { foodType, quantity, description, location } = req.body;
-    const newListing = await models.Listing.create({
-      foodType,
-      quantity,
-      description,
-      location,
-      userId: req.user.id
-    });
+    const {
+      foodType, quantity, quantityAmount, quantityUnit, description, location,
+      latitude, longitude, bestBefore, useBy, perishability, storageConditions
+    } = req.body;
+
+    const pickup = req.body.pickupWindows === undefined ? { windows: [] } : parsePickupWindows(req.body.pickupWindows);
+
+    const policy = allocation.listingPolicy(req.body);
+
+    const validationError = validateQuantity(req.body)
+      || validateFoodSafety(req.body)
+      || validateCoordinates(latitude, longitude)
+      || pickup.error
+      || policy.error;
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
 
-    res.status(201).json({
-      success: true,
-      data: newListing
+    // Photos are stored first and removed again if the listing is not saved
+    const photos = await models.ListingPhoto.storeUploads(req.files);
+
+    const newListing = await sequelize.transaction(async (transaction) => {
+      const listing = await models.Listing.create({
+        foodType,
+        quantity,
+        quantityAmount: quantityAmount !== undefined ? Number(quantityAmount) : undefined,
+        quantityUnit,
+        description,
+        location,
+        // Food is usually collected from the donor's own premises
+        latitude: latitude != null ? Number(latitude) : req.user.latitude,
+        longitude: longitude != null ? Number(longitude) : req.user.longitude,
+        bestBefore,
+        useBy,
+        perishability,
+        storageConditions: storageConditions || models.Listing.DEFAULT_STORAGE[perishability],
+        pickupWindows: pickup.windows,
+        ...policy.attributes,
+        userId: req.user.id
+      }, { transaction });
+      await models.ListingPhoto.bulkCreate(
+        photos.map((photo, position) => ({ ...photo, listingId: listing.id, position })),
+        { transaction }
+      );
+      return listing;
+    }).catch(async (error) => {
+      await models.ListingPhoto.removeFiles(photos);
+      throw error;
     });
+
+    await newListing.reload({ include: [models.ListingPhoto.includeOnListing()] });
+    await feed.publish('listing.created', newListing);
+    const matched = await matching.notifyMatches(newListing);
+    await notifications.listingCreated(newListing, { except: matched });
+    await webhooks.emit('listing.created', { listing: newListing });
+    sendData(res, newListing, { status: 201 });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating listing'
-    });
+    sendFailure(res, error, 'Error creating listing');
   }
 });
 
 /**
  * @swagger
- * /listings/{id}/claim:
- *   patch:
- *     summary: Claim a food donation
+ * /listings/{id}/photos:
+ *   post:
+ *     summary: Add photos to a listing (donor only)
+ *     description: A listing can have up to 5 photos (JPEG, PNG or WebP); new photos go after the existing ones.
  *     tags: [Listings]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
+ *       - $ref: '#/components/parameters/ListingId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photos
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
- *       200:
- *         description: Listing claimed successfully
+ *       201:
+ *         description: Photos added; data is the listing with all its photos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Listing'
+ *       400:
+ *         description: No photos, too many photos, or a photo that is too large or not an image (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Listing not found
  */
-// FIXED: Added proper middleware reference
-router.patch('/:id/claim', auth, async (req, res) => {
+router.post('/:id/photos', auth, requireOwnership('Listing'), photoUpload, async (req, res) => {
   try {
-    if (req.user.userType !== 'receiver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only receivers can claim listings'
-      });
+    if (req.files.length === 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'Upload at least one photo in the "photos" field', { field: 'photos' });
     }
 
-    const listing = await models.Listing.findByPk(req.params.id);
-    if (!listing) {
-      return res.status(404).json({
-        success: false,
-        message: 'Listing not found'
-      });
-    }
+    const listingId = req.resource.id;
+    const photos = await models.ListingPhoto.storeUploads(req.files);
 
-    listing.status = 'claimed';
-    listing.claimedBy = req.user.id;
-    await listing.save();
+    await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const existing = await models.ListingPhoto.findAll({ where: { listingId }, transaction });
+      if (existing.length + photos.length > MAX_LISTING_PHOTOS) {
+        throw new ApiError(400, 'VALIDATION_ERROR',
+          `A listing can have at most ${MAX_LISTING_PHOTOS} photos; this one already has ${existing.length}`, { field: 'photos' });
+      }
 
-    res.json({
-      success: true,
-      data: listing
+      const next = existing.reduce((max, photo) => Math.max(max, photo.position + 1), 0);
+      await models.ListingPhoto.bulkCreate(
+        photos.map((photo, index) => ({ ...photo, listingId, position: next + index })),
+        { transaction }
+      );
+    }).catch(async (error) => {
+      await models.ListingPhoto.removeFiles(photos);
+      throw error;
     });
+
+    const listing = await models.Listing.findByPk(listingId, { include: [models.ListingPhoto.includeOnListing()] });
+    await feed.publish('listing.updated', listing);
+    sendData(res, listing, { status: 201 });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error claiming listing'
-    });
+    sendFailure(res, error, 'Error adding photos');
   }
 });
 
 /**
  * @swagger
- * /listings/search:
- *   get:
- *     summary: Search food listings
+ * /listings/{id}/photos/{photoId}:
+ *   delete:
+ *     summary: Remove a photo from a listing (donor only)
  *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: q
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - in: path
+ *         name: photoId
+ *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *     responses:
  *       200:
- *         description: Search results
+ *         description: Photo removed; data is the listing with its remaining photos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Listing'
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Listing or photo not found
  */
-router.get('/search', async (req, res) => {
+router.delete('/:id/photos/:photoId', auth, requireOwnership('Listing'), async (req, res) => {
   try {
-    const { q } = req.query;
-    let whereClause = { status: 'available' };
-
-    if (q) {
-      whereClause.foodType = { [models.Sequelize.Op.iLike]: `%${q}%` };
+    const photo = await models.ListingPhoto.findOne({
+      where: { id: req.params.photoId, listingId: req.resource.id }
+    });
+    if (!photo) {
+      return sendError(res, 404, 'NOT_FOUND', 'Photo not found');
     }
 
-    const listings = await models.Listing.findAll({
-      where: whereClause,
-      include: [{
-        model: models.User,
-        as: 'donor',
-        attributes: ['id', 'name', 'organization', 'location']
-      }]
-    });
+    await photo.destroy();
+    await models.ListingPhoto.removeFiles([photo]);
 
-    res.json({
-      success: true,
-      data: listings
-    });
+    const listing = await models.Listing.findByPk(req.resource.id, { include: [models.ListingPhoto.includeOnListing()] });
+    await feed.publish('listing.updated', listing);
+    sendData(res, listing);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error searching listings'
-    });
+    sendFailure(res, error, 'Error removing photo');
+  }
+});
+
+// Fields a donor may change on their own listing
+const EDITABLE_FIELDS = [
+  'foodType', 'quantity', 'quantityAmount', 'quantityUnit', 'description', 'location',
+  'latitude', 'longitude', 'bestBefore', 'useBy', 'perishability', 'storageConditions',
+  'pickupWindows',
+];
+
+/**
+ * Load a listing for the donor to edit or delete, inside `transaction`.
+ * Throws once anything has been claimed: receivers are relying on what
+ * they claimed, so the donor has to cancel the listing instead.
+ */
+const findUnclaimedListing = async (id, transaction) => {
+  const listing = await models.Listing.findByPk(id, { transaction });
+  if (!listing) {
+    throw new ApiError(404, 'NOT_FOUND', 'Listing not found');
+  }
+
+  const claimCount = await models.Claim.count({
+    where: { listingId: listing.id, status: models.Claim.ACTIVE_STATUSES },
+    transaction
+  });
+  if (claimCount > 0) {
+    throw new ApiError(409, 'INVALID_TRANSITION',
+      'This listing has been claimed and can no longer be changed. Cancel it through PATCH /listings/:id/cancel instead.',
+      { claimCount });
+  }
+  if (listing.status !== 'available') {
+    throw new ApiError(409, 'INVALID_TRANSITION', `Cannot change a listing that is ${listing.status}`);
+  }
+
+  return listing;
+};
+
+// Tells the receivers of cancelled claims; a mail failure does not undo the cancellation
+const notifyWithdrawn = async (listing, claims) => {
+  if (claims.length === 0) {
+    return;
+  }
+
+  const receivers = await models.User.findAll({
+    where: { id: [...new Set(claims.map(claim => claim.receiverId))] }
+  });
+  for (const receiver of receivers) {
+    try {
+      await sendMail(mailTemplates.listingWithdrawn(receiver, listing));
+    } catch (error) {
+      console.error(`Could not tell user ${receiver.id} that listing ${listing.id} was withdrawn:`, error);
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /listings/{id}:
+ *   patch:
+ *     summary: Edit a listing (donor only)
+ *     description: >
+ *       Corrects the details of a listing, e.g. its quantity or pickup location.
+ *       Only the fields sent are changed. A listing can only be edited while it is
+ *       available and nothing has been claimed; after that, cancel it instead.
+ *       Send multipart/form-data with the same fields to also upload up to 5 photos
+ *       in `photos`, which replace all of the listing's photos; single photos are
+ *       added and removed through /listings/{id}/photos.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             description: Any of the fields of the JSON body, as form fields, plus the photos
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               foodType:
+ *                 type: string
+ *               quantity:
+ *                 type: string
+ *               quantityAmount:
+ *                 type: number
+ *                 description: Defaults to the listing's current unit when quantityUnit is left out
+ *               quantityUnit:
+ *                 type: string
+ *                 enum: [kg, g, L, items, crates, meals]
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               bestBefore:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               useBy:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               perishability:
+ *                 type: string
+ *                 enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *               storageConditions:
+ *                 type: string
+ *                 enum: [ambient, refrigerated, frozen]
+ *                 description: Defaults to the usual storage for a changed perishability class
+ *               pickupWindows:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   $ref: '#/components/schemas/PickupWindow'
+ *                 description: Replaces every window; null or [] for any time
+ *     responses:
+ *       200:
+ *         description: Listing updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Listing'
+ *       400:
+ *         description: >
+ *           No editable fields or photos, invalid quantity, food safety fields, coordinates or pickup
+ *           windows, or a photo that is too large or not an image (VALIDATION_ERROR)
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: Listing has been claimed or is no longer available (INVALID_TRANSITION)
+ *   put:
+ *     summary: Edit a listing (donor only)
+ *     description: Same as PATCH /listings/{id}; only the fields sent are changed.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *     responses:
+ *       200:
+ *         description: Listing updated
+ *   delete:
+ *     summary: Delete a listing (donor only)
+ *     description: >
+ *       Removes a listing that nobody has claimed, together with its photos.
+ *       A listing with claims cannot be deleted; cancel it through
+ *       /listings/{id}/cancel so the receivers are told.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *     responses:
+ *       200:
+ *         description: Listing deleted; data is { id }
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: Listing has been claimed or is no longer available (INVALID_TRANSITION)
+ */
+const updateListing = async (req, res) => {
+  try {
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+    if (Object.keys(changes).length === 0 && req.files.length === 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Send photos or at least one of: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    // A new amount keeps the listing's unit unless the donor changes it too
+    if (changes.quantityAmount !== undefined && changes.quantityUnit === undefined) {
+      changes.quantityUnit = req.resource.quantityUnit || undefined;
+    }
+    const quantityChanged = ['quantity', 'quantityAmount', 'quantityUnit'].some(field => changes[field] !== undefined);
+    const coordinatesChanged = changes.latitude !== undefined || changes.longitude !== undefined;
+    const pickup = changes.pickupWindows !== undefined ? parsePickupWindows(changes.pickupWindows) : {};
+
+    const validationError = (quantityChanged && validateQuantity(changes))
+      || validateFoodSafety(changes)
+      || (coordinatesChanged && validateCoordinates(changes.latitude, changes.longitude))
+      || pickup.error;
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
+
+    if (changes.quantityAmount !== undefined) {
+      changes.quantityAmount = Number(changes.quantityAmount);
+    }
+    if (coordinatesChanged) {
+      changes.latitude = changes.latitude != null ? Number(changes.latitude) : null;
+      changes.longitude = changes.longitude != null ? Number(changes.longitude) : null;
+    }
+    if (changes.perishability && !changes.storageConditions) {
+      changes.storageConditions = models.Listing.DEFAULT_STORAGE[changes.perishability];
+    }
+    if (pickup.windows) {
+      changes.pickupWindows = pickup.windows;
+    }
+
+    // Uploaded photos replace the listing's photos; like on create they are
+    // stored first and removed again if the change is not saved
+    const photos = await models.ListingPhoto.storeUploads(req.files);
+    let replaced = [];
+
+    const listing = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const listing = await findUnclaimedListing(req.resource.id, transaction);
+      listing.set(changes);
+      // Updates only write the fields already changed when save() starts, so run the
+      // validation hooks first to include the quantity fields they derive
+      await listing.validate();
+      await listing.save({ transaction });
+
+      if (photos.length) {
+        replaced = await models.ListingPhoto.findAll({ where: { listingId: listing.id }, transaction });
+        await models.ListingPhoto.destroy({ where: { listingId: listing.id }, transaction });
+        await models.ListingPhoto.bulkCreate(
+          photos.map((photo, position) => ({ ...photo, listingId: listing.id, position })),
+          { transaction }
+        );
+      }
+      return listing;
+    }).catch(async (error) => {
+      await models.ListingPhoto.removeFiles(photos);
+      throw error;
+    });
+
+    await models.ListingPhoto.removeFiles(replaced);
+    await listing.reload({ include: [models.ListingPhoto.includeOnListing()] });
+    await feed.publish('listing.updated', listing);
+    sendData(res, listing);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating listing');
+  }
+};
+
+router.patch('/:id', auth, requireOwnership('Listing'), photoUpload, updateListing);
+router.put('/:id', auth, requireOwnership('Listing'), photoUpload, updateListing);
+
+router.delete('/:id', auth, requireOwnership('Listing'), async (req, res) => {
+  try {
+    const listing = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const listing = await findUnclaimedListing(req.resource.id, transaction);
+      // Photo files are removed by the Listing destroy hooks once this commits
+      await listing.destroy({ transaction });
+      return listing;
+    });
+
+    await feed.publish('listing.deleted', listing);
+    sendData(res, { id: listing.id });
+  } catch (error) {
+    sendFailure(res, error, 'Error deleting listing');
+  }
+});
+
+/**
+ * @swagger
+ * /listings/{id}/claim:
+ *   patch:
+ *     summary: Claim all or part of a food donation (receivers only)
+ *     description: >
+ *       Creates a claim for the requested amount and takes it out of the listing's
+ *       remaining balance. The listing stays available until the balance reaches zero.
+ *       Claims go through the allocation policy: a daily quota per receiver, which
+ *       limits a claim for everything left to what the quota allows; a priority window
+ *       after the listing goes up in which only receivers with an urgent need it meets
+ *       can claim; and, while a listing in lottery mode collects requests, an entry in
+ *       its lottery (202) instead of a claim. The decision is recorded in the claim's
+ *       allocation.
+ *       Send an Idempotency-Key header to make retries safe: a repeated request with
+ *       the same key gets the original response back, success or refusal, instead of
+ *       claiming twice.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Client-generated unique key (e.g. a UUID), kept for 24 hours
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantityAmount:
+ *                 type: number
+ *                 description: >
+ *                   Amount to claim in the listing's unit. Defaults to everything left, or in a
+ *                   lottery as much as the draw gives.
+ *     responses:
+ *       201:
+ *         description: Claim created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     claim:
+ *                       $ref: '#/components/schemas/Claim'
+ *                     listing:
+ *                       $ref: '#/components/schemas/Listing'
+ *       202:
+ *         description: The listing is collecting requests for its lottery; the caller is entered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     claimRequest:
+ *                       $ref: '#/components/schemas/ClaimRequest'
+ *                     listing:
+ *                       $ref: '#/components/schemas/Listing'
+ *       400:
+ *         description: Invalid quantityAmount
+ *       403:
+ *         description: >
+ *           Caller is not a receiver (FORBIDDEN), has not verified their email (EMAIL_NOT_VERIFIED),
+ *           their organization is not verified yet (ORGANIZATION_NOT_VERIFIED), or the listing is
+ *           in its priority window and they have no urgent need it meets (PRIORITY_WINDOW, with
+ *           details.priorityUntil)
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: >
+ *           Listing is no longer available, not enough is left or its lottery is being drawn
+ *           (INVALID_TRANSITION), it was just claimed by someone else, or the caller already
+ *           entered its lottery (CONFLICT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
+ *       429:
+ *         description: >
+ *           The caller's daily quota does not allow the claim (QUOTA_EXCEEDED); details has
+ *           their claims and meal equivalents in the last 24 hours, the limits and resetsAt
+ */
+router.patch('/:id/claim', auth, requireVerifiedEmail, canClaimListings, async (req, res) => {
+  const idempotencyKey = req.header('Idempotency-Key');
+
+  try {
+    if (idempotencyKey) {
+      const stored = await models.IdempotencyKey.findStored(req.user.id, idempotencyKey);
+      if (stored) {
+        return stored.replay(req, res);
+      }
+    }
+
+    const { statusCode, body } = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const listing = await models.Listing.findByPk(req.params.id, { transaction });
+      if (!listing) {
+        throw new ApiError(404, 'NOT_FOUND', 'Listing not found');
+      }
+
+      const { quantityAmount } = req.body;
+      const requestedAmount = quantityAmount === undefined || quantityAmount === null ? null : Number(quantityAmount);
+
+      let statusCode = 201;
+      let data;
+      if (listing.isCollectingRequests()) {
+        // Nothing is claimed until the lottery is drawn (see jobs/lotteryDrawer.js)
+        const claimRequest = await allocation.enterLottery(listing, req.user, requestedAmount, { transaction });
+        statusCode = 202;
+        data = { claimRequest, listing };
+      } else {
+        const { amount, allocation: decision } = await allocation.allocateClaim(
+          listing, req.user, requestedAmount, { transaction }
+        );
+        const claim = await models.Claim.create({
+          listingId: listing.id,
+          receiverId: req.user.id,
+          quantityAmount: amount,
+          allocation: decision
+        }, { transaction });
+
+        listing.syncStatus(await listing.getClaims({ transaction }));
+
+        // Only commit if the listing is still exactly as we read it
+        if (!(await listing.saveBalanceIfUnchanged({ transaction }))) {
+          throw new models.Listing.TransitionError('This listing was just claimed by someone else', 409, 'CONFLICT');
+        }
+        data = { claim, listing };
+      }
+
+      // Stored as sent, so a replay returns exactly the same envelope
+      const body = { data, meta: null, error: null };
+      if (idempotencyKey) {
+        await models.IdempotencyKey.store(req, idempotencyKey, statusCode, body, { transaction });
+      }
+      return { statusCode, body };
+    });
+
+    if (statusCode === 202) {
+      return res.status(statusCode).json(body);
+    }
+
+    await feed.publish('listing.claimed', body.data.listing);
+    await notifications.listingClaimed(body.data.listing, body.data.claim);
+    await webhooks.emit('listing.claimed', body.data, {
+      audience: [body.data.listing.userId, body.data.claim.receiverId]
+    });
+    res.status(201).json(body);
+  } catch (error) {
+    // A refused claim is kept under its key as well, so a retry gets the same
+    // answer and the key cannot then be used for a different request
+    let raced = error instanceof UniqueConstraintError;
+    if (idempotencyKey && error instanceof ApiError && error.statusCode < 500) {
+      const body = { data: null, meta: null, error: { code: error.code, message: error.message, details: error.details } };
+      raced = await models.IdempotencyKey.store(req, idempotencyKey, error.statusCode, body).then(() => false, (storeError) => {
+        if (!(storeError instanceof UniqueConstraintError)) {
+          console.error('Could not store refused claim under its Idempotency-Key:', storeError);
+        }
+        return storeError instanceof UniqueConstraintError;
+      });
+    }
+    // A concurrent retry with the same key got there first; its outcome stands
+    if (raced && idempotencyKey) {
+      const stored = await models.IdempotencyKey.findStored(req.user.id, idempotencyKey);
+      if (stored) {
+        return stored.replay(req, res);
+      }
+    }
+    sendFailure(res, error, 'Error claiming listing');
+  }
+});
+
+/**
+ * @swagger
+ * /listings/{id}/claims:
+ *   get:
+ *     summary: List the claims on a listing
+ *     description: The donor sees every claim; a receiver sees only their own.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Claims on the listing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Claim'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid page or limit
+ *       404:
+ *         description: Listing not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/claims', auth, async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const listing = await models.Listing.findByPk(req.params.id);
+    if (!listing) {
+      return sendError(res, 404, 'NOT_FOUND', 'Listing not found');
+    }
+
+    const where = { listingId: listing.id };
+    if (listing.userId !== req.user.id) {
+      where.receiverId = req.user.id;
+    }
+
+    const { rows, count } = await models.Claim.findAndCountAll({
+      where,
+      include: [{
+        model: models.User,
+        as: 'receiver',
+        attributes: ['id', 'name', 'organization', 'email', 'phone']
+      }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching claims');
+  }
+});
+
+/**
+ * @swagger
+ * /listings/{id}/claim-requests:
+ *   get:
+ *     summary: List the lottery entries of a listing
+ *     description: >
+ *       The donor sees every entry; a receiver sees only their own. Once the lottery is
+ *       drawn each entry has the decision in its allocation.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Lottery entries, in the order they came
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClaimRequest'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid page or limit
+ *       404:
+ *         description: Listing not found
+ */
+router.get('/:id/claim-requests', auth, async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const listing = await models.Listing.findByPk(req.params.id);
+    if (!listing) {
+      return sendError(res, 404, 'NOT_FOUND', 'Listing not found');
+    }
+
+    const where = { listingId: listing.id };
+    if (listing.userId !== req.user.id) {
+      where.receiverId = req.user.id;
+    }
+
+    const { rows, count } = await models.ClaimRequest.findAndCountAll({
+      where,
+      include: [{ model: models.User, as: 'receiver', attributes: ['id', 'name', 'organization'] }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching claim requests');
+  }
+});
+
+/**
+ * @swagger
+ * /listings/{id}/claim-requests/{requestId}/withdraw:
+ *   patch:
+ *     summary: Withdraw from the lottery of a listing before it is drawn (the receiver who entered only)
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry withdrawn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ClaimRequest'
+ *       403:
+ *         description: Caller did not make this request
+ *       404:
+ *         description: Listing or claim request not found
+ *       409:
+ *         description: The lottery was already drawn, or the entry withdrawn (INVALID_TRANSITION)
+ */
+router.patch('/:id/claim-requests/:requestId/withdraw', auth, async (req, res) => {
+  try {
+    const claimRequest = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const found = await models.ClaimRequest.findOne({
+        where: { id: req.params.requestId, listingId: req.params.id },
+        transaction
+      });
+      if (!found) {
+        throw new ApiError(404, 'NOT_FOUND', 'Claim request not found');
+      }
+
+      found.transition('withdraw', req.user);
+      await found.save({ transaction });
+      return found;
+    });
+
+    sendData(res, claimRequest);
+  } catch (error) {
+    sendFailure(res, error, 'Error withdrawing claim request');
+  }
+});
+
+/**
+ * @swagger
+ * /listings/{id}/suggested-receivers:
+ *   get:
+ *     summary: The receivers whose needs a listing meets best (donor only)
+ *     description: >
+ *       Open needs of verified receivers, scored against what is left of the listing;
+ *       one entry per receiver, for their best-matching need. Empty once the listing
+ *       is no longer available.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Suggested receivers, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SuggestedReceiver'
+ *       400:
+ *         description: Invalid limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Listing not found
+ */
+router.get('/:id/suggested-receivers', auth, requireOwnership('Listing'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTED_RECEIVERS) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `limit must be a whole number between 1 and ${MAX_SUGGESTED_RECEIVERS}`);
+    }
+
+    const listing = req.resource;
+    const matches = listing.status === 'available' && !listing.isExpired()
+      ? await matching.suggestReceivers(listing, { limit })
+      : [];
+
+    sendData(res, matches.map(({ receiver, need, score, distanceKm, breakdown }) => ({
+      receiver: { id: receiver.id, name: receiver.name, organization: receiver.organization, location: receiver.location },
+      need: matching.needSummary(need),
+      score,
+      distanceKm,
+      breakdown
+    })));
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching suggested receivers');
+  }
+});
+
+// Who gets notified after a claim lifecycle action, by action name
+const CLAIM_NOTIFICATIONS = {
+  schedulePickup: notifications.pickupScheduled,
+};
+
+/**
+ * Shared handler for the claim lifecycle endpoints.
+ * Loads the claim and its listing, lets `prepare` validate the request body
+ * (against the listing where needed) and set any extra fields, applies the status move defined on the Claim
+ * model and then brings the listing status in line with its claims.
+ * Once that is committed, the other party is notified where relevant.
+ */
+const transitionClaim = (action, prepare) => async (req, res) => {
+  try {
+    const data = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const claim = await models.Claim.findOne({
+        where: { id: req.params.claimId, listingId: req.params.id },
+        transaction
+      });
+      if (!claim) {
+        throw new ApiError(404, 'NOT_FOUND', 'Claim not found');
+      }
+      const listing = await claim.getListing({ transaction });
+
+      if (prepare) {
+        const validationError = prepare(req, claim, listing);
+        if (validationError) {
+          throw new ApiError(400, 'VALIDATION_ERROR', validationError);
+        }
+      }
+
+      claim.transition(action, req.user, listing);
+      await claim.save({ transaction });
+
+      if (action === 'release') {
+        listing.returnQuantity(claim.quantityAmount);
+      }
+      listing.syncStatus(await listing.getClaims({ transaction }));
+      await listing.save({ transaction });
+
+      return { claim, listing };
+    });
+
+    await feed.publish('listing.updated', data.listing);
+    const notify = CLAIM_NOTIFICATIONS[action];
+    if (notify) {
+      await notify(data.listing, data.claim);
+    }
+    sendData(res, data);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating claim status');
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ListingId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *     ClaimId:
+ *       in: path
+ *       name: claimId
+ *       required: true
+ *       schema:
+ *         type: integer
+ *     Page:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ */
+
+/**
+ * @swagger
+ * /listings/{id}/claims/{claimId}/schedule-pickup:
+ *   patch:
+ *     summary: Schedule the pickup of a claim
+ *     description: >
+ *       Only the receiver who made the claim can schedule the pickup. When the donor
+ *       set pickup windows on the listing, the pickup time must fall inside one of them.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - $ref: '#/components/parameters/ClaimId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pickupTime
+ *             properties:
+ *               pickupTime:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Pickup scheduled
+ *       400:
+ *         description: Missing or invalid pickupTime, or outside the listing's pickup windows
+ *       403:
+ *         description: Caller did not make this claim
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim is not reserved
+ */
+router.patch('/:id/claims/:claimId/schedule-pickup', auth, transitionClaim('schedulePickup', (req, claim, listing) => {
+  const pickupTime = new Date(req.body.pickupTime);
+  if (!req.body.pickupTime || isNaN(pickupTime.getTime())) {
+    return 'pickupTime must be a valid date';
+  }
+  if (pickupTime <= new Date()) {
+    return 'pickupTime must be in the future';
+  }
+  if (!isWithinPickupWindows(listing.pickupWindows, pickupTime)) {
+    return 'pickupTime must fall inside one of the listing\'s pickupWindows';
+  }
+  claim.pickupScheduledFor = pickupTime;
+}));
+
+/**
+ * @swagger
+ * /listings/{id}/claims/{claimId}/confirm-pickup:
+ *   patch:
+ *     summary: Confirm the food of a claim was handed over
+ *     description: The donor confirms that the receiver collected their share.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - $ref: '#/components/parameters/ClaimId'
+ *     responses:
+ *       200:
+ *         description: Handover confirmed, claim is picked up
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: No pickup has been scheduled
+ */
+router.patch('/:id/claims/:claimId/confirm-pickup', auth, transitionClaim('confirmPickup'));
+
+/**
+ * @swagger
+ * /listings/{id}/claims/{claimId}/complete:
+ *   patch:
+ *     summary: Mark a picked up claim as completed
+ *     description: The receiver confirms the food was received and distributed.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - $ref: '#/components/parameters/ClaimId'
+ *     responses:
+ *       200:
+ *         description: Claim completed
+ *       403:
+ *         description: Caller did not make this claim
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim has not been picked up yet
+ */
+router.patch('/:id/claims/:claimId/complete', auth, transitionClaim('complete'));
+
+/**
+ * @swagger
+ * /listings/{id}/claims/{claimId}/release:
+ *   patch:
+ *     summary: Give up a claim
+ *     description: The receiver releases their claim and its amount goes back to the listing.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *       - $ref: '#/components/parameters/ClaimId'
+ *     responses:
+ *       200:
+ *         description: Claim released
+ *       403:
+ *         description: Caller did not make this claim
+ *       404:
+ *         description: Claim not found
+ *       409:
+ *         description: Claim has already been picked up or closed
+ */
+router.patch('/:id/claims/:claimId/release', auth, transitionClaim('release'));
+
+/**
+ * @swagger
+ * /listings/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a listing
+ *     description: >
+ *       The donor withdraws a listing. Claims still waiting for pickup are cancelled
+ *       and their receivers are emailed; claims already picked up are unaffected.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListingId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Listing cancelled
+ *       403:
+ *         description: Caller is not the donor of this listing
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: Listing has already been picked up, completed or closed
+ */
+router.patch('/:id/cancel', auth, async (req, res) => {
+  try {
+    const { listing, claims } = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const listing = await models.Listing.findByPk(req.params.id, { transaction });
+      if (!listing) {
+        throw new ApiError(404, 'NOT_FOUND', 'Listing not found');
+      }
+
+      listing.transition('cancel', req.user);
+      listing.cancellationReason = req.body.reason || null;
+      await listing.save({ transaction });
+      const claims = await listing.closeOpenClaims('cancel', { transaction });
+
+      return { listing, claims };
+    });
+
+    await feed.publish('listing.updated', listing);
+    await notifyWithdrawn(listing, claims);
+    await notifications.listingCancelled(listing, claims);
+    sendData(res, listing);
+  } catch (error) {
+    sendFailure(res, error, 'Error cancelling listing');
+  }
+});
+
+// Sort options for /listings/search: the column to order by and its direction.
+// Every sort falls back on the id so cursors always point at a unique position.
+const SEARCH_SORTS = {
+  expiry: { column: 'expiresAt', direction: 'ASC' },
+  newest: { column: 'id', direction: 'DESC' },
+  oldest: { column: 'id', direction: 'ASC' },
+};
+
+/**
+ * Condition selecting the rows that come after `cursor` ([value, id] of the
+ * last row of the previous page) in the given sort. Expiry sorts put
+ * listings without an expiry date last, so nulls need their own branch.
+ */
+const afterCursorWhere = (sort, [value, id]) => {
+  if (sort.column === 'id') {
+    return { id: { [sort.direction === 'ASC' ? Op.gt : Op.lt]: id } };
+  }
+  if (value === null) {
+    return { [sort.column]: null, id: { [Op.gt]: id } };
+  }
+  const date = new Date(value);
+  return {
+    [Op.or]: [
+      { [sort.column]: { [Op.gt]: date } },
+      { [sort.column]: date, id: { [Op.gt]: id } },
+      { [sort.column]: null }
+    ]
+  };
+};
+
+/**
+ * @swagger
+ * /listings/search:
+ *   get:
+ *     summary: Search food listings
+ *     description: >
+ *       Full-text search over food type, description and donor organization,
+ *       combined with optional filters. Results are paginated with an opaque
+ *       cursor: pass the returned meta.pagination.nextCursor to get the following page.
+ *     tags: [Listings]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Words to match; the last word also matches as a prefix
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           default: available
+ *         description: One status or a comma-separated list
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Part of the pickup address, e.g. "Cape Town"
+ *       - in: query
+ *         name: expiresAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: expiresBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: donorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [expiry, newest, oldest]
+ *           default: expiry
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         limit:
+ *                           type: integer
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Cursor for the next page, null on the last page
+ *       400:
+ *         description: Invalid filter, sort, limit or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/search', async (req, res) => {
+  const badRequest = (message) => sendError(res, 400, 'VALIDATION_ERROR', message);
+
+  try {
+    const { q, status, location, expiresAfter, expiresBefore, donorId, cursor } = req.query;
+    const conditions = [];
+
+    if (q) {
+      const ftsQuery = toFtsQuery(q);
+      if (!ftsQuery) {
+        return badRequest('q must contain at least one letter or number');
+      }
+      conditions.push({ id: { [Op.in]: sequelize.literal(matchingIdsSql(sequelize, ftsQuery)) } });
+    }
+
+    const statuses = status ? String(status).split(',').map(s => s.trim()) : ['available'];
+    const unknownStatus = statuses.find(s => !models.Listing.STATUSES.includes(s));
+    if (unknownStatus) {
+      return badRequest(`Unknown status "${unknownStatus}"`);
+    }
+    conditions.push({ status: { [Op.in]: statuses } });
+    if (statuses.includes('available')) {
+      // Hide food that went off before the expiry sweeper got to it
+      conditions.push({
+        [Op.or]: [
+          { status: { [Op.ne]: 'available' } },
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      });
+    }
+
+    if (location) {
+      conditions.push({ location: { [Op.like]: `%${location}%` } });
+    }
+
+    for (const [name, value, op] of [['expiresAfter', expiresAfter, Op.gte], ['expiresBefore', expiresBefore, Op.lte]]) {
+      if (value !== undefined) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return badRequest(`${name} must be a valid date`);
+        }
+        conditions.push({ expiresAt: { [op]: date } });
+      }
+    }
+
+    if (donorId !== undefined) {
+      if (!Number.isInteger(Number(donorId))) {
+        return badRequest('donorId must be an integer');
+      }
+      conditions.push({ userId: Number(donorId) });
+    }
+
+    const sortName = req.query.sort || 'expiry';
+    const sort = SEARCH_SORTS[sortName];
+    if (!sort) {
+      return badRequest(`sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}`);
+    }
+
+    const limit = parseLimit(req.query.limit);
+    if (!limit) {
+      return badRequest(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    if (cursor !== undefined) {
+      const position = decodeCursor(cursor);
+      if (!Array.isArray(position) || position.length !== 2 || !Number.isInteger(position[1])) {
+        return badRequest('cursor is invalid');
+      }
+      conditions.push(afterCursorWhere(sort, position));
+    }
+
+    const order = sort.column === 'id'
+      ? [['id', sort.direction]]
+      : [[sort.column, `${sort.direction} NULLS LAST`], ['id', 'ASC']];
+
+    // Fetch one extra row to find out whether there is another page
+    const rows = await models.Listing.findAll({
+      where: { [Op.and]: conditions },
+      include: [{
+        model: models.User,
+        as: 'donor',
+        attributes: ['id', 'name', 'organization', 'location']
+      }, models.ListingPhoto.includeOnListing()],
+      order,
+      limit: limit + 1
+    });
+
+    const listings = rows.slice(0, limit);
+    const last = listings[listings.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodeCursor([sort.column === 'id' ? null : last[sort.column], last.id])
+      : null;
+
+    sendData(res, listings, { meta: { pagination: { limit, nextCursor } } });
+  } catch (error) {
+    sendFailure(res, error, 'Error searching listings');
   }
 });
 
@@ -0,0 +1,874 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const router = express.Router();
+const { auth, requireUserType, requireVerifiedEmail, requireOwnership } = require('../middleware/auth');
+const { models, sequelize } = require('../models/index');
+const matching = require('../matching');
+const { haversineKm, boundingBox, validateCoordinates } = require('../utils/geo');
+const { WEEKDAYS } = require('../utils/recurrence');
+const { parsePageQuery, pageMeta, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+
+// Matching range of a need when the receiver gives none, and the largest allowed
+const DEFAULT_NEED_RADIUS_KM = Number(process.env.NEED_DEFAULT_RADIUS_KM) || 25;
+const MAX_NEED_RADIUS_KM = 200;
+
+// Radius used by the needs board when none is given
+const DEFAULT_BOARD_RADIUS_KM = 10;
+
+const MAX_KEYWORDS = 10;
+const MAX_KEYWORD_LENGTH = 50;
+
+// Most listings /needs/:id/matches returns at once
+const MAX_MATCHES = 50;
+
+// Error message for an invalid page or limit query parameter
+const PAGE_QUERY_ERROR = `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`;
+
+// Fields a receiver can set on a need
+const NEED_FIELDS = [
+  'title', 'description', 'categories', 'keywords', 'quantityAmount', 'quantityUnit', 'location',
+  'latitude', 'longitude', 'radiusKm', 'urgency', 'days', 'neededBy'
+];
+
+// Fields a need cannot do without
+const REQUIRED_FIELDS = ['title', 'location', 'radiusKm', 'urgency'];
+
+// Most urgent first on the board
+const URGENCY_ORDER = sequelize.literal(`CASE urgency ${[...models.Need.URGENCY_LEVELS].reverse()
+  .map((level, index) => `WHEN '${level}' THEN ${index}`).join(' ')} END`);
+
+const receiverInclude = () => ({ model: models.User, as: 'receiver', attributes: ['id', 'name', 'organization'] });
+
+const isListOf = (value, allowed) => Array.isArray(value) && value.every(item => allowed.includes(item));
+
+/**
+ * Validate the need fields present in a request body.
+ * Returns an error message, or null when they are usable.
+ */
+const validateNeed = (body, now = new Date()) => {
+  for (const field of ['title', 'location']) {
+    if (body[field] !== undefined && (typeof body[field] !== 'string' || !body[field].trim())) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  if (body.categories != null && !isListOf(body.categories, models.Listing.PERISHABILITY_CLASSES)) {
+    return `categories must be a list of: ${models.Listing.PERISHABILITY_CLASSES.join(', ')}`;
+  }
+  if (body.keywords != null && !(Array.isArray(body.keywords) && body.keywords.length <= MAX_KEYWORDS
+    && body.keywords.every(keyword => typeof keyword === 'string' && keyword.trim()
+      && keyword.length <= MAX_KEYWORD_LENGTH))) {
+    return `keywords must be a list of at most ${MAX_KEYWORDS} words or phrases of up to ${MAX_KEYWORD_LENGTH} characters`;
+  }
+  if ((body.quantityAmount == null) !== (body.quantityUnit == null)) {
+    return 'quantityAmount and quantityUnit must be provided together';
+  }
+  if (body.quantityAmount != null && !(typeof body.quantityAmount === 'number' && body.quantityAmount > 0)) {
+    return 'quantityAmount must be a positive number';
+  }
+  if (body.quantityUnit != null && !models.Listing.QUANTITY_UNITS.includes(body.quantityUnit)) {
+    return `quantityUnit must be one of: ${models.Listing.QUANTITY_UNITS.join(', ')}`;
+  }
+  if (body.radiusKm !== undefined
+    && !(typeof body.radiusKm === 'number' && body.radiusKm > 0 && body.radiusKm <= MAX_NEED_RADIUS_KM)) {
+    return `radiusKm must be a number between 0 and ${MAX_NEED_RADIUS_KM}`;
+  }
+  if (body.urgency !== undefined && !models.Need.URGENCY_LEVELS.includes(body.urgency)) {
+    return `urgency must be one of: ${models.Need.URGENCY_LEVELS.join(', ')}`;
+  }
+  if (body.days != null && !isListOf(body.days, WEEKDAYS)) {
+    return `days must be a list of weekdays from ${WEEKDAYS.join(', ')}`;
+  }
+  if (body.neededBy != null) {
+    const neededBy = new Date(body.neededBy);
+    if (isNaN(neededBy.getTime())) {
+      return 'neededBy must be a valid date';
+    }
+    if (neededBy <= now) {
+      return 'neededBy must be in the future';
+    }
+  }
+  return validateCoordinates(body.latitude, body.longitude);
+};
+
+const pickFields = (body) => {
+  const fields = Object.fromEntries(
+    NEED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+  if (Array.isArray(fields.keywords)) {
+    // Keywords are matched case-insensitively, so "Bread" repeats "bread"
+    const keywords = new Map(fields.keywords.map(keyword => [keyword.trim().toLowerCase(), keyword.trim()]));
+    fields.keywords = [...keywords.values()];
+  }
+  for (const field of ['categories', 'days']) {
+    if (Array.isArray(fields[field])) {
+      fields[field] = [...new Set(fields[field])];
+    }
+  }
+  return fields;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Needs
+ *   description: >
+ *     Food receivers are looking for, standing or one-off. New listings are scored
+ *     against open needs of verified receivers (0-100, on fit, distance, quantity and
+ *     how long the food keeps); matched receivers and the donor are notified.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Need:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *           example: "Meals for the Friday soup kitchen"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *           description: Perishability classes that will do; empty means any
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["formula"]
+ *           description: Looked for in a listing's food type and description; empty means any food
+ *         quantityAmount:
+ *           type: number
+ *           nullable: true
+ *           example: 200
+ *         quantityUnit:
+ *           type: string
+ *           enum: [kg, g, L, items, crates, meals]
+ *           nullable: true
+ *         location:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *         longitude:
+ *           type: number
+ *           nullable: true
+ *         radiusKm:
+ *           type: number
+ *           description: How far away listings can be to match
+ *         urgency:
+ *           type: string
+ *           enum: [low, normal, high, critical]
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MO, TU, WE, TH, FR, SA, SU]
+ *           description: >
+ *             Weekdays a standing need recurs on; matched food has to keep until the next
+ *             of them. Empty for a one-off need.
+ *         neededBy:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: No longer matched after this
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         receiver:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             organization:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     NeedFields:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *         quantityAmount:
+ *           type: number
+ *         quantityUnit:
+ *           type: string
+ *           enum: [kg, g, L, items, crates, meals]
+ *         location:
+ *           type: string
+ *           description: Defaults to the receiver's profile location
+ *         latitude:
+ *           type: number
+ *           description: Defaults to the receiver's profile coordinates
+ *         longitude:
+ *           type: number
+ *           description: Defaults to the receiver's profile coordinates
+ *         radiusKm:
+ *           type: number
+ *           description: Defaults to 25
+ *         urgency:
+ *           type: string
+ *           enum: [low, normal, high, critical]
+ *           description: Defaults to normal
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MO, TU, WE, TH, FR, SA, SU]
+ *         neededBy:
+ *           type: string
+ *           format: date-time
+ *
+ *     MatchBreakdown:
+ *       type: object
+ *       description: The parts of a match score, each from 0 to 1
+ *       properties:
+ *         fit:
+ *           type: number
+ *           description: Kind of food (keywords in the food type, the description, or categories only)
+ *         distance:
+ *           type: number
+ *           description: 1 at the need's location down to 0 at its radius; 0.5 when either has no coordinates
+ *         quantity:
+ *           type: number
+ *           description: Share of the needed quantity the listing covers
+ *         expiry:
+ *           type: number
+ *           description: Whether the food keeps long enough for the need's urgency
+ *
+ *     SuggestedReceiver:
+ *       type: object
+ *       properties:
+ *         receiver:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             organization:
+ *               type: string
+ *             location:
+ *               type: string
+ *         need:
+ *           $ref: '#/components/schemas/NeedSummary'
+ *         score:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         distanceKm:
+ *           type: number
+ *           nullable: true
+ *         breakdown:
+ *           $ref: '#/components/schemas/MatchBreakdown'
+ *
+ *     NeedSummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         urgency:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *           nullable: true
+ *           example: "200 meals"
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *         neededBy:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ *     NeedMatch:
+ *       type: object
+ *       properties:
+ *         listing:
+ *           $ref: '#/components/schemas/Listing'
+ *         score:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         distanceKm:
+ *           type: number
+ *           nullable: true
+ *         breakdown:
+ *           $ref: '#/components/schemas/MatchBreakdown'
+ */
+
+/**
+ * @swagger
+ * /needs:
+ *   post:
+ *     summary: Post a need (receivers only)
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/NeedFields'
+ *               - type: object
+ *                 required:
+ *                   - title
+ *     responses:
+ *       201:
+ *         description: Need posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Need'
+ *       400:
+ *         description: Missing or invalid fields (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a receiver, or has not verified their email
+ */
+router.post('/', auth, requireUserType(['receiver']), requireVerifiedEmail, async (req, res) => {
+  try {
+    const fields = {
+      location: req.user.location || undefined,
+      radiusKm: DEFAULT_NEED_RADIUS_KM,
+      urgency: 'normal',
+      ...pickFields(req.body)
+    };
+
+    const missing = REQUIRED_FIELDS.filter(field => fields[field] == null);
+    if (missing.length) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Missing required fields: ${missing.join(', ')}`);
+    }
+    const validationError = validateNeed(fields);
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
+
+    const need = await models.Need.create({
+      // Food usually goes to the receiver's own address
+      latitude: req.user.latitude,
+      longitude: req.user.longitude,
+      ...fields,
+      userId: req.user.id
+    });
+
+    sendData(res, need, { status: 201 });
+  } catch (error) {
+    sendFailure(res, error, 'Error posting need');
+  }
+});
+
+/**
+ * @swagger
+ * /needs:
+ *   get:
+ *     summary: The needs board of open needs
+ *     description: >
+ *       Most urgent first, then newest, or nearest first when lat and lng are given,
+ *       in which case only needs within radiusKm are listed.
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *           maximum: 200
+ *       - in: query
+ *         name: urgency
+ *         schema:
+ *           type: string
+ *           enum: [low, normal, high, critical]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [cooked_meal, fresh_produce, frozen, dry_goods]
+ *         description: Needs that take this kind of food, including those that take any
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Open needs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Need'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid coordinates, radiusKm, urgency, category, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const { lat, lng, urgency, category } = req.query;
+    const coordinatesError = validateCoordinates(lat, lng);
+    if (coordinatesError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', coordinatesError);
+    }
+    if (urgency !== undefined && !models.Need.URGENCY_LEVELS.includes(urgency)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `urgency must be one of: ${models.Need.URGENCY_LEVELS.join(', ')}`);
+    }
+    if (category !== undefined && !models.Listing.PERISHABILITY_CLASSES.includes(category)) {
+      return sendError(res, 400, 'VALIDATION_ERROR',
+        `category must be one of: ${models.Listing.PERISHABILITY_CLASSES.join(', ')}`);
+    }
+
+    const now = new Date();
+    const conditions = [
+      { status: 'open' },
+      { [Op.or]: [{ neededBy: null }, { neededBy: { [Op.gt]: now } }] }
+    ];
+    if (urgency) {
+      conditions.push({ urgency });
+    }
+    if (category) {
+      // categories is a JSON list; match the quoted class name inside it
+      conditions.push({ [Op.or]: [{ categories: null }, { categories: { [Op.like]: `%"${category}"%` } }] });
+    }
+
+    if (lat === undefined) {
+      const { rows, count } = await models.Need.findAndCountAll({
+        where: { [Op.and]: conditions },
+        include: [receiverInclude()],
+        order: [[URGENCY_ORDER, 'ASC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: page.limit,
+        offset: page.offset
+      });
+      return sendData(res, rows, { meta: pageMeta(page, count) });
+    }
+
+    const radiusKm = req.query.radiusKm === undefined ? DEFAULT_BOARD_RADIUS_KM : Number(req.query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEED_RADIUS_KM) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `radiusKm must be a number between 0 and ${MAX_NEED_RADIUS_KM}`);
+    }
+    const origin = { lat: Number(lat), lng: Number(lng) };
+
+    // Cheap bounding-box prefilter in SQL, exact haversine distance in JS
+    const box = boundingBox(origin.lat, origin.lng, radiusKm);
+    conditions.push({
+      latitude: { [Op.between]: [box.minLat, box.maxLat] },
+      longitude: box.minLng !== null ? { [Op.between]: [box.minLng, box.maxLng] } : { [Op.ne]: null }
+    });
+    const candidates = await models.Need.findAll({
+      where: { [Op.and]: conditions },
+      include: [receiverInclude()]
+    });
+
+    const needs = candidates
+      .map(need => ({
+        ...need.toJSON(),
+        distanceKm: Math.round(haversineKm(origin.lat, origin.lng, need.latitude, need.longitude) * 100) / 100
+      }))
+      .filter(need => need.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    // Distances are only known after the haversine pass, so page in memory
+    sendData(res, needs.slice(page.offset, page.offset + page.limit), {
+      meta: pageMeta(page, needs.length)
+    });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching needs');
+  }
+});
+
+/**
+ * @swagger
+ * /needs/mine:
+ *   get:
+ *     summary: The caller's needs, open and closed (receivers only)
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: The caller's needs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Need'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid status, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a receiver
+ */
+router.get('/mine', auth, requireUserType(['receiver']), async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const where = { userId: req.user.id };
+    if (req.query.status !== undefined) {
+      if (!models.Need.STATUSES.includes(req.query.status)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `status must be one of: ${models.Need.STATUSES.join(', ')}`);
+      }
+      where.status = req.query.status;
+    }
+
+    const { rows, count } = await models.Need.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching needs');
+  }
+});
+
+/**
+ * @swagger
+ * /needs/{id}:
+ *   get:
+ *     summary: Get a need
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The need
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Need'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Need not found
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const need = await models.Need.findByPk(req.params.id, { include: [receiverInclude()] });
+    if (!need) {
+      return sendError(res, 404, 'NOT_FOUND', 'Need not found');
+    }
+
+    sendData(res, need);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching need');
+  }
+});
+
+/**
+ * @swagger
+ * /needs/{id}/matches:
+ *   get:
+ *     summary: Available listings that meet a need best (the receiver who posted it only)
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Matching listings, best match first; empty while the need is closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NeedMatch'
+ *       400:
+ *         description: Invalid limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's need
+ *       404:
+ *         description: Need not found
+ */
+router.get('/:id/matches', auth, requireOwnership('Need'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MATCHES) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `limit must be a whole number between 1 and ${MAX_MATCHES}`);
+    }
+
+    const need = req.resource;
+    const matches = need.isOpen() ? await matching.matchingListings(need, { limit }) : [];
+
+    sendData(res, matches.map(({ listing, score, distanceKm, breakdown }) => ({ listing, score, distanceKm, breakdown })));
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching matching listings');
+  }
+});
+
+/**
+ * @swagger
+ * /needs/{id}:
+ *   patch:
+ *     summary: Change a need
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NeedFields'
+ *     responses:
+ *       200:
+ *         description: Need updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Need'
+ *       400:
+ *         description: No fields given, or an invalid one (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's need
+ *       404:
+ *         description: Need not found
+ */
+router.patch('/:id', auth, requireOwnership('Need'), async (req, res) => {
+  try {
+    const changes = pickFields(req.body);
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Give at least one of: ${NEED_FIELDS.join(', ')}`);
+    }
+    const removed = REQUIRED_FIELDS.find(field => changes[field] === null);
+    if (removed) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `${removed} cannot be removed`);
+    }
+
+    // The quantity is checked as a pair, so fill in the half that is not changing
+    const { quantityAmount, quantityUnit } = req.resource;
+    const validationError = validateNeed({ quantityAmount, quantityUnit, ...changes });
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
+
+    const need = await req.resource.update(changes);
+
+    sendData(res, need);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating need');
+  }
+});
+
+/**
+ * Route handler applying a status `action` to the need in req.resource
+ * (see Need.TRANSITIONS).
+ */
+const transitionNeed = (action, errorMessage) => async (req, res) => {
+  try {
+    const need = req.resource;
+    need.transition(action, req.user);
+    await need.save();
+
+    sendData(res, need);
+  } catch (error) {
+    sendFailure(res, error, errorMessage);
+  }
+};
+
+/**
+ * @swagger
+ * /needs/{id}/close:
+ *   patch:
+ *     summary: Close a need once it is met or no longer relevant
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Need closed; it is no longer matched
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's need
+ *       404:
+ *         description: Need not found
+ *       409:
+ *         description: Already closed (INVALID_TRANSITION)
+ */
+router.patch('/:id/close', auth, requireOwnership('Need'), transitionNeed('close', 'Error closing need'));
+
+/**
+ * @swagger
+ * /needs/{id}/reopen:
+ *   patch:
+ *     summary: Reopen a closed need
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Need open again
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's need
+ *       404:
+ *         description: Need not found
+ *       409:
+ *         description: Not closed (INVALID_TRANSITION)
+ */
+router.patch('/:id/reopen', auth, requireOwnership('Need'), transitionNeed('reopen', 'Error reopening need'));
+
+/**
+ * @swagger
+ * /needs/{id}:
+ *   delete:
+ *     summary: Delete a need
+ *     tags: [Needs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Need deleted; data is { id }
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's need
+ *       404:
+ *         description: Need not found
+ */
+router.delete('/:id', auth, requireOwnership('Need'), async (req, res) => {
+  try {
+    await req.resource.destroy();
+
+    sendData(res, { id: req.resource.id });
+  } catch (error) {
+    sendFailure(res, error, 'Error deleting need');
+  }
+});
+
+module.exports = router;
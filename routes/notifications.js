@@ -0,0 +1,281 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { models } = require('../models/index');
+const { parsePageQuery, pageMeta, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+
+// Error message for an invalid page or limit query parameter
+const PAGE_QUERY_ERROR = `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`;
+
+const TYPE_ERROR = `type must be one of: ${models.Notification.TYPES.join(', ')}`;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: The caller's in-app notification centre
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           $ref: '#/components/schemas/NotificationType'
+ *         title:
+ *           type: string
+ *           example: "Your listing was claimed"
+ *         body:
+ *           type: string
+ *           example: "Hope Kitchen claimed 2 kg of your Bread."
+ *         listingId:
+ *           type: integer
+ *           nullable: true
+ *         claimId:
+ *           type: integer
+ *           nullable: true
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Null while unread
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     NotificationType:
+ *       type: string
+ *       enum: [listing_nearby, listing_claimed, pickup_scheduled, listing_cancelled, listing_expiring, need_matched, listing_matched, lottery_drawn]
+ *       description: >
+ *         * `listing_nearby` - (receivers) new food was listed nearby
+ *         * `listing_claimed` - (donors) a receiver claimed some of a listing
+ *         * `pickup_scheduled` - (donors) a receiver scheduled a pickup
+ *         * `listing_cancelled` - (receivers) a claimed listing was withdrawn; (donors) an admin closed a listing
+ *         * `listing_expiring` - (donors and receivers waiting for pickup) the food expires soon
+ *         * `need_matched` - (receivers) a new listing meets one of their needs
+ *         * `listing_matched` - (donors) receivers posted needs that a new listing meets
+ *         * `lottery_drawn` - (receivers) the lottery of a listing they entered was drawn
+ *
+ *     UnreadCounts:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         byType:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *       example:
+ *         total: 3
+ *         byType:
+ *           listing_nearby: 2
+ *           listing_claimed: 0
+ *           pickup_scheduled: 1
+ *           listing_cancelled: 0
+ *           listing_expiring: 0
+ *           need_matched: 0
+ *           listing_matched: 0
+ *           lottery_drawn: 0
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List the caller's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           $ref: '#/components/schemas/NotificationType'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first, with the caller's unread counts in meta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 meta:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PaginationMeta'
+ *                     - type: object
+ *                       properties:
+ *                         unread:
+ *                           $ref: '#/components/schemas/UnreadCounts'
+ *       400:
+ *         description: Invalid type, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const where = { userId: req.user.id };
+    if (req.query.type) {
+      if (!models.Notification.TYPES.includes(req.query.type)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', TYPE_ERROR);
+      }
+      where.type = req.query.type;
+    }
+    if (req.query.unread === 'true') {
+      where.readAt = { [Op.is]: null };
+    }
+
+    const [{ rows, count }, unread] = await Promise.all([
+      models.Notification.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: page.limit,
+        offset: page.offset
+      }),
+      models.Notification.unreadCounts(req.user.id)
+    ]);
+
+    sendData(res, rows, { meta: { ...pageMeta(page, count), unread } });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching notifications');
+  }
+});
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the caller's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 $ref: '#/components/schemas/NotificationType'
+ *                 description: Only mark notifications of this type
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: integer
+ *                       description: How many notifications were unread
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     unread:
+ *                       $ref: '#/components/schemas/UnreadCounts'
+ *       400:
+ *         description: Invalid type (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/read-all', auth, async (req, res) => {
+  try {
+    const where = { userId: req.user.id, readAt: { [Op.is]: null } };
+    const { type } = req.body;
+    if (type !== undefined) {
+      if (!models.Notification.TYPES.includes(type)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', TYPE_ERROR);
+      }
+      where.type = type;
+    }
+
+    const [updated] = await models.Notification.update({ readAt: new Date() }, { where });
+    const unread = await models.Notification.unreadCounts(req.user.id);
+
+    sendData(res, { updated }, { meta: { unread } });
+  } catch (error) {
+    sendFailure(res, error, 'Error marking notifications as read');
+  }
+});
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: Mark one notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read (marking it again keeps the first readAt)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     unread:
+ *                       $ref: '#/components/schemas/UnreadCounts'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found, or not the caller's
+ */
+router.patch('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await models.Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!notification) {
+      return sendError(res, 404, 'NOT_FOUND', 'Notification not found');
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+    const unread = await models.Notification.unreadCounts(req.user.id);
+
+    sendData(res, notification, { meta: { unread } });
+  } catch (error) {
+    sendFailure(res, error, 'Error marking notification as read');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,78 @@
 const express = require('express');
+const { Transaction } = require('sequelize');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
-const { models } = require('../models/index');
+const { auth, requireUserType } = require('../middleware/auth');
+const { documentUpload, extensionOf } = require('../middleware/upload');
+const { models, sequelize } = require('../models/index');
+const { putFile, removeFile } = require('../storage');
+const { totalQuantities, formatQuantity } = require('../utils/quantity');
+const { validateCoordinates } = require('../utils/geo');
+const { ROAD_DISTANCE_FACTOR, planRoute } = require('../utils/routePlanner');
+const { parsePageQuery, pageMeta, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+const { ApiError } = require('../utils/errors');
+
+// Verification requests take SQLite's write lock up front, so a receiver
+// cannot get two requests into the queue at once
+const WRITE_LOCK = { type: Transaction.TYPES.IMMEDIATE };
+
+// Statuses where a receiver holds food but the handover is not finished yet
+const IN_PROGRESS_STATUSES = ['reserved', 'pickup_scheduled', 'picked_up'];
+
+// Claims whose food has actually changed hands
+const HANDED_OVER_STATUSES = ['picked_up', 'completed'];
+
+// Claims still waiting to be collected, which a collection run can take in
+const PLANNABLE_CLAIM_STATUSES = ['reserved', 'pickup_scheduled'];
+
+// Most stops in one planned collection run
+const MAX_ROUTE_STOPS = 25;
+
+// Assumed average driving speed, and time spent loading at each stop
+const ROUTE_SPEED_KMH = Number(process.env.ROUTE_AVERAGE_SPEED_KMH) || 30;
+const ROUTE_STOP_MINUTES = Number(process.env.ROUTE_STOP_MINUTES) || 10;
+
+// How long after a scheduled pickup time the donor is expected to wait
+const SCHEDULED_PICKUP_SLACK_MINUTES = 30;
+
+/**
+ * Includes for the listings a receiver has claimed from: their own claims
+ * (narrowed down by `claimWhere`) and the donor's contact details.
+ */
+const claimedListingsInclude = (receiverId, claimWhere = {}) => [{
+  model: models.Claim,
+  as: 'claims',
+  where: { ...claimWhere, receiverId },
+  required: true
+}, {
+  model: models.User,
+  as: 'donor',
+  attributes: ['id', 'name', 'organization', 'email', 'phone', 'location'],
+  required: true
+}, models.ListingPhoto.includeOnListing()];
+
+/**
+ * Validate the optional notificationPreferences of a profile update:
+ * an object mapping notification types to true or false.
+ * Returns an error message, or null.
+ */
+const validateNotificationPreferences = (preferences) => {
+  if (preferences === undefined) {
+    return null;
+  }
+  if (preferences === null || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return 'notificationPreferences must be an object of notification types to true or false';
+  }
+  for (const [type, enabled] of Object.entries(preferences)) {
+    if (!models.Notification.TYPES.includes(type)) {
+      return `Unknown notification type "${type}"; use one of: ${models.Notification.TYPES.join(', ')}`;
+    }
+    if (typeof enabled !== 'boolean') {
+      return `notificationPreferences.${type} must be true or false`;
+    }
+  }
+  return null;
+};
 
 /**
  * @swagger
@@ -28,17 +99,33 @@ const { models } = require('../models/index');
  *           description: The user's email address
  *         userType:
  *           type: string
- *           enum: [donor, receiver]
+ *           enum: [donor, receiver, volunteer]
  *           description: The type of user
  *         organization:
  *           type: string
  *           description: Organization name
  *         location:
  *           type: string
- *           description: User's location
+ *           description: User's address
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
  *         phone:
  *           type: string
  *           description: User's phone number
+ *         organizationVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When an admin verified the receiver's organization; receivers can only claim once verified
+ *         notificationPreferences:
+ *           $ref: '#/components/schemas/NotificationPreferences'
+ *         organizationVerification:
+ *           nullable: true
+ *           description: The receiver's latest verification request (receivers only)
+ *           allOf:
+ *             - $ref: '#/components/schemas/OrganizationVerification'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -57,6 +144,86 @@ const { models } = require('../models/index');
  *         phone: "+27 123 456 789"
  *         createdAt: "2024-01-15T10:30:00.000Z"
  *         updatedAt: "2024-01-15T10:30:00.000Z"
+ *
+ *     NotificationPreferences:
+ *       type: object
+ *       description: >
+ *         Which notification types the user gets. Every type is on unless turned off;
+ *         a profile update only changes the types it sends.
+ *       additionalProperties:
+ *         type: boolean
+ *       example:
+ *         listing_nearby: true
+ *         listing_claimed: true
+ *         pickup_scheduled: true
+ *         listing_cancelled: true
+ *         listing_expiring: false
+ *
+ *     QuantityTotals:
+ *       type: object
+ *       properties:
+ *         byUnit:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           description: Total amount per quantity unit
+ *         estimatedMeals:
+ *           type: integer
+ *           description: Total estimated meal equivalent
+ *       example:
+ *         byUnit:
+ *           kg: 120
+ *           crates: 4
+ *         estimatedMeals: 364
+ *
+ *     OrganizationVerification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         organizationName:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *           description: NPO registration number
+ *         address:
+ *           type: string
+ *         contactPerson:
+ *           type: string
+ *         contactPhone:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         documents:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrganizationDocument'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the request was submitted
+ *
+ *     OrganizationDocument:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fileName:
+ *           type: string
+ *         contentType:
+ *           type: string
+ *           enum: [application/pdf, image/jpeg, image/png]
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
  */
 
 /**
@@ -74,13 +241,23 @@ const { models } = require('../models/index');
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Profile'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Profile'
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
  *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
- *               message: "Access denied. No token provided."
+ *               data: null
+ *               meta: null
+ *               error:
+ *                 code: UNAUTHENTICATED
+ *                 message: "Access denied. No token provided."
+ *                 details: null
  *       500:
  *         description: Internal server error
  */
@@ -89,9 +266,17 @@ router.get('/', auth, async (req, res) => {
     // req.user is set by the auth middleware
     const userResponse = { ...req.user.toJSON() };
     delete userResponse.password;
-    res.json(userResponse);
+
+    if (req.user.userType === 'receiver') {
+      userResponse.organizationVerification = await models.OrganizationVerification.findOne({
+        where: { userId: req.user.id },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']]
+      });
+    }
+
+    sendData(res, userResponse);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendFailure(res, error, 'Error fetching profile');
   }
 });
 
@@ -117,22 +302,39 @@ router.get('/', auth, async (req, res) => {
  *                 type: string
  *               location:
  *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
  *               phone:
  *                 type: string
+ *               notificationPreferences:
+ *                 $ref: '#/components/schemas/NotificationPreferences'
  *             example:
  *               name: "Jane Smith"
  *               organization: "Hope Kitchen"
  *               location: "Johannesburg"
+ *               latitude: -26.2041
+ *               longitude: 28.0473
  *               phone: "+27 987 654 321"
+ *               notificationPreferences:
+ *                 listing_nearby: false
  *     responses:
  *       200:
  *         description: Profile updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Profile'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Profile'
  *       400:
  *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized
  *       500:
@@ -140,22 +342,198 @@ router.get('/', auth, async (req, res) => {
  */
 router.put('/', auth, async (req, res) => {
   try {
-    const { name, organization, location, phone } = req.body;
+    const { name, organization, location, latitude, longitude, phone, notificationPreferences } = req.body;
+
+    const validationError = validateCoordinates(latitude, longitude)
+      || validateNotificationPreferences(notificationPreferences);
+    if (validationError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', validationError);
+    }
+    const hasCoordinates = latitude !== undefined && latitude !== null && latitude !== '';
     
     // Update allowed fields only
     const updatedUser = await req.user.update({
       name: name || req.user.name,
       organization: organization || req.user.organization,
       location: location || req.user.location,
-      phone: phone || req.user.phone
+      latitude: hasCoordinates ? Number(latitude) : req.user.latitude,
+      longitude: hasCoordinates ? Number(longitude) : req.user.longitude,
+      phone: phone || req.user.phone,
+      // Types left out keep their current setting
+      notificationPreferences: { ...req.user.notificationPreferences, ...notificationPreferences }
     });
 
     const userResponse = { ...updatedUser.toJSON() };
     delete userResponse.password;
     
-    res.json(userResponse);
+    sendData(res, userResponse);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating profile');
+  }
+});
+
+/**
+ * @swagger
+ * /profile/verification:
+ *   post:
+ *     summary: Submit the receiver's organization for verification
+ *     description: >
+ *       Receivers can only claim food once an admin has checked their organization.
+ *       Send the organization details with 1 to 5 supporting documents (PDF, JPEG or PNG,
+ *       e.g. the NPO registration certificate). The request waits in the admin queue;
+ *       after a rejection a corrected request can be submitted.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - registrationNumber
+ *               - contactPerson
+ *               - documents
+ *             properties:
+ *               organizationName:
+ *                 type: string
+ *                 description: Defaults to the organization on the profile
+ *               registrationNumber:
+ *                 type: string
+ *                 example: "123-456 NPO"
+ *               address:
+ *                 type: string
+ *                 description: Defaults to the location on the profile
+ *               contactPerson:
+ *                 type: string
+ *               contactPhone:
+ *                 type: string
+ *                 description: Defaults to the phone number on the profile
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Request submitted and waiting for review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OrganizationVerification'
+ *       400:
+ *         description: Missing details, no documents, or a file that is too large or of the wrong type (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a receiver (FORBIDDEN)
+ *       409:
+ *         description: The organization is already verified, or a request is already waiting for review (CONFLICT)
+ */
+router.post('/verification', auth, requireUserType(['receiver']), documentUpload, async (req, res) => {
+  let storedKeys = [];
+
+  try {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const details = {
+      organizationName: text(req.body.organizationName) || req.user.organization,
+      registrationNumber: text(req.body.registrationNumber),
+      address: text(req.body.address) || req.user.location,
+      contactPerson: text(req.body.contactPerson),
+      contactPhone: text(req.body.contactPhone) || req.user.phone || null
+    };
+
+    const missing = ['organizationName', 'registrationNumber', 'address', 'contactPerson']
+      .filter(field => !details[field]);
+    if (missing.length) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Missing required fields: ${missing.join(', ')}`, { fields: missing });
+    }
+    if (req.files.length === 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR',
+        'Upload at least one supporting document, such as your NPO registration certificate', { field: 'documents' });
+    }
+    if (req.user.isOrganizationVerified()) {
+      return sendError(res, 409, 'CONFLICT', 'Your organization is already verified');
+    }
+
+    // Files are stored first and removed again if the request is not saved
+    for (const file of req.files) {
+      storedKeys.push(await putFile('organization-documents', file.buffer, {
+        extension: extensionOf(file),
+        contentType: file.mimetype
+      }));
+    }
+
+    const verification = await sequelize.transaction(WRITE_LOCK, async (transaction) => {
+      const pending = await models.OrganizationVerification.findOne({
+        where: { userId: req.user.id, status: 'pending' },
+        transaction
+      });
+      if (pending) {
+        throw new ApiError(409, 'CONFLICT', 'You already have a verification request waiting for review',
+          { verificationId: pending.id });
+      }
+
+      const verification = await models.OrganizationVerification.create({ ...details, userId: req.user.id }, { transaction });
+      await models.OrganizationDocument.bulkCreate(req.files.map((file, index) => ({
+        verificationId: verification.id,
+        storageKey: storedKeys[index],
+        fileName: file.originalname,
+        contentType: file.mimetype,
+        size: file.size
+      })), { transaction });
+      return verification;
+    });
+    storedKeys = [];
+
+    await verification.reload({ include: [{ model: models.OrganizationDocument, as: 'documents' }] });
+    sendData(res, verification, { status: 201 });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    await Promise.all(storedKeys.map(key => removeFile(key).catch(() => {})));
+    sendFailure(res, error, 'Error submitting organization verification');
+  }
+});
+
+/**
+ * @swagger
+ * /profile/verification:
+ *   get:
+ *     summary: Get the receiver's latest organization verification request
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The latest request, with its status and documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OrganizationVerification'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No request submitted yet
+ */
+router.get('/verification', auth, async (req, res) => {
+  try {
+    const verification = await models.OrganizationVerification.findOne({
+      where: { userId: req.user.id },
+      include: [{ model: models.OrganizationDocument, as: 'documents' }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+    if (!verification) {
+      return sendError(res, 404, 'NOT_FOUND', 'No organization verification request submitted yet');
+    }
+    sendData(res, verification);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching organization verification');
   }
 });
 
@@ -164,19 +542,32 @@ router.put('/', auth, async (req, res) => {
  * /profile/listings:
  *   get:
  *     summary: Get user's food listings
- *     description: Retrieve all listings associated with the authenticated user (donations if donor, claims if receiver)
+ *     description: >
+ *       Retrieve all listings associated with the authenticated user. Donors get their
+ *       donations with every claim made against them; receivers get the listings they
+ *       have claimed from, with their own claims.
  *     tags: [Profile]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
  *     responses:
  *       200:
  *         description: List of user's listings
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Listing'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listing'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid page or limit
  *       401:
  *         description: Unauthorized
  *       500:
@@ -184,42 +575,350 @@ router.put('/', auth, async (req, res) => {
  */
 router.get('/listings', auth, async (req, res) => {
   try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR',
+        `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
     let listings;
     let includeOptions = [];
     
     if (req.user.userType === 'donor') {
-      // Donors see their created listings with receiver info
+      // Donors see their created listings with every claim and its receiver
       includeOptions = [{
-        model: models.User,
-        as: 'receiver',
-        attributes: ['id', 'name', 'organization', 'email', 'phone'],
-        required: false
-      }];
+        model: models.Claim,
+        as: 'claims',
+        required: false,
+        include: [{
+          model: models.User,
+          as: 'receiver',
+          attributes: ['id', 'name', 'organization', 'email', 'phone']
+        }]
+      }, models.ListingPhoto.includeOnListing()];
       
-      listings = await models.Listing.findAll({ 
+      listings = await models.Listing.findAndCountAll({ 
         where: { userId: req.user.id },
         include: includeOptions,
-        order: [['createdAt', 'DESC']]
+        order: [['createdAt', 'DESC']],
+        limit: page.limit,
+        offset: page.offset,
+        distinct: true
       });
     } else {
-      // Receivers see listings they've claimed with donor info
-      includeOptions = [{
-        model: models.User,
-        as: 'donor',
-        attributes: ['id', 'name', 'organization', 'email', 'phone', 'location'],
-        required: true
-      }];
+      // Receivers see listings they've claimed from, with their claims and donor info
+      includeOptions = claimedListingsInclude(req.user.id);
       
-      listings = await models.Listing.findAll({ 
-        where: { claimedBy: req.user.id },
+      listings = await models.Listing.findAndCountAll({ 
         include: includeOptions,
-        order: [['createdAt', 'DESC']]
+        order: [['createdAt', 'DESC']],
+        limit: page.limit,
+        offset: page.offset,
+        distinct: true
       });
     }
     
-    res.json(listings);
+    sendData(res, listings.rows, { meta: pageMeta(page, listings.count) });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendFailure(res, error, 'Error fetching listings');
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RouteStop:
+ *       type: object
+ *       properties:
+ *         sequence:
+ *           type: integer
+ *           description: Position in the run, first stop = 1
+ *         listingId:
+ *           type: integer
+ *         claimIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         foodType:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *           description: The claimed amount to collect, e.g. "2 kg"
+ *         location:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         donor:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         pickupWindows:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PickupWindow'
+ *         pickupScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The earliest pickup time scheduled for these claims, which the plan keeps to
+ *         distanceKm:
+ *           type: number
+ *           description: Estimated road distance from the previous stop (or the start)
+ *         arrivalAt:
+ *           type: string
+ *           format: date-time
+ *         pickupAt:
+ *           type: string
+ *           format: date-time
+ *           description: When loading starts, after waiting for the pickup window to open
+ *         waitMinutes:
+ *           type: integer
+ *         departureAt:
+ *           type: string
+ *           format: date-time
+ *         withinWindow:
+ *           type: boolean
+ *           description: False when the stop is only reached after its last window (or scheduled time) has passed
+ */
+
+/**
+ * @swagger
+ * /profile/route-plan:
+ *   get:
+ *     summary: Plan a collection run past the receiver's claimed listings
+ *     description: >
+ *       Orders the pickups of the receiver's claims that are still waiting to be collected
+ *       (the claimed listings of /profile/listings), respecting the donors' pickup windows and
+ *       scheduled pickup times. Planned offline with a nearest-neighbour route improved by 2-opt
+ *       over the stored coordinates: distances are straight lines times a road factor, times
+ *       assume an average speed and a fixed time at each stop. Listings without coordinates are
+ *       returned as unroutable.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Start latitude; defaults to the receiver's profile coordinates
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Start longitude; defaults to the receiver's profile coordinates
+ *       - in: query
+ *         name: departAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: When the run starts (default now)
+ *       - in: query
+ *         name: returnToStart
+ *         schema:
+ *           type: boolean
+ *         description: Include the drive back to the start
+ *       - in: query
+ *         name: claimIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated claim ids to plan for, instead of every claim waiting to be collected
+ *     responses:
+ *       200:
+ *         description: The planned run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: object
+ *                       properties:
+ *                         latitude:
+ *                           type: number
+ *                         longitude:
+ *                           type: number
+ *                     departAt:
+ *                       type: string
+ *                       format: date-time
+ *                     finishAt:
+ *                       type: string
+ *                       format: date-time
+ *                     totalDistanceKm:
+ *                       type: number
+ *                     totalDurationMinutes:
+ *                       type: integer
+ *                     missedWindows:
+ *                       type: integer
+ *                       description: Stops that cannot be reached within their pickup windows
+ *                     stops:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RouteStop'
+ *                     returnLeg:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         distanceKm:
+ *                           type: number
+ *                         arrivalAt:
+ *                           type: string
+ *                           format: date-time
+ *                     unroutable:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           listingId:
+ *                             type: integer
+ *                           claimIds:
+ *                             type: array
+ *                             items:
+ *                               type: integer
+ *                           location:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                     assumptions:
+ *                       type: object
+ *                       properties:
+ *                         averageSpeedKmh:
+ *                           type: number
+ *                         stopMinutes:
+ *                           type: number
+ *                         roadDistanceFactor:
+ *                           type: number
+ *       400:
+ *         description: >
+ *           No start coordinates, or invalid lat/lng, departAt or claimIds, or more than 25 stops
+ *           (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a receiver (FORBIDDEN)
+ */
+router.get('/route-plan', auth, requireUserType(['receiver']), async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+    const coordinatesError = validateCoordinates(lat, lng);
+    if (coordinatesError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', coordinatesError);
+    }
+    const start = lat !== undefined
+      ? { latitude: Number(lat), longitude: Number(lng) }
+      : { latitude: req.user.latitude, longitude: req.user.longitude };
+    if (start.latitude == null || start.longitude == null) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'lat and lng are required when your profile has no coordinates');
+    }
+
+    const departAt = req.query.departAt ? new Date(req.query.departAt) : new Date();
+    if (isNaN(departAt.getTime())) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'departAt must be a valid date');
+    }
+
+    const claimWhere = { status: PLANNABLE_CLAIM_STATUSES };
+    if (req.query.claimIds) {
+      const claimIds = String(req.query.claimIds).split(',').map(Number);
+      if (!claimIds.every(id => Number.isInteger(id) && id > 0)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'claimIds must be a comma-separated list of claim ids');
+      }
+      claimWhere.id = claimIds;
+    }
+
+    const listings = await models.Listing.findAll({
+      include: claimedListingsInclude(req.user.id, claimWhere),
+      order: [['id', 'ASC']]
+    });
+
+    // One stop per listing, even when the receiver claimed from it twice
+    const stops = [];
+    const unroutable = [];
+    for (const listing of listings) {
+      const claimIds = listing.claims.map(claim => claim.id);
+      if (listing.latitude == null || listing.longitude == null) {
+        unroutable.push({ listingId: listing.id, claimIds, location: listing.location, reason: 'The listing has no coordinates' });
+        continue;
+      }
+
+      const scheduled = listing.claims
+        .map(claim => claim.pickupScheduledFor)
+        .filter(Boolean)
+        .map(time => new Date(time).getTime());
+      const scheduledFor = scheduled.length ? Math.min(...scheduled) : null;
+      // A scheduled pickup replaces the donor's windows
+      const windows = scheduledFor !== null
+        ? [{ start: scheduledFor, end: scheduledFor + SCHEDULED_PICKUP_SLACK_MINUTES * 60 * 1000 }]
+        : listing.pickupWindows.map(({ start, end }) => ({ start: new Date(start).getTime(), end: new Date(end).getTime() }));
+
+      const claimed = listing.claims.reduce((total, claim) => total + (claim.quantityAmount || 0), 0);
+      stops.push({
+        listing,
+        claimIds,
+        scheduledFor,
+        quantity: listing.quantityAmount != null ? formatQuantity(claimed, listing.quantityUnit) : listing.quantity,
+        latitude: listing.latitude,
+        longitude: listing.longitude,
+        windows
+      });
+    }
+    if (stops.length > MAX_ROUTE_STOPS) {
+      return sendError(res, 400, 'VALIDATION_ERROR',
+        `A run can have at most ${MAX_ROUTE_STOPS} stops; choose the claims to plan for with claimIds`);
+    }
+
+    const plan = planRoute(start, stops, {
+      departAt,
+      speedKmh: ROUTE_SPEED_KMH,
+      stopMinutes: ROUTE_STOP_MINUTES,
+      returnToStart: req.query.returnToStart === 'true'
+    });
+
+    const km = value => Math.round(value * 100) / 100;
+    const at = ms => new Date(ms).toISOString();
+
+    sendData(res, {
+      start,
+      departAt: departAt.toISOString(),
+      finishAt: at(plan.finish),
+      totalDistanceKm: km(plan.distanceKm),
+      totalDurationMinutes: Math.round((plan.finish - departAt.getTime()) / 60000),
+      missedWindows: plan.missed,
+      stops: plan.legs.map((leg, position) => {
+        const { listing, claimIds, scheduledFor, quantity } = stops[leg.index];
+        return {
+          sequence: position + 1,
+          listingId: listing.id,
+          claimIds,
+          foodType: listing.foodType,
+          quantity,
+          location: listing.location,
+          latitude: listing.latitude,
+          longitude: listing.longitude,
+          donor: listing.donor,
+          pickupWindows: listing.pickupWindows,
+          pickupScheduledFor: scheduledFor !== null ? at(scheduledFor) : null,
+          distanceKm: km(leg.legKm),
+          arrivalAt: at(leg.arrival),
+          pickupAt: at(leg.pickupAt),
+          waitMinutes: Math.round((leg.pickupAt - leg.arrival) / 60000),
+          departureAt: at(leg.departure),
+          withinWindow: leg.withinWindow
+        };
+      }),
+      returnLeg: plan.returnLeg ? { distanceKm: km(plan.returnLeg.legKm), arrivalAt: at(plan.returnLeg.arrival) } : null,
+      unroutable,
+      assumptions: {
+        averageSpeedKmh: ROUTE_SPEED_KMH,
+        stopMinutes: ROUTE_STOP_MINUTES,
+        roadDistanceFactor: ROAD_DISTANCE_FACTOR
+      }
+    });
+  } catch (error) {
+    sendFailure(res, error, 'Error planning route');
   }
 });
 
@@ -240,24 +939,54 @@ router.get('/listings', auth, async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
- *                 totalListings:
- *                   type: integer
- *                   description: Total number of listings
- *                 availableListings:
- *                   type: integer
- *                   description: Number of available listings (for donors)
- *                 claimedListings:
- *                   type: integer
- *                   description: Number of claimed listings
- *                 completedListings:
- *                   type: integer
- *                   description: Number of completed listings
- *                 totalDonations:
- *                   type: integer
- *                   description: Estimated total quantity donated (for donors)
- *                 totalReceived:
- *                   type: integer
- *                   description: Estimated total quantity received (for receivers)
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalListings:
+ *                       type: integer
+ *                       description: Total number of listings
+ *                     availableListings:
+ *                       type: integer
+ *                       description: Number of available listings (for donors)
+ *                     claimedListings:
+ *                       type: integer
+ *                       description: Number of fully claimed listings not yet completed (for donors)
+ *                     completedListings:
+ *                       type: integer
+ *                       description: Number of completed listings
+ *                     cancelledListings:
+ *                       type: integer
+ *                       description: Number of cancelled listings (for donors)
+ *                     expiredListings:
+ *                       type: integer
+ *                       description: Number of expired listings (for donors)
+ *                     totalClaims:
+ *                       type: integer
+ *                       description: Number of claims made (for receivers)
+ *                     activeClaims:
+ *                       type: integer
+ *                       description: Claims reserved, scheduled for pickup or picked up (for receivers)
+ *                     completedClaims:
+ *                       type: integer
+ *                       description: Number of completed claims (for receivers)
+ *                     totalDonations:
+ *                       $ref: '#/components/schemas/QuantityTotals'
+ *                     totalReceived:
+ *                       $ref: '#/components/schemas/QuantityTotals'
+ *                     totalJobs:
+ *                       type: integer
+ *                       description: Delivery jobs accepted and not handed back (for volunteers)
+ *                     activeJobs:
+ *                       type: integer
+ *                       description: Jobs assigned or en route (for volunteers)
+ *                     deliveredJobs:
+ *                       type: integer
+ *                       description: Jobs delivered (for volunteers)
+ *                     totalDelivered:
+ *                       $ref: '#/components/schemas/QuantityTotals'
+ *                     mealsServed:
+ *                       type: integer
+ *                       description: Estimated meals from completed claims
  *       401:
  *         description: Unauthorized
  *       500:
@@ -269,39 +998,56 @@ router.get('/stats', auth, async (req, res) => {
     
     if (req.user.userType === 'donor') {
       const listings = await models.Listing.findAll({ 
-        where: { userId: req.user.id }
+        where: { userId: req.user.id },
+        include: [{ model: models.Claim, as: 'claims' }]
       });
+      const claims = listings.flatMap(listing => listing.claims.map(claim => {
+        claim.listing = listing;
+        return claim;
+      }));
       
       stats = {
         totalListings: listings.length,
         availableListings: listings.filter(l => l.status === 'available').length,
-        claimedListings: listings.filter(l => l.status === 'claimed').length,
+        claimedListings: listings.filter(l => IN_PROGRESS_STATUSES.includes(l.status)).length,
         completedListings: listings.filter(l => l.status === 'completed').length,
-        totalDonations: listings.reduce((total, listing) => {
-          // Simple estimation - you might want to parse the quantity string
-          const quantity = parseInt(listing.quantity) || 0;
-          return total + quantity;
-        }, 0)
+        cancelledListings: listings.filter(l => l.status === 'cancelled').length,
+        expiredListings: listings.filter(l => l.status === 'expired').length,
+        // Only food that was actually handed over counts as donated
+        totalDonations: totalQuantities(claims.filter(c => HANDED_OVER_STATUSES.includes(c.status))),
+        mealsServed: totalQuantities(claims.filter(c => c.status === 'completed')).estimatedMeals
+      };
+    } else if (req.user.userType === 'volunteer') {
+      const jobs = await models.DeliveryJob.findAll({
+        where: { volunteerId: req.user.id },
+        include: [{ model: models.Claim, as: 'claim', include: [{ model: models.Listing, as: 'listing' }] }]
+      });
+      const delivered = jobs.filter(job => job.status === 'delivered');
+
+      stats = {
+        totalJobs: jobs.length,
+        activeJobs: jobs.filter(job => ['assigned', 'en_route'].includes(job.status)).length,
+        deliveredJobs: delivered.length,
+        totalDelivered: totalQuantities(delivered.map(job => job.claim))
       };
     } else {
-      const listings = await models.Listing.findAll({ 
-        where: { claimedBy: req.user.id }
+      const claims = await models.Claim.findAll({ 
+        where: { receiverId: req.user.id },
+        include: [{ model: models.Listing, as: 'listing' }]
       });
       
       stats = {
-        totalClaims: listings.length,
-        activeClaims: listings.filter(l => l.status === 'claimed').length,
-        completedClaims: listings.filter(l => l.status === 'completed').length,
-        totalReceived: listings.reduce((total, listing) => {
-          const quantity = parseInt(listing.quantity) || 0;
-          return total + quantity;
-        }, 0)
+        totalClaims: claims.length,
+        activeClaims: claims.filter(c => IN_PROGRESS_STATUSES.includes(c.status)).length,
+        completedClaims: claims.filter(c => c.status === 'completed').length,
+        totalReceived: totalQuantities(claims.filter(c => HANDED_OVER_STATUSES.includes(c.status))),
+        mealsServed: totalQuantities(claims.filter(c => c.status === 'completed')).estimatedMeals
       };
     }
     
-    res.json(stats);
+    sendData(res, stats);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendFailure(res, error, 'Error fetching statistics');
   }
 });
 
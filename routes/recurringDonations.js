@@ -0,0 +1,715 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requireUserType, requireVerifiedEmail, requireOwnership } = require('../middleware/auth');
+const { models } = require('../models/index');
+const { ApiError } = require('../utils/errors');
+const {
+  DEFAULT_TIMEZONE, TIME_OF_DAY, isTimeZone, parseRecurrence, parseDateOnly, todayIn
+} = require('../utils/recurrence');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+
+// How many upcoming occurrences can be looked at in one request
+const DEFAULT_UPCOMING = 10;
+const MAX_UPCOMING = 50;
+
+// How far from today a schedule may start, either way
+const MAX_START_OFFSET_DAYS = 366;
+
+const templateInclude = () => ({ model: models.ListingTemplate, as: 'template' });
+
+/**
+ * Build the schedule ({ rrule, time, timezone, startsOn }) from a request
+ * body, on top of `current` when changing an existing one.
+ * Returns { schedule } or { error } with a message.
+ */
+const parseSchedule = (body, current = {}) => {
+  const schedule = { ...current };
+
+  if (!current.rrule || ['frequency', 'days', 'interval', 'rrule'].some(field => body[field] !== undefined)) {
+    const recurrence = parseRecurrence(body);
+    if (recurrence.error) {
+      return { error: recurrence.error };
+    }
+    schedule.rrule = recurrence.rrule;
+  }
+  if (!current.time || body.time !== undefined) {
+    if (!TIME_OF_DAY.test(body.time)) {
+      return { error: 'time must be a local time of day such as "18:30"' };
+    }
+    schedule.time = body.time;
+  }
+  if (body.timezone !== undefined) {
+    if (!isTimeZone(body.timezone)) {
+      return { error: 'timezone must be an IANA time zone such as "Africa/Johannesburg"' };
+    }
+    schedule.timezone = body.timezone;
+  } else if (!current.timezone) {
+    schedule.timezone = DEFAULT_TIMEZONE;
+  }
+  if (body.startsOn !== undefined) {
+    const startsOn = parseDateOnly(body.startsOn);
+    if (startsOn == null) {
+      return { error: 'startsOn must be a date such as "2026-11-02"' };
+    }
+    if (Math.abs(startsOn - parseDateOnly(todayIn(schedule.timezone))) > MAX_START_OFFSET_DAYS) {
+      return { error: `startsOn must be within ${MAX_START_OFFSET_DAYS} days of today` };
+    }
+    schedule.startsOn = body.startsOn;
+  } else if (!current.startsOn) {
+    schedule.startsOn = todayIn(schedule.timezone);
+  }
+
+  return { schedule };
+};
+
+/**
+ * Parse the `occurrence` of a skip or unskip request and check it is a
+ * future occurrence of `donation`. Throws ApiError when it is not.
+ */
+const parseOccurrence = (donation, value, now = new Date()) => {
+  const time = new Date(value);
+  if (typeof value !== 'string' || isNaN(time.getTime())) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'occurrence must be a date-time from GET /recurring-donations/{id}/upcoming');
+  }
+  const [match] = donation.upcoming(1, new Date(time.getTime() - 1));
+  if (time <= now || !match || match.getTime() !== time.getTime()) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${value} is not an upcoming occurrence of this recurring donation`);
+  }
+  return time;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recurring Donations
+ *   description: >
+ *     Schedules that publish a listing from a template on a recurrence rule: daily,
+ *     on weekdays, weekly on given days, or an iCalendar RRULE with FREQ (DAILY or WEEKLY),
+ *     INTERVAL, BYDAY, COUNT and UNTIL. An occurrence missed by more than an hour,
+ *     e.g. during downtime, is passed over rather than listed late.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringDonation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         templateId:
+ *           type: integer
+ *         rrule:
+ *           type: string
+ *           example: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+ *         time:
+ *           type: string
+ *           example: "18:30"
+ *           description: Local time of day the listing is published
+ *         timezone:
+ *           type: string
+ *           example: "Africa/Johannesburg"
+ *         startsOn:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [active, paused, ended]
+ *         skippedOccurrences:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date-time
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The next occurrence that will be published; null unless active
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         template:
+ *           $ref: '#/components/schemas/ListingTemplate'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     RecurrenceFields:
+ *       type: object
+ *       description: Send either rrule, or frequency (with days for weekly)
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekdays, weekly]
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MO, TU, WE, TH, FR, SA, SU]
+ *           description: Days of the week for a weekly frequency
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           description: Every this many days or weeks (default 1)
+ *         rrule:
+ *           type: string
+ *           example: "FREQ=WEEKLY;INTERVAL=2;BYDAY=SA;COUNT=10"
+ *         time:
+ *           type: string
+ *           example: "18:30"
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone, by default Africa/Johannesburg
+ *         startsOn:
+ *           type: string
+ *           format: date
+ *           description: First day of the schedule, by default today; at most a year from today either way
+ *
+ *     UpcomingOccurrence:
+ *       type: object
+ *       properties:
+ *         occurrence:
+ *           type: string
+ *           format: date-time
+ *         skipped:
+ *           type: boolean
+ *         willPublish:
+ *           type: boolean
+ *           description: False when skipped or the schedule is paused
+ *         listing:
+ *           type: object
+ *           description: The listing that would be published, as the template stands now
+ */
+
+/**
+ * @swagger
+ * /recurring-donations:
+ *   post:
+ *     summary: Publish a listing template on a schedule (donor only)
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurrenceFields'
+ *               - type: object
+ *                 required:
+ *                   - templateId
+ *                   - time
+ *                 properties:
+ *                   templateId:
+ *                     type: integer
+ *     responses:
+ *       201:
+ *         description: Schedule created; nextRunAt is its first occurrence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/RecurringDonation'
+ *       400:
+ *         description: Invalid recurrence, time, timezone or startsOn, or no occurrences left (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a donor, has not verified their email, or does not own the template
+ *       404:
+ *         description: Template not found
+ */
+router.post('/', auth, requireUserType(['donor']), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { templateId } = req.body;
+    if (!Number.isInteger(templateId)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'templateId must be a whole number');
+    }
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) {
+      return sendError(res, 400, 'VALIDATION_ERROR', error);
+    }
+
+    const template = await models.ListingTemplate.findByPk(templateId);
+    if (!template) {
+      return sendError(res, 404, 'NOT_FOUND', 'Template not found');
+    }
+    if (template.userId !== req.user.id) {
+      return sendError(res, 403, 'FORBIDDEN', 'Access denied. You do not own this template.');
+    }
+
+    const donation = models.RecurringDonation.build({ ...schedule, templateId, userId: req.user.id });
+    donation.scheduleNext();
+    if (donation.status === 'ended') {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'This schedule has no occurrences left');
+    }
+    await donation.save();
+
+    sendData(res, donation, { status: 201 });
+  } catch (error) {
+    sendFailure(res, error, 'Error creating recurring donation');
+  }
+});
+
+/**
+ * @swagger
+ * /recurring-donations:
+ *   get:
+ *     summary: List the caller's recurring donations (donor only)
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recurring donations with their templates, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecurringDonation'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not a donor
+ */
+router.get('/', auth, requireUserType(['donor']), async (req, res) => {
+  try {
+    const donations = await models.RecurringDonation.findAll({
+      where: { userId: req.user.id },
+      include: [templateInclude()],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    sendData(res, donations);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching recurring donations');
+  }
+});
+
+/**
+ * @swagger
+ * /recurring-donations/{id}:
+ *   get:
+ *     summary: Get one of the caller's recurring donations
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The recurring donation with its template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/RecurringDonation'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ */
+router.get('/:id', auth, requireOwnership('RecurringDonation'), async (req, res) => {
+  try {
+    const donation = await models.RecurringDonation.findByPk(req.resource.id, { include: [templateInclude()] });
+
+    sendData(res, donation);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching recurring donation');
+  }
+});
+
+/**
+ * @swagger
+ * /recurring-donations/{id}/upcoming:
+ *   get:
+ *     summary: The next occurrences of a recurring donation and the listings they would publish
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Upcoming occurrences, skipped ones included; none once the schedule has ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UpcomingOccurrence'
+ *       400:
+ *         description: Invalid limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ */
+router.get('/:id/upcoming', auth, requireOwnership('RecurringDonation'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? DEFAULT_UPCOMING : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_UPCOMING) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `limit must be a whole number between 1 and ${MAX_UPCOMING}`);
+    }
+
+    const donation = req.resource;
+    const template = await donation.getTemplate();
+    const occurrences = donation.status === 'ended' ? [] : donation.upcoming(limit);
+
+    sendData(res, occurrences.map((occurrence) => {
+      const skipped = donation.isSkipped(occurrence);
+      const { userId, ...listing } = template.toListingAttributes(occurrence);
+      return { occurrence, skipped, willPublish: donation.status === 'active' && !skipped, listing };
+    }));
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching upcoming occurrences');
+  }
+});
+
+/**
+ * @swagger
+ * /recurring-donations/{id}:
+ *   patch:
+ *     summary: Change the schedule of a recurring donation
+ *     description: The next occurrence is worked out again from now. Ended schedules cannot be changed.
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurrenceFields'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/RecurringDonation'
+ *       400:
+ *         description: No fields given, an invalid one, or no occurrences left (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ *       409:
+ *         description: The recurring donation has ended (INVALID_TRANSITION)
+ */
+router.patch('/:id', auth, requireOwnership('RecurringDonation'), async (req, res) => {
+  try {
+    const donation = req.resource;
+    const fields = ['frequency', 'days', 'interval', 'rrule', 'time', 'timezone', 'startsOn'];
+    if (!fields.some(field => req.body[field] !== undefined)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `Give at least one of: ${fields.join(', ')}`);
+    }
+    if (donation.status === 'ended') {
+      return sendError(res, 409, 'INVALID_TRANSITION', 'Cannot change a recurring donation that has ended');
+    }
+
+    const { rrule, time, timezone, startsOn } = donation;
+    const { schedule, error } = parseSchedule(req.body, { rrule, time, timezone, startsOn });
+    if (error) {
+      return sendError(res, 400, 'VALIDATION_ERROR', error);
+    }
+
+    donation.set(schedule);
+    if (donation.status === 'active') {
+      donation.scheduleNext();
+      if (donation.status === 'ended') {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'The changed schedule has no occurrences left');
+      }
+    }
+    await donation.save();
+
+    sendData(res, donation);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating recurring donation');
+  }
+});
+
+/**
+ * Route handler applying a status `action` to the recurring donation in
+ * req.resource (see RecurringDonation.TRANSITIONS).
+ */
+const transitionDonation = (action, errorMessage) => async (req, res) => {
+  try {
+    const donation = req.resource;
+    donation.transition(action, req.user);
+    await donation.save();
+
+    sendData(res, donation);
+  } catch (error) {
+    sendFailure(res, error, errorMessage);
+  }
+};
+
+/**
+ * @swagger
+ * /recurring-donations/{id}/pause:
+ *   patch:
+ *     summary: Pause a recurring donation
+ *     description: Nothing is published until it is resumed.
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring donation paused
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ *       409:
+ *         description: Not active (INVALID_TRANSITION)
+ */
+router.patch('/:id/pause', auth, requireOwnership('RecurringDonation'),
+  transitionDonation('pause', 'Error pausing recurring donation'));
+
+/**
+ * @swagger
+ * /recurring-donations/{id}/resume:
+ *   patch:
+ *     summary: Resume a paused recurring donation
+ *     description: Publishing picks up at the first occurrence after now; occurrences missed while paused are not published.
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring donation resumed, or ended when no occurrences are left
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ *       409:
+ *         description: Not paused (INVALID_TRANSITION)
+ */
+router.patch('/:id/resume', auth, requireOwnership('RecurringDonation'),
+  transitionDonation('resume', 'Error resuming recurring donation'));
+
+/**
+ * @swagger
+ * /recurring-donations/{id}/skip:
+ *   patch:
+ *     summary: Skip one upcoming occurrence of a recurring donation
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - occurrence
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: An occurrence as returned by GET /recurring-donations/{id}/upcoming
+ *     responses:
+ *       200:
+ *         description: Occurrence skipped; nextRunAt moves on if it was the next one
+ *       400:
+ *         description: Not an upcoming occurrence (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ *       409:
+ *         description: The recurring donation has ended (INVALID_TRANSITION)
+ */
+router.patch('/:id/skip', auth, requireOwnership('RecurringDonation'), async (req, res) => {
+  try {
+    const donation = req.resource;
+    if (donation.status === 'ended') {
+      return sendError(res, 409, 'INVALID_TRANSITION', 'Cannot skip an occurrence of a recurring donation that has ended');
+    }
+    const occurrence = parseOccurrence(donation, req.body.occurrence);
+
+    if (!donation.isSkipped(occurrence)) {
+      donation.skippedOccurrences = [...donation.skippedOccurrences, occurrence.toISOString()].sort();
+    }
+    if (donation.status === 'active') {
+      donation.scheduleNext();
+    }
+    await donation.save();
+
+    sendData(res, donation);
+  } catch (error) {
+    sendFailure(res, error, 'Error skipping occurrence');
+  }
+});
+
+/**
+ * @swagger
+ * /recurring-donations/{id}/unskip:
+ *   patch:
+ *     summary: Publish a skipped occurrence after all
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - occurrence
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Occurrence no longer skipped
+ *       400:
+ *         description: Not an upcoming occurrence (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ *       409:
+ *         description: The recurring donation has ended (INVALID_TRANSITION)
+ */
+router.patch('/:id/unskip', auth, requireOwnership('RecurringDonation'), async (req, res) => {
+  try {
+    const donation = req.resource;
+    if (donation.status === 'ended') {
+      return sendError(res, 409, 'INVALID_TRANSITION', 'Cannot change a recurring donation that has ended');
+    }
+    const occurrence = parseOccurrence(donation, req.body.occurrence).toISOString();
+
+    donation.skippedOccurrences = donation.skippedOccurrences.filter(time => time !== occurrence);
+    if (donation.status === 'active') {
+      donation.scheduleNext();
+    }
+    await donation.save();
+
+    sendData(res, donation);
+  } catch (error) {
+    sendFailure(res, error, 'Error unskipping occurrence');
+  }
+});
+
+/**
+ * @swagger
+ * /recurring-donations/{id}:
+ *   delete:
+ *     summary: Stop and delete a recurring donation
+ *     description: Listings it already published stay up.
+ *     tags: [Recurring Donations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring donation deleted; data is { id }
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's recurring donation
+ *       404:
+ *         description: Recurring donation not found
+ */
+router.delete('/:id', auth, requireOwnership('RecurringDonation'), async (req, res) => {
+  try {
+    await req.resource.destroy();
+
+    sendData(res, { id: req.resource.id });
+  } catch (error) {
+    sendFailure(res, error, 'Error deleting recurring donation');
+  }
+});
+
+module.exports = router;
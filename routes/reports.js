@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { models } = require('../models/index');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+
+// Model holding each kind of report target
+const TARGET_MODELS = {
+  listing: 'Listing',
+  user: 'User',
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Reporting listings and users to the moderators
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Report:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         reporterId:
+ *           type: integer
+ *         reporter:
+ *           $ref: '#/components/schemas/UserSummary'
+ *         targetType:
+ *           type: string
+ *           enum: [listing, user]
+ *         targetId:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *         details:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *         reviewedById:
+ *           type: integer
+ *           description: Id of the admin who reviewed the report
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         resolution:
+ *           type: string
+ *           description: The admin's notes on what was done
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /reports:
+ *   post:
+ *     summary: Report a listing or a user
+ *     description: >
+ *       Files a report for the admins to review, e.g. for unsafe food or abusive
+ *       behaviour. Only one open report per target is kept for each reporter.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetType
+ *               - targetId
+ *               - reason
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [listing, user]
+ *               targetId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 example: "Food was spoiled at pickup"
+ *               details:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Missing or invalid fields, or reporting yourself (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: The reported listing or user does not exist
+ *       409:
+ *         description: The caller already has an open report on this target (CONFLICT)
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    if (!TARGET_MODELS[targetType]) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `targetType must be one of: ${models.Report.TARGET_TYPES.join(', ')}`);
+    }
+    if (!Number.isInteger(targetId)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'targetId must be a whole number');
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'reason is required');
+    }
+    if (targetType === 'user' && targetId === req.user.id) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'You cannot report yourself');
+    }
+
+    const target = await models[TARGET_MODELS[targetType]].findByPk(targetId);
+    if (!target) {
+      return sendError(res, 404, 'NOT_FOUND', `The reported ${targetType} does not exist`);
+    }
+
+    const existing = await models.Report.findOne({
+      where: { reporterId: req.user.id, targetType, targetId, status: 'open' }
+    });
+    if (existing) {
+      return sendError(res, 409, 'CONFLICT', `You already have an open report on this ${targetType}`, { reportId: existing.id });
+    }
+
+    const report = await models.Report.create({
+      reporterId: req.user.id,
+      targetType,
+      targetId,
+      reason: reason.trim(),
+      details: details || null
+    });
+
+    sendData(res, report, { status: 201 });
+  } catch (error) {
+    sendFailure(res, error, 'Error filing report');
+  }
+});
+
+module.exports = router;
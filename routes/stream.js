@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const feed = require('../feed');
+const { validateCoordinates } = require('../utils/geo');
+const { sendError } = require('../utils/response');
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 200;
+
+// Delay before a disconnected EventSource reconnects
+const RETRY_MS = 3000;
+
+// Comment line sent this often so proxies do not close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Stored events are replayed in batches of this size on resume
+const REPLAY_BATCH_SIZE = 500;
+
+/**
+ * EventSource cannot set headers, so browsers pass the access token as
+ * ?access_token=; other clients send the usual Authorization header.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Read the stream filter from the query string.
+ * Returns { filter } or { error } with a message.
+ */
+const parseFilter = ({ lat, lng, radiusKm, foodType }) => {
+  const filter = {};
+
+  if (lat !== undefined || lng !== undefined) {
+    const coordinatesError = validateCoordinates(lat, lng);
+    if (coordinatesError) {
+      return { error: coordinatesError };
+    }
+    filter.origin = { lat: Number(lat), lng: Number(lng) };
+    filter.radiusKm = radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(radiusKm);
+    if (!Number.isFinite(filter.radiusKm) || filter.radiusKm <= 0 || filter.radiusKm > MAX_RADIUS_KM) {
+      return { error: `radiusKm must be a number between 0 and ${MAX_RADIUS_KM}` };
+    }
+  } else if (radiusKm !== undefined) {
+    return { error: 'radiusKm needs lat and lng' };
+  }
+
+  if (typeof foodType === 'string' && foodType.trim()) {
+    filter.foodTypes = foodType.split(',').map(term => term.trim().toLowerCase()).filter(Boolean);
+  }
+
+  return { filter };
+};
+
+// One server-sent event; data is a single line of JSON
+const formatEvent = (name, data, id) =>
+  `${id != null ? `id: ${id}\n` : ''}event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * @swagger
+ * /listings/stream:
+ *   get:
+ *     summary: Stream listing changes as they happen (Server-Sent Events)
+ *     description: >
+ *       Keeps the connection open and pushes a `text/event-stream` event whenever a
+ *       listing is created, claimed, updated (edited, cancelled, photos or claim
+ *       progress changed), expires or is deleted. Each event's `data` is a
+ *       ListingEvent whose `listing` is the listing right after the change.
+ *
+ *
+ *       Authenticate with the Authorization header, or with `access_token` in the
+ *       query string for browser EventSource clients. The stream ends when the access
+ *       token expires (after a `token_expired` event); reconnect with a fresh token.
+ *
+ *
+ *       To resume after a disconnect, reconnect with the id of the last event received
+ *       in the `Last-Event-ID` header (EventSource does this by itself) or the
+ *       `lastEventId` query parameter: the events missed since then are replayed first.
+ *       Events are kept for FEED_RETENTION_HOURS (default 24); if some of the missed
+ *       events are older than that, a `reset` event comes first and the client
+ *       should reload the listings it shows.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: With lng, only listings within radiusKm of this point
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *           maximum: 200
+ *       - in: query
+ *         name: foodType
+ *         schema:
+ *           type: string
+ *         description: Comma-separated terms; only listings whose foodType contains one of them (case-insensitive)
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event (the Last-Event-ID header takes precedence)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, for clients that cannot send the Authorization header
+ *     responses:
+ *       200:
+ *         description: >
+ *           An endless event stream, e.g.
+ *           `id: 42` / `event: listing.claimed` / `data: {"id":42,"type":"listing.claimed",...}`
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/ListingEvent'
+ *       400:
+ *         description: Invalid coordinates, radius or last event id (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *
+ * components:
+ *   schemas:
+ *     ListingEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Event id, also sent as the SSE id
+ *         type:
+ *           type: string
+ *           enum: [listing.created, listing.claimed, listing.updated, listing.expired, listing.deleted]
+ *         listingId:
+ *           type: integer
+ *         listing:
+ *           $ref: '#/components/schemas/Listing'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/', tokenFromQuery, auth, async (req, res) => {
+  const { filter, error } = parseFilter(req.query);
+  if (error) {
+    return sendError(res, 400, 'VALIDATION_ERROR', error);
+  }
+
+  const resumeFrom = req.header('Last-Event-ID') || req.query.lastEventId;
+  const lastEventId = resumeFrom === undefined ? null : Number(resumeFrom);
+  if (lastEventId !== null && !(Number.isInteger(lastEventId) && lastEventId >= 0)) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Last-Event-ID must be a whole number');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Events published while the missed ones are replayed wait here, then
+  // go out in order; anything at or below lastSent was already sent
+  let lastSent = lastEventId || 0;
+  let pending = [];
+  const send = (event) => {
+    if (event.id <= lastSent) {
+      return;
+    }
+    lastSent = event.id;
+    if (feed.matchesFilter(event, filter)) {
+      res.write(formatEvent(event.type, event, event.id));
+    }
+  };
+  const unsubscribe = feed.subscribe((event) => (pending ? pending.push(event) : send(event)));
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = setTimeout(() => {
+    res.write(formatEvent('token_expired', { message: 'Access token expired; reconnect with a fresh token' }));
+    res.end();
+  }, Math.max(0, req.tokenExpiresAt.getTime() - Date.now()));
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+
+  try {
+    if (lastEventId !== null) {
+      if (await feed.isGapAfter(lastEventId)) {
+        res.write(formatEvent('reset', { message: 'Some missed events are no longer available; reload the listings' }));
+      }
+      let batch;
+      do {
+        batch = await feed.eventsSince(lastSent, REPLAY_BATCH_SIZE);
+        batch.forEach(send);
+      } while (batch.length === REPLAY_BATCH_SIZE);
+    }
+
+    pending.forEach(send);
+    pending = null;
+  } catch (replayError) {
+    console.error('Error replaying listing events:', replayError);
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requireVerifiedEmail, requireOwnership } = require('../middleware/auth');
+const { models } = require('../models/index');
+const webhooks = require('../webhooks');
+const { parsePageQuery, pageMeta, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { sendData, sendError, sendFailure } = require('../utils/response');
+
+// Error message for an invalid page or limit query parameter
+const PAGE_QUERY_ERROR = `page must be a positive whole number and limit a whole number between 1 and ${MAX_PAGE_SIZE}`;
+
+const EVENTS_ERROR = `events must be a non-empty list of: ${models.WebhookSubscription.EVENTS.join(', ')}`;
+
+const URL_ERROR = 'url must be an http or https URL of at most 2048 characters';
+
+const isWebhookUrl = (value) => {
+  if (typeof value !== 'string' || value.length > 2048) {
+    return false;
+  }
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const isEventList = (value) => Array.isArray(value) && value.length > 0
+  && value.every(event => models.WebhookSubscription.EVENTS.includes(event));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: >
+ *     Listing events POSTed to a partner's URL. Each request carries the headers
+ *     X-FoodBridge-Event, X-FoodBridge-Delivery and
+ *     "X-FoodBridge-Signature: t=<unix time>,v1=<signature>", where the signature is the
+ *     hex HMAC-SHA256 of "<t>.<raw body>" keyed with the subscription secret.
+ *     Deliveries that get no 2xx answer within 10 seconds are retried with
+ *     exponential backoff.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: string
+ *       enum: [listing.created, listing.claimed]
+ *       description: >
+ *         * `listing.created` - a donor listed food (sent to every subscriber); data is { listing }
+ *         * `listing.claimed` - a receiver claimed some of a listing (sent to the donor's and the
+ *           receiver's subscriptions only); data is { listing, claim }
+ *
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           example: "https://partner.example.org/foodbridge/events"
+ *         events:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *           description: Paused subscriptions get no new deliveries
+ *         secret:
+ *           type: string
+ *           description: Signing secret; only returned when the subscription is created
+ *           example: "whsec_5f0c..."
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         subscriptionId:
+ *           type: integer
+ *         eventId:
+ *           type: string
+ *           format: uuid
+ *           description: Same for every delivery of one event, including redeliveries
+ *         eventType:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         payload:
+ *           type: string
+ *           description: "The exact JSON body sent: { id, type, createdAt, data }"
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status of the last response
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the last attempt got no response
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Subscription registered; the response is the only time the secret is shown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Invalid url or events, or a url at a private or local address (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email not verified (EMAIL_NOT_VERIFIED)
+ */
+router.post('/', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    if (!isWebhookUrl(url)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', URL_ERROR);
+    }
+    const targetError = await webhooks.urlTargetError(url);
+    if (targetError) {
+      return sendError(res, 400, 'VALIDATION_ERROR', `url cannot receive webhooks: ${targetError}`);
+    }
+    if (!isEventList(events)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', EVENTS_ERROR);
+    }
+
+    const subscription = await models.WebhookSubscription.create({
+      userId: req.user.id,
+      url,
+      events: [...new Set(events)],
+      description: description || null
+    });
+
+    sendData(res, subscription, { status: 201 });
+  } catch (error) {
+    sendFailure(res, error, 'Error registering webhook');
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List the caller's webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const subscriptions = await models.WebhookSubscription.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    sendData(res, subscriptions);
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching webhooks');
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get one of the caller's webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', auth, requireOwnership('WebhookSubscription'), (req, res) => {
+  sendData(res, req.resource);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     summary: Change a webhook subscription, or pause and resume it
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Subscription updated; deliveries already queued still go to the new url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: No fields given, or an invalid one (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.patch('/:id', auth, requireOwnership('WebhookSubscription'), async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+    const changes = {};
+
+    if (url !== undefined) {
+      if (!isWebhookUrl(url)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', URL_ERROR);
+      }
+      const targetError = await webhooks.urlTargetError(url);
+      if (targetError) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `url cannot receive webhooks: ${targetError}`);
+      }
+      changes.url = url;
+    }
+    if (events !== undefined) {
+      if (!isEventList(events)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', EVENTS_ERROR);
+      }
+      changes.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+      changes.description = description || null;
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'isActive must be true or false');
+      }
+      changes.isActive = isActive;
+    }
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'Give at least one of: url, events, description, isActive');
+    }
+
+    const subscription = await req.resource.update(changes);
+
+    sendData(res, subscription);
+  } catch (error) {
+    sendFailure(res, error, 'Error updating webhook');
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "Subscription deleted; data is { id }"
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.delete('/:id', auth, requireOwnership('WebhookSubscription'), async (req, res) => {
+  try {
+    await req.resource.destroy();
+
+    sendData(res, { id: req.resource.id });
+  } catch (error) {
+    sendFailure(res, error, 'Error deleting webhook');
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: The delivery log of a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Invalid status, page or limit (VALIDATION_ERROR)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id/deliveries', auth, requireOwnership('WebhookSubscription'), async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query);
+    if (!page) {
+      return sendError(res, 400, 'VALIDATION_ERROR', PAGE_QUERY_ERROR);
+    }
+
+    const where = { subscriptionId: req.resource.id };
+    if (req.query.status) {
+      if (!models.WebhookDelivery.STATUSES.includes(req.query.status)) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `status must be one of: ${models.WebhookDelivery.STATUSES.join(', ')}`);
+      }
+      where.status = req.query.status;
+    }
+
+    const { rows, count } = await models.WebhookDelivery.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: page.limit,
+      offset: page.offset
+    });
+
+    sendData(res, rows, { meta: pageMeta(page, count) });
+  } catch (error) {
+    sendFailure(res, error, 'Error fetching webhook deliveries');
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivered or failed event again
+ *     description: >
+ *       Queues a new delivery with the same event id and payload (signed afresh),
+ *       which gets its own attempts and entry in the log. Works while the
+ *       subscription is paused.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Redelivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the caller's subscription
+ *       404:
+ *         description: Subscription or delivery not found
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, requireOwnership('WebhookSubscription'), async (req, res) => {
+  try {
+    const delivery = await models.WebhookDelivery.findOne({
+      where: { id: req.params.deliveryId, subscriptionId: req.resource.id }
+    });
+    if (!delivery) {
+      return sendError(res, 404, 'NOT_FOUND', 'Delivery not found');
+    }
+
+    const redelivery = await webhooks.redeliver(delivery);
+
+    sendData(res, redelivery, { status: 202 });
+  } catch (error) {
+    sendFailure(res, error, 'Error redelivering webhook');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Grant or revoke the admin role from the command line. This is how the
+ * first admin is created; later ones can be made the same way.
+ *
+ * Usage:
+ *   npm run admin:grant -- email    Make the user with this email an admin
+ *   npm run admin:revoke -- email   Make an admin a regular user again
+ *
+ * The change is written to the audit log with no actor.
+ */
+const { models, sequelize } = require('../models/index');
+
+// Sets the role of the user with `email`, and audits it
+const setRole = async (email, role) => {
+  if (!email) {
+    throw new Error('Pass the email address of the user');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const user = await models.User.findOne({ where: { email }, transaction });
+    if (!user) {
+      throw new Error(`No user with email ${email}`);
+    }
+    if (user.role === role) {
+      console.log(`${email} already has the ${role} role.`);
+      return;
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ transaction });
+    await models.AuditLog.record(null, 'user.role_changed', { targetType: 'user', targetId: user.id },
+      { previousRole, role, via: 'cli' }, { transaction });
+    console.log(`${email} now has the ${role} role.`);
+  });
+};
+
+const COMMANDS = {
+  grant: email => setRole(email, 'admin'),
+  revoke: email => setRole(email, 'user'),
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(`Unknown command "${command}". Use one of: ${Object.keys(COMMANDS).join(', ')}`);
+  process.exitCode = 1;
+} else {
+  COMMANDS[command](...args)
+    .catch((error) => {
+      console.error('Could not change role:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
+}
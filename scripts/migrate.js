@@ -0,0 +1,49 @@
+/**
+ * Database migration CLI.
+ *
+ * Usage:
+ *   npm run migrate                      Apply every pending migration
+ *   npm run migrate:rollback [-- steps]  Undo the last migration (or the last `steps`)
+ *   npm run migrate:status               List migrations and whether they are applied
+ */
+const sequelize = require('../config/database');
+const { migrate, rollback, migrationStatus } = require('../models/migrator');
+
+const COMMANDS = {
+  up: async () => {
+    const applied = await migrate(sequelize);
+    applied.forEach(name => console.log(`Applied ${name}`));
+    console.log(applied.length ? `${applied.length} migration(s) applied.` : 'Database is up to date.');
+  },
+
+  down: async (steps = '1') => {
+    const count = Number(steps);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('steps must be a positive whole number');
+    }
+    const rolledBack = await rollback(sequelize, count);
+    rolledBack.forEach(name => console.log(`Rolled back ${name}`));
+    console.log(rolledBack.length ? `${rolledBack.length} migration(s) rolled back.` : 'Nothing to roll back.');
+  },
+
+  status: async () => {
+    const migrations = await migrationStatus(sequelize);
+    migrations.forEach(({ name, appliedAt }) => {
+      console.log(`${appliedAt ? 'applied' : 'pending'}  ${name}${appliedAt ? `  (${appliedAt})` : ''}`);
+    });
+  },
+};
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(`Unknown command "${command}". Use one of: ${Object.keys(COMMANDS).join(', ')}`);
+  process.exitCode = 1;
+} else {
+  COMMANDS[command](...args)
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
+}
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores files on the local disk under `directory` (UPLOADS_DIR, default
+ * ./uploads), one sub-directory per key folder.
+ */
+const createLocalDriver = ({ directory = process.env.UPLOADS_DIR || './uploads' } = {}) => ({
+  name: 'local',
+  put: async (key, buffer) => {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+  get: async (key) => {
+    try {
+      return await fs.readFile(path.join(directory, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+  remove: async (key) => {
+    await fs.rm(path.join(directory, key), { force: true });
+  },
+});
+
+module.exports = createLocalDriver;
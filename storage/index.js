@@ -0,0 +1,101 @@
+/**
+ * Uploaded file storage.
+ *
+ * Files are stored under a key such as "organization-documents/3f9c....pdf"
+ * by a driver: any object with async `put(key, buffer, { contentType })`,
+ * `get(key)` (resolving to a Buffer, or null when missing) and `remove(key)`
+ * methods. The built-in driver is chosen with STORAGE_DRIVER:
+ * - local (default): files on disk under UPLOADS_DIR
+ *
+ * Cloud storage (S3 and the like) is plugged in with setStorage at startup.
+ *
+ * Files in PUBLIC_FOLDERS (listing photos) can be fetched by anyone: from
+ * the driver's own `url(key)` when it has one, otherwise from the API at
+ * /files/<key>. Every other file is private; routes read it through getFile
+ * and decide who may see it.
+ */
+const crypto = require('crypto');
+const createLocalDriver = require('./drivers/local');
+
+const DRIVERS = {
+  local: createLocalDriver,
+};
+
+// A key is a folder and a generated file name; nothing else is accepted
+const STORAGE_KEY = /^[a-z0-9-]+\/[a-f0-9]{32}\.[a-z0-9]+$/;
+
+// Folders whose files are served to anyone who has the URL
+const PUBLIC_FOLDERS = ['listing-photos'];
+
+const createStorage = (name) => {
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return factory();
+};
+
+let driver = createStorage(process.env.STORAGE_DRIVER || 'local');
+
+/**
+ * Replace the driver used by putFile, getFile and removeFile.
+ */
+const setStorage = (newDriver) => {
+  if (!newDriver || !['put', 'get', 'remove'].every(method => typeof newDriver[method] === 'function')) {
+    throw new Error('A storage driver must have put, get and remove methods');
+  }
+  driver = newDriver;
+};
+
+const checkKey = (key) => {
+  if (!STORAGE_KEY.test(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+};
+
+/**
+ * Store `buffer` under a new random name in `folder`. Returns its key.
+ */
+const putFile = async (folder, buffer, { extension, contentType }) => {
+  const key = checkKey(`${folder}/${crypto.randomBytes(16).toString('hex')}.${extension}`);
+  await driver.put(key, buffer, { contentType });
+  return key;
+};
+
+/**
+ * The contents of a stored file, or null when it no longer exists.
+ */
+const getFile = (key) => driver.get(checkKey(key));
+
+/**
+ * Delete a stored file. Deleting a missing file is not an error.
+ */
+const removeFile = (key) => driver.remove(checkKey(key));
+
+/**
+ * True when `key` is well formed and in one of the PUBLIC_FOLDERS.
+ */
+const isPublicKey = (key) => STORAGE_KEY.test(key) && PUBLIC_FOLDERS.includes(key.split('/')[0]);
+
+/**
+ * URL clients can fetch a public file from.
+ */
+const fileUrl = (key) => {
+  if (!isPublicKey(key)) {
+    throw new Error(`"${key}" is not a public file`);
+  }
+  return typeof driver.url === 'function' ? driver.url(key) : `/files/${key}`;
+};
+
+module.exports = {
+  DRIVERS,
+  PUBLIC_FOLDERS,
+  createStorage,
+  setStorage,
+  putFile,
+  getFile,
+  removeFile,
+  isPublicKey,
+  fileUrl,
+};
@@ -1,5 +1,6 @@
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { ERROR_CODES } = require('./utils/response');
 
 // Swagger definition
 const swaggerDefinition = {
@@ -23,6 +24,52 @@ const swaggerDefinition = {
         bearerFormat: 'JWT',
       },
     },
+    // Shared response envelope pieces (see utils/response.js)
+    schemas: {
+      ErrorCode: {
+        type: 'string',
+        enum: Object.keys(ERROR_CODES),
+        description: Object.entries(ERROR_CODES)
+          .map(([code, description]) => `* \`${code}\` - ${description}`)
+          .join('\n'),
+      },
+      ErrorResponse: {
+        type: 'object',
+        properties: {
+          data: { nullable: true, example: null },
+          meta: { nullable: true, example: null },
+          error: {
+            type: 'object',
+            properties: {
+              code: { $ref: '#/components/schemas/ErrorCode' },
+              message: { type: 'string' },
+              details: { nullable: true, description: 'Extra machine-readable context, if any' },
+            },
+          },
+        },
+        example: {
+          data: null,
+          meta: null,
+          error: { code: 'NOT_FOUND', message: 'Listing not found', details: null },
+        },
+      },
+      PaginationMeta: {
+        type: 'object',
+        description: 'Offset pagination (page/limit) or cursor pagination (nextCursor), depending on the endpoint',
+        properties: {
+          pagination: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              total: { type: 'integer' },
+              totalPages: { type: 'integer' },
+              nextCursor: { type: 'string', nullable: true },
+            },
+          },
+        },
+      },
+    },
   },
 };
 
@@ -0,0 +1,15 @@
+/**
+ * An error that maps directly onto an API error response.
+ * `code` must be one of the ERROR_CODES in utils/response.js.
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { ApiError };
@@ -0,0 +1,71 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance in kilometres between two lat/lng points.
+ */
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Smallest lat/lng box that contains the circle of `radiusKm` around a point.
+ * Cheap to filter on in SQL before the exact haversine check. When the box
+ * would wrap around the poles or the antimeridian, the longitude bounds are
+ * left open (minLng/maxLng are null).
+ */
+const boundingBox = (lat, lng, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+
+  const cosLat = Math.cos(toRadians(lat));
+  if (maxLat === 90 || minLat === -90 || cosLat < 1e-6) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  const dLng = radiusKm / (KM_PER_DEGREE_LAT * cosLat);
+  const minLng = lng - dLng;
+  const maxLng = lng + dLng;
+  if (minLng < -180 || maxLng > 180) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+/**
+ * Validate an optional latitude/longitude pair from a request body.
+ * Both or neither must be given. Returns an error message, or null.
+ */
+const validateCoordinates = (latitude, longitude) => {
+  const hasLat = latitude !== undefined && latitude !== null && latitude !== '';
+  const hasLng = longitude !== undefined && longitude !== null && longitude !== '';
+  if (!hasLat && !hasLng) {
+    return null;
+  }
+  if (hasLat !== hasLng) {
+    return 'latitude and longitude must be provided together';
+  }
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+  return null;
+};
+
+module.exports = {
+  haversineKm,
+  boundingBox,
+  validateCoordinates,
+};
@@ -0,0 +1,57 @@
+const sharp = require('sharp');
+const { ApiError } = require('./errors');
+
+// Uploaded photos are scaled down to fit this box, thumbnails to the smaller one
+const MAX_IMAGE_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+// Output encoding per input format; thumbnails are always JPEG
+const ENCODINGS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: { quality: 85, mozjpeg: true } },
+  png: { extension: 'png', contentType: 'image/png', options: { compressionLevel: 9 } },
+  webp: { extension: 'webp', contentType: 'image/webp', options: { quality: 85 } },
+};
+
+/**
+ * Re-encode an uploaded photo and make its thumbnail. Both are turned
+ * upright and stripped of metadata (phone photos carry the GPS position
+ * they were taken at). Returns { image, thumbnail }, each
+ * { buffer, extension, contentType, width, height }.
+ * Throws a 400 ApiError when the file is not a readable image.
+ */
+const prepareImage = async (buffer, fileName = 'The file') => {
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch (error) {
+    format = null;
+  }
+  const encoding = ENCODINGS[format];
+  if (!encoding) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${fileName} could not be read as a JPEG, PNG or WebP image`);
+  }
+
+  const fit = size => ({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+  try {
+    const [image, thumbnail] = await Promise.all([
+      sharp(buffer).rotate().resize(fit(MAX_IMAGE_SIZE))
+        .toFormat(format, encoding.options)
+        .toBuffer({ resolveWithObject: true }),
+      sharp(buffer).rotate().resize(fit(THUMBNAIL_SIZE))
+        .flatten({ background: '#ffffff' })
+        .jpeg(ENCODINGS.jpeg.options)
+        .toBuffer({ resolveWithObject: true }),
+    ]);
+    const describe = ({ data, info }, { extension, contentType }) =>
+      ({ buffer: data, extension, contentType, width: info.width, height: info.height });
+    return { image: describe(image, encoding), thumbnail: describe(thumbnail, ENCODINGS.jpeg) };
+  } catch (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${fileName} is damaged or not a supported image`);
+  }
+};
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  THUMBNAIL_SIZE,
+  prepareImage,
+};
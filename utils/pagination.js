@@ -0,0 +1,81 @@
+// Page size used when the client doesn't ask for one, and the largest allowed
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode the position of the last row of a page as an opaque cursor string.
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor. Returns null for a missing or
+ * malformed cursor.
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the `limit` query parameter. Returns the page size, or null when it
+ * is not a whole number between 1 and MAX_PAGE_SIZE.
+ */
+const parseLimit = (limit) => {
+  if (limit === undefined || limit === '') {
+    return DEFAULT_PAGE_SIZE;
+  }
+  const size = Number(limit);
+  return Number.isInteger(size) && size >= 1 && size <= MAX_PAGE_SIZE ? size : null;
+};
+
+/**
+ * Read the `page` query parameter (1-based). Returns null when invalid.
+ */
+const parsePage = (page) => {
+  if (page === undefined || page === '') {
+    return 1;
+  }
+  const number = Number(page);
+  return Number.isInteger(number) && number >= 1 ? number : null;
+};
+
+/**
+ * Read `page` and `limit` from a query string into { page, limit, offset }.
+ * Returns null when either is invalid.
+ */
+const parsePageQuery = (query) => {
+  const page = parsePage(query.page);
+  const limit = parseLimit(query.limit);
+  if (!page || !limit) {
+    return null;
+  }
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Build the `meta` of an offset-paginated response.
+ */
+const pageMeta = ({ page, limit }, total) => ({
+  pagination: {
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  },
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  parsePageQuery,
+  pageMeta,
+};
@@ -0,0 +1,59 @@
+/**
+ * Password strength policy, enforced when a password is chosen.
+ *
+ * Configured with environment variables:
+ * - PASSWORD_MIN_LENGTH: minimum number of characters (default 8)
+ * - PASSWORD_REQUIRED_CLASSES: comma-separated character classes a password
+ *   must contain, from lowercase, uppercase, letter, digit, symbol
+ *   (default "letter,digit")
+ */
+
+// bcrypt only looks at the first 72 bytes of a password
+const MAX_PASSWORD_BYTES = 72;
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /\p{Ll}/u, label: 'a lowercase letter' },
+  uppercase: { pattern: /\p{Lu}/u, label: 'an uppercase letter' },
+  letter: { pattern: /\p{L}/u, label: 'a letter' },
+  digit: { pattern: /\p{N}/u, label: 'a digit' },
+  symbol: { pattern: /[^\p{L}\p{N}\s]/u, label: 'a symbol' },
+};
+
+const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || 'letter,digit')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+};
+
+const unknownClass = PASSWORD_POLICY.requiredClasses.find(name => !CHARACTER_CLASSES[name]);
+if (unknownClass) {
+  throw new Error(`PASSWORD_REQUIRED_CLASSES: unknown character class "${unknownClass}"`);
+}
+
+/**
+ * Check a new password against the policy.
+ * Returns an error message, or null when the password is acceptable.
+ */
+const validatePassword = (password, policy = PASSWORD_POLICY) => {
+  if (typeof password !== 'string') {
+    return 'password must be a string';
+  }
+  if (password.length < policy.minLength) {
+    return `password must be at least ${policy.minLength} characters long`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return `password must be at most ${MAX_PASSWORD_BYTES} bytes long`;
+  }
+  const missing = policy.requiredClasses.filter(name => !CHARACTER_CLASSES[name].pattern.test(password));
+  if (missing.length) {
+    return `password must contain ${missing.map(name => CHARACTER_CLASSES[name].label).join(', ')}`;
+  }
+  return null;
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+  validatePassword,
+};
@@ -0,0 +1,65 @@
+// Most pickup windows a donor can set on one listing
+const MAX_PICKUP_WINDOWS = 14;
+
+/**
+ * Parse the pickupWindows of a listing request body: a list of
+ * { start, end } date-times, or its JSON text when sent as a form field.
+ * null or an empty list means food can be collected at any time.
+ * Returns { windows } sorted by start, or { error } with a message.
+ */
+const parsePickupWindows = (value, now = new Date()) => {
+  if (value === null || value === '') {
+    return { windows: [] };
+  }
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      return { error: 'pickupWindows must be a list of { start, end } date-times' };
+    }
+  }
+  if (!Array.isArray(list) || list.some(window => !window || typeof window !== 'object')) {
+    return { error: 'pickupWindows must be a list of { start, end } date-times' };
+  }
+  if (list.length > MAX_PICKUP_WINDOWS) {
+    return { error: `A listing can have at most ${MAX_PICKUP_WINDOWS} pickup windows` };
+  }
+
+  const windows = [];
+  for (const { start, end } of list) {
+    const startAt = new Date(start);
+    const endAt = new Date(end);
+    if (!start || !end || isNaN(startAt.getTime()) || isNaN(endAt.getTime())) {
+      return { error: 'Every pickup window needs a valid start and end' };
+    }
+    if (endAt <= startAt) {
+      return { error: 'A pickup window must end after it starts' };
+    }
+    if (endAt <= now) {
+      return { error: 'Pickup windows must not be over already' };
+    }
+    windows.push({ start: startAt, end: endAt });
+  }
+
+  windows.sort((a, b) => a.start - b.start);
+  if (windows.some((window, i) => i > 0 && window.start < windows[i - 1].end)) {
+    return { error: 'Pickup windows must not overlap' };
+  }
+
+  return { windows: windows.map(({ start, end }) => ({ start: start.toISOString(), end: end.toISOString() })) };
+};
+
+/**
+ * True when `time` falls inside one of `windows` (always, when there are none).
+ */
+const isWithinPickupWindows = (windows, time) =>
+  windows.length === 0
+  || windows.some(({ start, end }) => new Date(start) <= time && time <= new Date(end));
+
+module.exports = {
+  MAX_PICKUP_WINDOWS,
+  parsePickupWindows,
+  isWithinPickupWindows,
+};
@@ -0,0 +1,104 @@
+// Units a listing quantity can be expressed in
+const QUANTITY_UNITS = ['kg', 'g', 'L', 'items', 'crates', 'meals'];
+
+/**
+ * Rough meal equivalents per unit, used for impact reporting.
+ * Based on the common ~420 g (or ~500 ml) per meal rule of thumb;
+ * a crate is taken to hold about 8 kg of produce.
+ */
+const MEALS_PER_UNIT = {
+  kg: 2.4,
+  g: 0.0024,
+  L: 2,
+  items: 0.5,
+  crates: 19,
+  meals: 1,
+};
+
+// Free-text spellings donors have used, mapped onto the controlled list
+const UNIT_ALIASES = {
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  g: 'g', gram: 'g', grams: 'g',
+  l: 'L', litre: 'L', litres: 'L', liter: 'L', liters: 'L', ltr: 'L',
+  ml: 'ml',
+  item: 'items', items: 'items', unit: 'items', units: 'items', pack: 'items', packs: 'items',
+  loaf: 'items', loaves: 'items', bag: 'items', bags: 'items', piece: 'items', pieces: 'items',
+  crate: 'crates', crates: 'crates', box: 'crates', boxes: 'crates', case: 'crates', cases: 'crates',
+  meal: 'meals', meals: 'meals', portion: 'meals', portions: 'meals', plate: 'meals', plates: 'meals',
+};
+
+/**
+ * Parse a free-text quantity such as "5 kg", "10 boxes" or "250ml" into
+ * { amount, unit }. Unknown units fall back to 'items'. Returns null when
+ * no number can be found.
+ */
+const parseQuantity = (text) => {
+  if (typeof text === 'number') {
+    return text > 0 ? { amount: text, unit: 'items' } : null;
+  }
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const match = text.trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-zA-Z]*)/);
+  if (!match) {
+    return null;
+  }
+
+  let amount = parseFloat(match[1].replace(',', '.'));
+  let unit = UNIT_ALIASES[match[2].toLowerCase()] || 'items';
+
+  // Millilitres are stored as litres
+  if (unit === 'ml') {
+    amount = amount / 1000;
+    unit = 'L';
+  }
+
+  return amount > 0 ? { amount, unit } : null;
+};
+
+/**
+ * Estimated number of meals the given quantity can provide.
+ */
+const toMeals = (amount, unit) => {
+  if (!amount || !MEALS_PER_UNIT[unit]) {
+    return 0;
+  }
+  return Math.round(amount * MEALS_PER_UNIT[unit] * 10) / 10;
+};
+
+/**
+ * Human-readable label, e.g. formatQuantity(5, 'kg') -> "5 kg".
+ */
+const formatQuantity = (amount, unit) => `${amount} ${unit}`;
+
+/**
+ * Sum claimed quantities per unit and in estimated meals. Each claim must
+ * have its listing loaded, since the unit lives on the listing.
+ * Adding "5 kg" to "10 crates" is meaningless, so each unit gets its own total.
+ */
+const totalQuantities = (claims) => {
+  const byUnit = {};
+  let estimatedMeals = 0;
+
+  for (const claim of claims) {
+    const unit = claim.listing.quantityUnit;
+    // Claims on legacy unmeasured listings cover the whole listing
+    const amount = claim.quantityAmount != null ? claim.quantityAmount : claim.listing.quantityAmount;
+    if (amount != null && unit) {
+      byUnit[unit] = (byUnit[unit] || 0) + amount;
+      estimatedMeals += toMeals(amount, unit);
+    }
+  }
+
+  return { byUnit, estimatedMeals: Math.round(estimatedMeals) };
+};
+
+module.exports = {
+  QUANTITY_UNITS,
+  MEALS_PER_UNIT,
+  parseQuantity,
+  toMeals,
+  formatQuantity,
+  totalQuantities,
+};
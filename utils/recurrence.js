@@ -0,0 +1,296 @@
+/**
+ * Recurrence rules for recurring donations: a subset of iCalendar RRULE
+ * (RFC 5545) with FREQ=DAILY or WEEKLY, INTERVAL, BYDAY (plain weekdays),
+ * COUNT and UNTIL. Occurrences fall on calendar days in the schedule's
+ * time zone, at its local time of day.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WORKING_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+// Time zone of schedules that don't name one
+const DEFAULT_TIMEZONE = process.env.RECURRENCE_TIMEZONE || 'Africa/Johannesburg';
+
+// Shorthands accepted instead of an RRULE
+const FREQUENCIES = ['daily', 'weekdays', 'weekly'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for the next occurrence before giving up
+const MAX_LOOKAHEAD_DAYS = 3 * 366;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * True when `timeZone` is an IANA time zone name this runtime knows.
+ */
+const isTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Building an Intl.DateTimeFormat is slow, so keep one per time zone
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock date and time of `date` in `timeZone`
+const zonedParts = (date, timeZone) => {
+  const parts = formatterFor(timeZone).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+// Minutes `timeZone` is ahead of UTC at `date`
+const offsetMinutes = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant of local time `hour`:`minute` on calendar day `dayNumber`
+ * (days since 1970-01-01) in `timeZone`. A time skipped by a DST change
+ * moves forward by the length of the gap, as in RFC 5545.
+ */
+const zonedInstant = (dayNumber, hour, minute, timeZone) => {
+  const wallClock = dayNumber * MS_PER_DAY + (hour * 60 + minute) * 60000;
+  const guessed = offsetMinutes(new Date(wallClock), timeZone);
+  const offset = offsetMinutes(new Date(wallClock - guessed * 60000), timeZone);
+  if (offsetMinutes(new Date(wallClock - offset * 60000), timeZone) === offset) {
+    return new Date(wallClock - offset * 60000);
+  }
+  // Inside a DST gap: read the time with the offset from before the change
+  return new Date(wallClock - Math.min(guessed, offset) * 60000);
+};
+
+// Calendar day (days since 1970-01-01) that `date` falls on in `timeZone`
+const dayNumberOf = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day) / MS_PER_DAY;
+};
+
+const parseDateOnly = (value) => {
+  const match = DATE_ONLY.exec(value);
+  if (!match) {
+    return null;
+  }
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(time).toISOString().slice(0, 10) === value ? time / MS_PER_DAY : null;
+};
+
+const formatDateOnly = dayNumber => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+
+// 0 = Sunday, like WEEKDAYS; 1970-01-01 was a Thursday
+const weekdayOf = dayNumber => (((dayNumber + 4) % 7) + 7) % 7;
+
+// Weeks start on Monday (the RRULE default WKST)
+const weekStartOf = dayNumber => dayNumber - ((weekdayOf(dayNumber) + 6) % 7);
+
+/**
+ * Parse an RRULE string into { freq, interval, byDay, count, until }.
+ * Returns { rule } or { error } with a message.
+ */
+const parseRRule = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'rrule must be a string such as "FREQ=WEEKLY;BYDAY=MO,WE,FR"' };
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], count: null, until: null };
+  for (const part of value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [name, setting = ''] = part.split('=');
+    switch (name.toUpperCase()) {
+      case 'FREQ':
+        if (!['DAILY', 'WEEKLY'].includes(setting.toUpperCase())) {
+          return { error: 'Only FREQ=DAILY and FREQ=WEEKLY are supported' };
+        }
+        rule.freq = setting.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(setting);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) {
+          return { error: 'INTERVAL must be a whole number between 1 and 52' };
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = setting.toUpperCase().split(',');
+        if (!rule.byDay.length || !rule.byDay.every(day => WEEKDAYS.includes(day))) {
+          return { error: `BYDAY must list weekdays from ${WEEKDAYS.join(', ')}` };
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(setting);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          return { error: 'COUNT must be a positive whole number' };
+        }
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(setting);
+        rule.until = match && parseDateOnly(`${match[1]}-${match[2]}-${match[3]}`);
+        if (rule.until == null) {
+          return { error: 'UNTIL must be a date such as 20261231' };
+        }
+        break;
+      }
+      default:
+        return { error: `Unsupported RRULE part "${name}"; use FREQ, INTERVAL, BYDAY, COUNT or UNTIL` };
+    }
+  }
+
+  if (!rule.freq) {
+    return { error: 'rrule needs a FREQ' };
+  }
+  if (rule.count && rule.until != null) {
+    return { error: 'rrule cannot have both COUNT and UNTIL' };
+  }
+  return { rule };
+};
+
+/**
+ * Format a parsed rule back into its canonical RRULE string.
+ */
+const formatRRule = ({ freq, interval, byDay, count, until }) => [
+  `FREQ=${freq}`,
+  interval > 1 ? `INTERVAL=${interval}` : null,
+  byDay.length ? `BYDAY=${[...byDay].sort((a, b) => (WEEKDAYS.indexOf(a) + 6) % 7 - (WEEKDAYS.indexOf(b) + 6) % 7).join(',')}` : null,
+  count ? `COUNT=${count}` : null,
+  until != null ? `UNTIL=${formatDateOnly(until).replace(/-/g, '')}` : null
+].filter(Boolean).join(';');
+
+/**
+ * Turn the recurrence of a request body into a canonical RRULE string:
+ * either `rrule` itself, or a `frequency` of daily, weekdays or weekly (on
+ * `days`, e.g. ["MO", "TH"]), every `interval` days or weeks.
+ * Returns { rrule } or { error } with a message.
+ */
+const parseRecurrence = ({ frequency, days, interval, rrule }) => {
+  if (rrule !== undefined) {
+    if (frequency !== undefined || days !== undefined || interval !== undefined) {
+      return { error: 'Send either rrule, or frequency with days and interval, not both' };
+    }
+    const parsed = parseRRule(rrule);
+    return parsed.error ? parsed : { rrule: formatRRule(parsed.rule) };
+  }
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of: ${FREQUENCIES.join(', ')} (or send an rrule)` };
+  }
+  const parts = [frequency === 'daily' ? 'FREQ=DAILY' : 'FREQ=WEEKLY'];
+  if (interval !== undefined) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (frequency === 'weekdays') {
+    parts.push(`BYDAY=${WORKING_DAYS.join(',')}`);
+  } else if (frequency === 'weekly') {
+    if (!Array.isArray(days) || days.length === 0) {
+      return { error: `days is required for a weekly frequency, e.g. ["MO", "TH"], from ${WEEKDAYS.join(', ')}` };
+    }
+    parts.push(`BYDAY=${days.map(day => String(day).toUpperCase()).join(',')}`);
+  }
+
+  const parsed = parseRRule(parts.join(';'));
+  return parsed.error ? parsed : { rrule: formatRRule(parsed.rule) };
+};
+
+/**
+ * Occurrences of a schedule ({ rrule, time: "HH:MM", timezone, startsOn:
+ * "YYYY-MM-DD" }), as Dates in order, that come after `after`, at most
+ * `limit` of them. COUNT counts from startsOn, whether or not an
+ * occurrence was skipped.
+ */
+const occurrencesAfter = (schedule, after, limit = 1) => {
+  const { rule } = parseRRule(schedule.rrule);
+  const [hour, minute] = schedule.time.split(':').map(Number);
+  const start = parseDateOnly(schedule.startsOn);
+  const byDay = rule.byDay.length
+    ? rule.byDay.map(day => WEEKDAYS.indexOf(day))
+    : (rule.freq === 'WEEKLY' ? [weekdayOf(start)] : null);
+
+  const occursOn = (day) => {
+    const onCycle = rule.freq === 'DAILY'
+      ? (day - start) % rule.interval === 0
+      : ((weekStartOf(day) - weekStartOf(start)) / 7) % rule.interval === 0;
+    return onCycle && (!byDay || byDay.includes(weekdayOf(day)));
+  };
+
+  // Days before the one `after` falls on can't hold a later occurrence
+  const afterDay = dayNumberOf(after, schedule.timezone);
+  const firstDay = Math.max(start, afterDay);
+  const lastDay = Math.min(
+    rule.until != null ? rule.until : Infinity,
+    afterDay + MAX_LOOKAHEAD_DAYS
+  );
+
+  // Occurrences skipped over, counted a whole cycle at a time: the
+  // pattern repeats every `interval` days, or `interval` weeks with BYDAY
+  let seen = 0;
+  if (rule.count && firstDay > start) {
+    const period = rule.freq === 'DAILY' && !byDay ? rule.interval : 7 * rule.interval;
+    let perPeriod = 0;
+    for (let day = start; day < start + period; day++) {
+      perPeriod += occursOn(day) ? 1 : 0;
+    }
+    const periods = Math.floor((firstDay - start) / period);
+    seen = periods * perPeriod;
+    for (let day = start + periods * period; day < firstDay; day++) {
+      seen += occursOn(day) ? 1 : 0;
+    }
+  }
+
+  const found = [];
+  for (let day = firstDay; day <= lastDay && found.length < limit; day++) {
+    if (!occursOn(day)) {
+      continue;
+    }
+
+    seen += 1;
+    if (rule.count && seen > rule.count) {
+      break;
+    }
+    const occurrence = zonedInstant(day, hour, minute, schedule.timezone);
+    if (occurrence > after) {
+      found.push(occurrence);
+    }
+  }
+  return found;
+};
+
+/**
+ * Today's date ("YYYY-MM-DD") in `timeZone`.
+ */
+const todayIn = (timeZone, now = new Date()) => formatDateOnly(dayNumberOf(now, timeZone));
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  FREQUENCIES,
+  TIME_OF_DAY,
+  isTimeZone,
+  parseRRule,
+  parseRecurrence,
+  parseDateOnly,
+  occurrencesAfter,
+  todayIn,
+};
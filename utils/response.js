@@ -0,0 +1,68 @@
+const { ForeignKeyConstraintError } = require('sequelize');
+const { ApiError } = require('./errors');
+
+/**
+ * Every API response uses the same envelope:
+ *
+ *   { data, meta, error }
+ *
+ * On success `error` is null and `data` holds the payload; `meta` carries
+ * pagination and totals for list endpoints (null otherwise). On failure
+ * `data` and `meta` are null and `error` is { code, message, details }.
+ */
+
+// Machine-readable error codes, with the description published in Swagger
+const ERROR_CODES = {
+  VALIDATION_ERROR: 'The request body or query parameters are missing or invalid',
+  UNAUTHENTICATED: 'No valid access token was provided',
+  TOKEN_EXPIRED: 'The access token has expired; log in again',
+  TOKEN_INVALID: 'The access or refresh token is malformed, not yet valid or for an unknown user',
+  TOKEN_REVOKED: 'The session was logged out or the password changed; log in again',
+  INVALID_CREDENTIALS: 'Email and password do not match',
+  FORBIDDEN: 'The caller is not allowed to perform this action',
+  ACCOUNT_SUSPENDED: 'The account has been suspended by an admin',
+  EMAIL_NOT_VERIFIED: 'The caller must verify their email address first',
+  ORGANIZATION_NOT_VERIFIED: 'The receiver\'s organization must be approved by an admin first',
+  NOT_FOUND: 'The requested resource does not exist',
+  CONFLICT: 'The resource already exists or was changed by another request',
+  INVALID_TRANSITION: 'The listing, claim, claim request, delivery job, recurring donation or need is not in a state that allows this action',
+  IDEMPOTENCY_KEY_REUSED: 'The Idempotency-Key was already used for a different request',
+  PRIORITY_WINDOW: 'The listing can only be claimed by receivers with an urgent need it meets for now',
+  QUOTA_EXCEEDED: 'The receiver has claimed as much as the daily quota allows',
+  INTERNAL_ERROR: 'Something went wrong on the server',
+};
+
+/**
+ * Send a successful response.
+ */
+const sendData = (res, data, { status = 200, meta = null } = {}) =>
+  res.status(status).json({ data, meta, error: null });
+
+/**
+ * Send an error response. `code` must be one of ERROR_CODES.
+ */
+const sendError = (res, status, code, message, details = null) =>
+  res.status(status).json({ data: null, meta: null, error: { code, message, details } });
+
+/**
+ * Send the response for an error thrown by a handler: ApiErrors map onto
+ * their own status and code, a delete blocked by records that still refer
+ * to the row is a conflict, anything else is logged and becomes a 500.
+ */
+const sendFailure = (res, error, fallbackMessage = 'Internal server error') => {
+  if (error instanceof ApiError) {
+    return sendError(res, error.statusCode, error.code, error.message, error.details);
+  }
+  if (error instanceof ForeignKeyConstraintError) {
+    return sendError(res, 409, 'CONFLICT', 'Other records still refer to this one', { table: error.table || null });
+  }
+  console.error(fallbackMessage, error);
+  return sendError(res, 500, 'INTERNAL_ERROR', fallbackMessage);
+};
+
+module.exports = {
+  ERROR_CODES,
+  sendData,
+  sendError,
+  sendFailure,
+};
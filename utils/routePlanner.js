@@ -0,0 +1,136 @@
+const { haversineKm } = require('./geo');
+
+// Roads are longer than the straight line between two points; a common
+// rule of thumb for urban driving
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Improvement passes over the route before settling for what we have
+const MAX_TWO_OPT_PASSES = 50;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+// A stop without pickup windows can be visited at any time
+const ANY_TIME = [{ start: -Infinity, end: Infinity }];
+
+/**
+ * Estimated road distance in km between two { latitude, longitude } points.
+ */
+const roadKm = (from, to) =>
+  haversineKm(from.latitude, from.longitude, to.latitude, to.longitude) * ROAD_DISTANCE_FACTOR;
+
+/**
+ * Drive from `start` past `stops` in the given `order` (indexes into stops),
+ * waiting at each stop until its next pickup window opens. A stop reached
+ * after its last window closed is still visited, but counts as missed.
+ */
+const simulate = (start, stops, order, { departAt, speedKmh, stopMinutes, returnToStart }) => {
+  let position = start;
+  let time = departAt.getTime();
+  let distanceKm = 0;
+  let missed = 0;
+
+  const legs = order.map((index) => {
+    const stop = stops[index];
+    const legKm = roadKm(position, stop);
+    const arrival = time + (legKm / speedKmh) * MS_PER_HOUR;
+    const windows = stop.windows.length ? stop.windows : ANY_TIME;
+    const window = windows.find(({ end }) => arrival <= end);
+    const pickupAt = window ? Math.max(arrival, window.start) : arrival;
+    if (!window) {
+      missed += 1;
+    }
+
+    time = pickupAt + stopMinutes * MS_PER_MINUTE;
+    distanceKm += legKm;
+    position = stop;
+    return { index, legKm, arrival, pickupAt, departure: time, withinWindow: Boolean(window) };
+  });
+
+  let returnLeg = null;
+  if (returnToStart && order.length) {
+    const legKm = roadKm(position, start);
+    time += (legKm / speedKmh) * MS_PER_HOUR;
+    distanceKm += legKm;
+    returnLeg = { legKm, arrival: time };
+  }
+
+  return { legs, returnLeg, distanceKm, missed, finish: time };
+};
+
+// Fewer missed windows first, then the earliest finish, then the shortest drive
+const isBetter = (a, b) => {
+  if (a.missed !== b.missed) {
+    return a.missed < b.missed;
+  }
+  if (Math.abs(a.finish - b.finish) >= MS_PER_MINUTE) {
+    return a.finish < b.finish;
+  }
+  return a.distanceKm < b.distanceKm - 1e-9;
+};
+
+/**
+ * Greedy first route: always drive to the closest stop not visited yet.
+ */
+const nearestNeighbour = (start, stops) => {
+  const left = stops.map((stop, index) => index);
+  const order = [];
+  let position = start;
+  while (left.length) {
+    let best = 0;
+    for (let i = 1; i < left.length; i++) {
+      if (roadKm(position, stops[left[i]]) < roadKm(position, stops[left[best]])) {
+        best = i;
+      }
+    }
+    const [next] = left.splice(best, 1);
+    order.push(next);
+    position = stops[next];
+  }
+  return order;
+};
+
+/**
+ * 2-opt: keep reversing a stretch of the route while that makes it better
+ * (see isBetter), so the pickup windows are weighed as well as distance.
+ */
+const twoOpt = (start, stops, order, options) => {
+  let best = order;
+  let bestPlan = simulate(start, stops, best, options);
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const plan = simulate(start, stops, candidate, options);
+        if (isBetter(plan, bestPlan)) {
+          best = candidate;
+          bestPlan = plan;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) {
+      break;
+    }
+  }
+
+  return { order: best, ...bestPlan };
+};
+
+/**
+ * Plan a collection run from `start` ({ latitude, longitude }) past every
+ * stop ({ latitude, longitude, windows: [{ start, end }] in ms, sorted }).
+ * Options: departAt (Date), speedKmh, stopMinutes (time spent at each
+ * stop) and returnToStart. Returns the visiting order with a schedule per
+ * leg, all times in ms; see simulate.
+ */
+const planRoute = (start, stops, options) =>
+  twoOpt(start, stops, nearestNeighbour(start, stops), options);
+
+module.exports = {
+  ROAD_DISTANCE_FACTOR,
+  roadKm,
+  planRoute,
+};
@@ -0,0 +1,283 @@
+/**
+ * Outbound webhooks for partner integrations.
+ *
+ * `emit` stores a WebhookDelivery of the event for every subscription to
+ * it and starts sending them. A delivery that gets no 2xx answer is tried
+ * again with exponential backoff by jobs/webhookDispatcher.js, until
+ * WEBHOOK_MAX_ATTEMPTS attempts have failed.
+ *
+ * Every attempt is a POST of the JSON payload { id, type, createdAt, data }
+ * with these headers:
+ * - X-FoodBridge-Event: the event type
+ * - X-FoodBridge-Delivery: the delivery id
+ * - X-FoodBridge-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>"
+ *   keyed with the subscription secret>
+ *
+ * Deliveries never go to this host, a private network or a link-local
+ * address: the target's addresses are checked when a subscription is
+ * saved and again, after DNS resolution, on every attempt. Redirects are
+ * not followed.
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Op } = require('sequelize');
+const { models } = require('../models/index');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Wait after the first failed attempt; doubled after each further one
+const RETRY_BASE_MS = (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+
+// Partners have this long to answer
+const TIMEOUT_MS = 10 * 1000;
+
+// Due deliveries are sent this many at a time
+const DISPATCH_BATCH_SIZE = 50;
+
+/**
+ * The X-FoodBridge-Signature header for `body`, signed at `now`.
+ */
+const signatureHeader = (secret, body, now = new Date()) => {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Delay before the next attempt after `attempts` failed ones: base, 2x, 4x, ...
+const backoffMs = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Addresses deliveries may not reach: unspecified, loopback, private
+// (RFC 1918 and unique-local), shared (RFC 6598) and link-local. The
+// IPv4 ranges also cover the same addresses written as IPv6 (::ffff:a.b.c.d).
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+/**
+ * True when deliveries may not go to IP address `address`.
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// The host of a URL, without the brackets of an IPv6 address
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+const blockedError = (host, address) => new Error(
+  address === host
+    ? `${host} is a private or local address`
+    : `${host} resolves to ${address}, a private or local address`
+);
+
+/**
+ * Why `url` cannot be a webhook target, or null when it can: it names or
+ * resolves to a blocked address. A host that does not resolve yet is let
+ * through; every attempt checks again.
+ */
+const urlTargetError = async (url) => {
+  const host = hostOf(url);
+  if (net.isIP(host)) {
+    return isBlockedAddress(host) ? blockedError(host, host).message : null;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return null;
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked ? blockedError(host, blocked.address).message : null;
+};
+
+// dns.lookup for deliveries that refuses blocked addresses, so a host
+// cannot be pointed at one after its subscription was saved
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(blockedError(hostname, blocked.address));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * POST `body` to `url` and resolve with the response status. Redirects
+ * are not followed and the response body is not read.
+ */
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const host = hostOf(url);
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    reject(blockedError(host, host));
+    return;
+  }
+
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: checkedLookup,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Send `delivery` once and record the outcome: succeeded on a 2xx answer,
+ * otherwise scheduled for a retry, or failed once out of attempts.
+ */
+const attempt = async (delivery) => {
+  const subscription = await models.WebhookSubscription.unscoped().findByPk(delivery.subscriptionId);
+  const now = new Date();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  try {
+    // A redirect is not an answer; partners register the final URL
+    delivery.responseStatus = await post(subscription.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'FoodBridge-Webhooks/1.0',
+      'X-FoodBridge-Event': delivery.eventType,
+      'X-FoodBridge-Delivery': String(delivery.id),
+      'X-FoodBridge-Signature': signatureHeader(subscription.secret, delivery.payload, now)
+    }, delivery.payload);
+    delivery.error = null;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.error = error.message;
+  }
+
+  if (delivery.responseStatus >= 200 && delivery.responseStatus < 300) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = now;
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + backoffMs(delivery.attempts));
+  }
+  await delivery.save();
+  return delivery;
+};
+
+let dispatching = false;
+let dispatchAgain = false;
+
+/**
+ * Attempt every pending delivery that is due. When called while a run is
+ * in progress, that run goes round once more instead. Returns the number
+ * of deliveries attempted.
+ */
+const dispatchDue = async () => {
+  if (dispatching) {
+    dispatchAgain = true;
+    return 0;
+  }
+
+  dispatching = true;
+  let attempted = 0;
+  try {
+    do {
+      dispatchAgain = false;
+      const due = await models.WebhookDelivery.findAll({
+        where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+        order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+        limit: DISPATCH_BATCH_SIZE
+      });
+      for (const delivery of due) {
+        await attempt(delivery);
+      }
+      attempted += due.length;
+      if (due.length === DISPATCH_BATCH_SIZE) {
+        dispatchAgain = true;
+      }
+    } while (dispatchAgain);
+  } finally {
+    dispatching = false;
+  }
+  return attempted;
+};
+
+// Sends due deliveries in the background, without holding up the caller
+const startDispatch = () => {
+  dispatchDue().catch(error => console.error('Webhook dispatch error:', error));
+};
+
+/**
+ * Queue event `type` with `data` for every active subscription to it and
+ * start sending. `audience` limits it to the subscriptions of those user
+ * ids; events about public listings go to everyone. Call once the change
+ * is committed; never throws, so a failure is logged and does not undo it.
+ */
+const emit = async (type, data, { audience = null } = {}) => {
+  try {
+    const subscriptions = await models.WebhookSubscription.findAll({
+      where: { isActive: true, ...(audience ? { userId: audience } : {}) },
+      include: [{ model: models.User, as: 'user', where: { isActive: true }, attributes: [] }]
+    });
+    const subscribed = subscriptions.filter(subscription => subscription.isSubscribedTo(type));
+    if (subscribed.length === 0) {
+      return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({ id: eventId, type, createdAt: new Date().toISOString(), data });
+    await models.WebhookDelivery.bulkCreate(subscribed.map(subscription => ({
+      subscriptionId: subscription.id,
+      eventId,
+      eventType: type,
+      payload,
+      nextAttemptAt: new Date()
+    })));
+    startDispatch();
+  } catch (error) {
+    console.error(`Could not queue ${type} webhooks:`, error);
+  }
+};
+
+/**
+ * Send the event of `delivery` again as a new delivery, with a fresh
+ * set of attempts. Returns the new delivery.
+ */
+const redeliver = async (delivery) => {
+  const copy = await models.WebhookDelivery.create({
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    payload: delivery.payload,
+    nextAttemptAt: new Date()
+  });
+  startDispatch();
+  return copy;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signatureHeader,
+  urlTargetError,
+  emit,
+  redeliver,
+  dispatchDue,
+};